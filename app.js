@@ -1,7 +1,7 @@
 import { engine } from "./conversation_engine.js";
 import { plugins } from "./plugins/plugin_system.js";
 import { costTrackerPlugin } from "./plugins/cost_tracker.js";
-import { autoSummarizerPlugin } from "./plugins/auto_summarizer.js";
+import { piiRedactorPlugin } from "./plugins/pii_redactor.js";
 import { multimodalPlugin } from "./plugins/multimodal.js";
 import { toolsPlugin } from "./plugins/tools.js";
 import readline from "readline";
@@ -13,9 +13,9 @@ if (fs.existsSync("./game_world.json")) {
   worldData = JSON.parse(fs.readFileSync("./game_world.json", "utf-8"));
 }
 
-// Register plugins
+// Register plugins (the PII redactor first, so later plugins only see redacted text)
+plugins.registerPlugin("pii-redactor", piiRedactorPlugin);
 plugins.registerPlugin("cost-tracker", costTrackerPlugin);
-plugins.registerPlugin("auto-summarizer", autoSummarizerPlugin);
 plugins.registerPlugin("multimodal", multimodalPlugin);
 plugins.registerPlugin("tools", toolsPlugin);
 
@@ -45,8 +45,9 @@ console.log(`
 ║  - /image <path> - Analyze image                              ║
 ║  - /audio <path> - Transcribe audio                           ║
 ║  - /stats - View cost statistics                              ║
-║  - /history - View session history                            ║
+║  - /history [n] - View the last n messages (default 20)       ║
 ║  - /clear - Clear session                                     ║
+║  - /forget - Delete all stored data of this session           ║
 ║  - /exit - Quit                                               ║
 ╚════════════════════════════════════════════════════════════════╝
 `);
@@ -75,6 +76,12 @@ const prompt = () => {
                 "Describe this image"
               );
               console.log(`\n🤖 GEMINI: ${imageResult}\n`);
+              await engine.recordExchange("default", {
+                input: "Describe this image",
+                output: imageResult,
+                model: "gemini",
+                attachments: [{ type: "image", name: args[0], mimeType: multimodalPlugin.mimeTypeOf(args[0], "image/jpeg") }]
+              });
             } catch (error) {
               console.log(`❌ Error: ${error.message}`);
             }
@@ -88,6 +95,12 @@ const prompt = () => {
             try {
               const audioResult = await multimodalPlugin.processAudio(args[0]);
               console.log(`\n🤖 GEMINI: ${audioResult}\n`);
+              await engine.recordExchange("default", {
+                input: "Transcribe this audio",
+                output: audioResult,
+                model: "gemini",
+                attachments: [{ type: "audio", name: args[0], mimeType: multimodalPlugin.mimeTypeOf(args[0], "audio/mp3") }]
+              });
             } catch (error) {
               console.log(`❌ Error: ${error.message}`);
             }
@@ -103,17 +116,39 @@ const prompt = () => {
           console.log(`  Est. Monthly Cost: ${stats.estimatedMonthlyCost}\n`);
           break;
 
-        case "/history":
-          const history = await engine.getSessionHistory("default");
-          console.log("\n📜 SESSION HISTORY:");
-          history.forEach((msg, i) => console.log(`${i + 1}. ${msg}`));
+        case "/history": {
+          // Latest messages, shown oldest first; "/history 50" shows more
+          const limit = Number(args[0]) || 20;
+          const history = engine.getSessionHistory("default", { limit, order: "desc" });
+          console.log(`\n📜 SESSION HISTORY (${history.messages.length} of ${history.total} messages):`);
+          for (const message of history.messages.reverse()) {
+            const time = new Date(message.createdAt).toLocaleTimeString();
+            const speaker = message.role === "user" ? "You" : `🤖 ${message.model || "Assistant"}`;
+            const attached = message.attachments.map(attachment => ` [${attachment.type}: ${attachment.name || "attachment"}]`).join("");
+            console.log(`${message.seq}. [${time}] ${speaker}:${attached} ${message.content}`);
+          }
           console.log();
           break;
+        }
 
         case "/clear":
           await engine.clearSession("default");
           break;
 
+        case "/forget":
+          try {
+            const receipt = await engine.forget({ sessionId: "default" });
+            console.log("\n🧹 DELETION RECEIPT:");
+            console.log(`  Receipt: ${receipt.id}`);
+            console.log(`  Hot turns: ${receipt.removed.hot}, warm: ${receipt.removed.warm.length}, cold: ${receipt.removed.cold.length}`);
+            console.log(`  Facts: ${receipt.removed.facts}, cached embeddings: ${receipt.removed.embeddingCache}, cost records: ${receipt.removed.costRecords ?? 0}`);
+            console.log(`  Complete: ${receipt.complete ? "yes" : "no"}`);
+            console.log(`  Digest: ${receipt.digest}\n`);
+          } catch (error) {
+            console.log(`❌ Error: ${error.message}`);
+          }
+          break;
+
         case "/exit":
           console.log("\n👋 Goodbye!\n");
           process.exit(0);
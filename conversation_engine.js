@@ -1,8 +1,14 @@
+import crypto from "crypto";
 import { router } from "./model_router.js";
-import { memory, vectorStore } from "./gemini_memory_system.js";
+import { sessionMemory, vectorStore } from "./gemini_memory_system.js";
 import { memoryOrch } from "./memory_orchestrator.js";
+import { embeddingCache } from "./memory/embeddings.js";
+import { memoryEncryption } from "./memory/encryption.js";
 import { cacheManager } from "./gemini_caching.js";
 import { plugins } from "./plugins/plugin_system.js";
+import { buildMessages } from "./models/messages.js";
+
+const SYSTEM_PROMPT = "You are a helpful assistant with long-term memory of your conversations with this user. Use the memory context when it is relevant to the question, and say so when you do not know something rather than guessing.";
 
 class ConversationEngine {
   constructor() {
@@ -11,7 +17,29 @@ class ConversationEngine {
   }
 
   async initialize(worldData) {
+    // Fails with a clear error when encrypted memory exists but no key is set
+    memoryEncryption.initialize();
+
+    try {
+      embeddingCache.load();
+    } catch (error) {
+      console.log("⚠️ Could not load embedding cache from disk:", error.message);
+    }
+
+    try {
+      await vectorStore.initialize();
+    } catch (error) {
+      console.log("⚠️ Could not load warm memory from disk:", error.message);
+    }
+
     await memoryOrch.initialize();
+
+    // Encrypts plaintext left from before encryption was enabled and rotates
+    // data keys older than MEMORY_KEY_ROTATION_DAYS, in the background
+    memoryEncryption.startRotationSchedule();
+
+    // Merges duplicates and moves aging warm memories to cold storage
+    memoryOrch.consolidation.start();
     
     // Create world cache if data provided (optional)
     if (worldData && Object.keys(worldData).length > 0) {
@@ -33,65 +61,130 @@ class ConversationEngine {
       throw new Error("Engine not initialized. Call initialize() first.");
     }
 
+    const receivedAt = Date.now();
     console.log(`\n${"=".repeat(60)}`);
     console.log(`💬 USER: ${userMessage}`);
     console.log(`${"=".repeat(60)}\n`);
 
+    // Tag the session with its user so forget({ userId }) can find it
+    if (options.userId) {
+      sessionMemory.get(sessionId).userId = options.userId;
+    }
+
     // PLUGIN HOOK: beforeQuery
     let processedMessage = await plugins.executeHook('beforeQuery', {
       message: userMessage,
       sessionId
     });
 
+    // The route is planned first so memory is packed to the budget of the
+    // model that will answer
+    const route = await router.planRoute(userMessage);
+
     const memoryResult = await memoryOrch.processQuery(
       processedMessage.message || userMessage, 
-      sessionId
+      sessionId,
+      {
+        model: options.model || route.model,
+        budget: options.contextBudget,
+        since: options.since,
+        until: options.until,
+        separateHistory: true
+      }
     );
     
     // PLUGIN HOOK: onModelRoute (before routing)
     const routeData = await plugins.executeHook('onModelRoute', {
       query: userMessage,
-      context: memoryResult.context
+      context: memoryResult.context,
+      history: memoryResult.history
     });
+
+    // System prompt, memory context and recent turns as separate messages,
+    // rendered by each provider in its own chat format
+    const query = routeData.query || userMessage;
+    const messages = buildMessages({
+      system: SYSTEM_PROMPT,
+      context: routeData.context || memoryResult.context,
+      history: routeData.history || memoryResult.history,
+      query
+    });
+    const result = await router.routeQuery(query, messages, route);
     
-    const result = await router.routeQuery(
-      routeData.query || userMessage, 
-      routeData.context || memoryResult.context
-    );
-    
+    // Memories injected into the prompt, flagged when the reply cites them
+    const memoriesUsed = memoryResult.memories.map(memory => ({
+      ...memory,
+      cited: String(result.response || "").includes(`[mem:${memory.ref}]`)
+    }));
+
     // PLUGIN HOOK: afterQuery
     const enhancedResult = await plugins.executeHook('afterQuery', {
       ...result,
+      memories_used: memoriesUsed,
       metadata: {
         complexity: result.analysis.complexity,
         memoryTokens: memoryResult.tokenCount,
+        contextPacking: memoryResult.packing,
+        timeRange: memoryResult.timeRange,
+        sessionId,
+        userId: options.userId,
         cached: true,
         tokens: result.analysis.estimatedTokens
       }
     });
     
-    // Save to memory
-    const conversationText = `User: ${userMessage}\nAssistant: ${result.response}`;
-    
-    // PLUGIN HOOK: onMemorySave
-    const memoryData = await plugins.executeHook('onMemorySave', conversationText);
+    // PLUGIN HOOK: onMemorySave (redaction etc.) runs before anything is
+    // stored, and every tier saves what the plugins hand back
+    const memoryData = await plugins.executeHook('onMemorySave', {
+      sessionId,
+      userId: options.userId,
+      input: userMessage,
+      output: result.response,
+      text: `User: ${userMessage}\nAssistant: ${result.response}`,
+      metadata: {}
+    });
     
-    await memory.saveContext(
-      { input: userMessage },
-      { response: result.response }
+    const turnId = await sessionMemory.get(sessionId).saveContext(
+      { input: memoryData.input },
+      { response: memoryData.output },
+      memoryData.metadata
     );
 
+    memoryOrch.recordTranscript(sessionId, {
+      turnId,
+      userId: options.userId,
+      input: memoryData.input,
+      output: memoryData.output,
+      model: result.model,
+      provider: result.provider,
+      attachments: options.attachments,
+      contextTokens: memoryResult.tokenCount,
+      receivedAt
+    });
+    memoryOrch.learnFacts(sessionId, memoryData.input, { userId: options.userId });
+    memoryOrch.learnGraph(sessionId, memoryData.input, { userId: options.userId, sourceId: turnId });
+
     if (result.analysis.requiresMemory) {
       await memoryOrch.saveToLongTerm(
-        memoryData || conversationText,
+        memoryData.text,
         {
+          ...memoryData.metadata,
           sessionId,
+          ...(options.userId && { userId: options.userId }),
           type: result.analysis.type,
           timestamp: Date.now()
         }
       );
     }
 
+    // Statements that contradict what the user said before are flagged, and
+    // retrieval prefers the newer one until the user clarifies
+    await memoryOrch.detectContradictions(sessionId, turnId);
+
+    // Older turns roll up into summaries once hot memory is full; this runs
+    // in the background so the reply does not wait for the summarizer
+    memoryOrch.rollUp(sessionId);
+
     console.log(`\n${"=".repeat(60)}`);
     console.log(`🤖 ${result.model.toUpperCase()}: ${result.response}`);
     console.log(`${"=".repeat(60)}\n`);
@@ -99,19 +192,70 @@ class ConversationEngine {
     return enhancedResult;
   }
 
-  async getSessionHistory(sessionId) {
-    try {
-      const results = await vectorStore.similaritySearch(`session:${sessionId}`, 50);
-      return results.map(r => r.pageContent);
-    } catch (error) {
-      console.log("⚠️ Could not retrieve history:", error.message);
-      return [];
+  // A page of the session transcript, oldest first unless `order` is "desc"
+  getSessionHistory(sessionId, { limit = 50, cursor = null, order = "asc" } = {}) {
+    return memoryOrch.transcripts.list(sessionId, { limit, cursor, order });
+  }
+
+  // Records an exchange that did not go through chat() (e.g. the CLI's
+  // /image and /audio commands) in the session transcript, after the same
+  // onMemorySave hooks (PII redaction) that chat() runs
+  async recordExchange(sessionId, { input, output, model = null, attachments = [] }) {
+    const userId = sessionMemory.get(sessionId).userId;
+    const memoryData = await plugins.executeHook('onMemorySave', {
+      sessionId,
+      userId,
+      input,
+      output,
+      text: `User: ${input}\nAssistant: ${output}`,
+      metadata: {}
+    });
+
+    return memoryOrch.recordTranscript(sessionId, {
+      turnId: crypto.randomUUID(),
+      userId,
+      input: memoryData.input,
+      output: memoryData.output,
+      model,
+      attachments
+    });
+  }
+
+  // Right to be forgotten: deletes everything stored for a session, or for
+  // every session of a user, and returns a verifiable deletion receipt
+  async forget({ sessionId, userId } = {}) {
+    if (!sessionId && !userId) {
+      throw new Error("forget() needs a sessionId or a userId");
+    }
+
+    const sessionIds = userId ? await memoryOrch.sessionsOfUser(userId) : [];
+    if (sessionId && !sessionIds.includes(sessionId)) {
+      sessionIds.push(sessionId);
     }
+
+    const removed = await memoryOrch.forget({ sessionIds, userId });
+
+    // PLUGIN HOOK: onForget (plugins drop their own records, e.g. costs)
+    const forgotten = await plugins.executeHook('onForget', { sessionIds, userId, removed });
+    sessionIds.forEach(id => this.sessionData.delete(id));
+
+    const receipt = memoryOrch.receipts.issue({
+      subject: userId ? { type: "user", id: userId } : { type: "session", id: sessionId },
+      sessionIds,
+      removed: forgotten.removed,
+      remaining: await memoryOrch.remainingFor({ sessionIds, userId })
+    });
+
+    console.log(`🧹 Forgot ${receipt.subject.type} (${sessionIds.length} sessions), receipt ${receipt.id}${receipt.complete ? "" : " ⚠️ incomplete"}`);
+    return receipt;
   }
 
   async clearSession(sessionId) {
-    await memory.clear();
-    console.log(`🗑️  Session ${sessionId} cleared from hot memory`);
+    if (sessionMemory.clear(sessionId)) {
+      console.log(`🗑️  Session ${sessionId} cleared from hot memory`);
+    } else {
+      console.log(`ℹ️ Session ${sessionId} has no hot memory to clear`);
+    }
   }
 }
 
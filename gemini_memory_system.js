@@ -1,8 +1,12 @@
 import dotenv from "dotenv";
 dotenv.config();
-import { ChatGoogleGenerativeAI, GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
-import { MemoryVectorStore } from "langchain/vectorstores/memory";
+import crypto from "crypto";
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
 import { HumanMessage, AIMessage, SystemMessage } from "@langchain/core/messages";
+import { VectorTier } from "./memory/vector_tier.js";
+import { createVectorBackend } from "./memory/backends/index.js";
+import { tierBackendConfig, retrievalConfig, dedupConfig } from "./memory/config.js";
+import { embeddings } from "./memory/embeddings.js";
 
 const model = new ChatGoogleGenerativeAI({
     model: "gemini-2.5-flash",
@@ -11,49 +15,65 @@ const model = new ChatGoogleGenerativeAI({
     apiKey: process.env.GOOGLE_API_KEY,
 });
 
-const embeddings = new GoogleGenerativeAIEmbeddings({
-  model: "text-embedding-004",
-  apiKey: process.env.GOOGLE_API_KEY,
-});
-
-// Use in-memory vector store instead of ChromaDB
+// Warm tier; the backend is picked by WARM_MEMORY_BACKEND (loaded by initialize())
 let vectorStore;
 try {
-  vectorStore = new MemoryVectorStore(embeddings);
-  console.log("✅ In-memory vector store initialized");
+  vectorStore = new VectorTier(
+    "Warm",
+    createVectorBackend(tierBackendConfig("warm")),
+    embeddings,
+    { ...retrievalConfig(), ...dedupConfig() }
+  );
 } catch (error) {
   console.log("⚠️ Vector store initialization failed:", error.message);
   // Create a fallback null object
   vectorStore = {
-    addDocuments: async () => {},
+    initialize: async () => 0,
+    addDocuments: async () => [],
     similaritySearch: async () => []
   };
 }
 
 class EnhancedMemory {
-    constructor() {
-        this.maxTokens = 100000;
-        this.currentTokens = 0;
+    constructor(sessionId = "default") {
+        this.sessionId = sessionId;
+        // Set by the engine when the caller identifies the user
+        this.userId = null;
+        this.lastAccessed = Date.now();
         this.messages = [];
         this.chatHistory = [];
     }
 
-    async saveContext(inputValues, outputValues) {
+    // `metadata` (e.g. a redaction report) is kept on the hot turn and the warm
+    // record. Returns the id of the new turn.
+    async saveContext(inputValues, outputValues, metadata = {}) {
         this.messages.push(new HumanMessage(inputValues.input));
         this.messages.push(new AIMessage(outputValues.response));
         
-        this.chatHistory.push({
+        // The turn keeps the same id in hot and warm memory
+        const turnId = crypto.randomUUID();
+        const turn = {
+            id: turnId,
             input: inputValues.input,
             output: outputValues.response,
-            timestamp: Date.now()
-        });
+            timestamp: Date.now(),
+            metadata
+        };
+        this.chatHistory.push(turn);
         
         try {
-            const conversation = `Human: ${inputValues.input}\nAI: ${outputValues.response}`;
-            await vectorStore.addDocuments([
+            // Same text the engine archives to cold storage, so the embedding is reused
+            const conversation = `User: ${inputValues.input}\nAssistant: ${outputValues.response}`;
+            // A near-duplicate is merged into an earlier memory; the turn keeps
+            // the id of the memory that holds it
+            [turn.memoryId] = await vectorStore.addDocuments([
                 {
+                    id: turnId,
                     pageContent: conversation,
                     metadata: {
+                        ...metadata,
+                        sessionId: this.sessionId,
+                        ...(this.userId && { userId: this.userId }),
                         timestamp: Date.now(),
                         type: "conversation"
                     }
@@ -63,10 +83,7 @@ class EnhancedMemory {
             console.log("⚠️ Could not save to vector store:", error.message);
         }
 
-        this.currentTokens += (inputValues.input.length + outputValues.response.length) / 4;
-        if (this.currentTokens > 80000) {
-            await this.summarizeHistory();
-        }
+        return turnId;
     }
 
     async loadMemoryVariables() {
@@ -77,35 +94,15 @@ class EnhancedMemory {
         return { history };
     }
 
-    async summarizeHistory() {
-        console.log("📝 Summarizing conversation history...");
-        const { history } = await this.loadMemoryVariables();
-        
-        if (!history) {
-            console.log("⚠️ No history to summarize");
-            return;
-        }
-
-        try {
-            const summary = await model.invoke(
-                `Summarize the following conversation:\n\n${history}`
-            );
-
-            this.messages = [
-                new SystemMessage(`CONVERSATION SUMMARY: ${summary.content}`),
-                ...this.messages.slice(-10)
-            ];
-            
-            this.chatHistory = [
-                { input: "SUMMARY", output: summary.content, timestamp: Date.now() },
-                ...this.chatHistory.slice(-5)
-            ];
-            
-            this.currentTokens = summary.content.length / 4;
-            console.log("✅ History summarized");
-        } catch (error) {
-            console.log("⚠️ Could not summarize:", error.message);
-        }
+    // Drops turns that were rolled up into summaries (the orchestrator has
+    // archived them to cold storage); `summary` stands in for them
+    releaseTurns(ids, summary) {
+        const released = new Set(ids);
+        this.chatHistory = this.chatHistory.filter(item => !released.has(item.id));
+        this.messages = [
+            ...(summary ? [new SystemMessage(`CONVERSATION SUMMARY: ${summary}`)] : []),
+            ...this.chatHistory.flatMap(item => [new HumanMessage(item.input), new AIMessage(item.output)])
+        ];
     }
 
     async retrieveRelevantContext(query) {
@@ -125,6 +122,24 @@ class EnhancedMemory {
         return this.messages;
     }
 
+    getTurn(id) {
+        return this.chatHistory.find(item => item.id === id) || null;
+    }
+
+    updateTurn(id, changes) {
+        const turn = this.getTurn(id);
+        if (!turn) return null;
+
+        Object.assign(turn, changes, { updatedAt: Date.now() });
+        return turn;
+    }
+
+    removeTurn(id) {
+        const before = this.chatHistory.length;
+        this.chatHistory = this.chatHistory.filter(item => item.id !== id);
+        return this.chatHistory.length < before;
+    }
+
     async chat(input) {
         console.log("\n💬 User:", input);
         
@@ -150,14 +165,86 @@ class EnhancedMemory {
     clear() {
         this.messages = [];
         this.chatHistory = [];
-        this.currentTokens = 0;
-        console.log("🗑️ Memory cleared");
+        console.log(`🗑️ Memory cleared (session ${this.sessionId})`);
+    }
+}
+
+// Hot memory is kept per session. Sessions are held in insertion order so the
+// first entry of the map is always the least recently used one.
+class SessionMemoryStore {
+    constructor({ maxSessions = 100, idleTimeoutMs = 30 * 60 * 1000 } = {}) {
+        this.maxSessions = maxSessions;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.sessions = new Map();
+    }
+
+    get(sessionId = "default") {
+        this.evictIdle();
+
+        let session = this.sessions.get(sessionId);
+        if (session) {
+            this.sessions.delete(sessionId);
+        } else {
+            session = new EnhancedMemory(sessionId);
+        }
+
+        session.lastAccessed = Date.now();
+        this.sessions.set(sessionId, session);
+
+        while (this.sessions.size > this.maxSessions) {
+            const [oldestId] = this.sessions.keys();
+            this.sessions.delete(oldestId);
+            console.log(`♻️ Evicted hot memory for session ${oldestId} (LRU)`);
+        }
+
+        return session;
+    }
+
+    has(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    clear(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return false;
+
+        session.clear();
+        this.sessions.delete(sessionId);
+        return true;
+    }
+
+    // Walks every turn held in hot memory without touching LRU order
+    *turns() {
+        for (const [sessionId, session] of this.sessions) {
+            for (const turn of session.chatHistory) {
+                yield { sessionId, session, turn };
+            }
+        }
+    }
+
+    evictIdle(now = Date.now()) {
+        for (const [sessionId, session] of this.sessions) {
+            if (now - session.lastAccessed <= this.idleTimeoutMs) break;
+            this.sessions.delete(sessionId);
+            console.log(`♻️ Evicted idle hot memory for session ${sessionId}`);
+        }
+    }
+
+    getStats() {
+        return {
+            activeSessions: this.sessions.size,
+            maxSessions: this.maxSessions,
+            idleTimeoutMs: this.idleTimeoutMs
+        };
     }
 }
 
-const memory = new EnhancedMemory();
+const sessionMemory = new SessionMemoryStore({
+    maxSessions: Number(process.env.HOT_MEMORY_MAX_SESSIONS) || 100,
+    idleTimeoutMs: Number(process.env.HOT_MEMORY_IDLE_TIMEOUT_MS) || 30 * 60 * 1000
+});
 
 // Export chromaClient as null for compatibility
 const chromaClient = null;
 
-export { model, memory, vectorStore, chromaClient };
\ No newline at end of file
+export { model, EnhancedMemory, SessionMemoryStore, sessionMemory, vectorStore, chromaClient };
\ No newline at end of file
@@ -20,13 +20,24 @@ const CHAT_LOG_FILE = path.join(MEMORY_PATH, "chat_history.json");
 
 if (!fs.existsSync(MEMORY_PATH)) fs.mkdirSync(MEMORY_PATH);
 
+// The memory server seals this file once memory encryption is enabled. This
+// script cannot decrypt it, and must not overwrite it with plaintext.
+function isSealed(data) {
+  return data !== null && typeof data === "object" && !Array.isArray(data) && data.$enc !== undefined;
+}
+
 function loadChatHistory() {
   if (!fs.existsSync(CHAT_LOG_FILE)) return [];
+  let data;
   try {
-    return JSON.parse(fs.readFileSync(CHAT_LOG_FILE, "utf-8"));
+    data = JSON.parse(fs.readFileSync(CHAT_LOG_FILE, "utf-8"));
   } catch {
     return [];
   }
+  if (isSealed(data)) {
+    throw new Error(`${CHAT_LOG_FILE} is encrypted by the memory server; use the server instead of memory.js`);
+  }
+  return Array.isArray(data) ? data : [];
 }
 
 function saveChatHistory(chatHistory) {
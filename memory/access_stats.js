@@ -0,0 +1,64 @@
+import { AppendOnlyLog } from "./append_only_log.js";
+
+// How often and how recently each warm or cold memory made it into a prompt.
+// Only ids and counters are kept, never content. Consolidation scores the
+// importance of a memory from these.
+class AccessStats {
+  constructor({ directory = null } = {}) {
+    this.log = directory ? new AppendOnlyLog(directory, "memory_access") : null;
+    this.stats = new Map();
+  }
+
+  load() {
+    if (this.log) {
+      this.stats = this.log.load();
+    }
+    return this.stats.size;
+  }
+
+  save(entry) {
+    this.log?.put(entry.id, entry);
+    this.stats.set(entry.id, entry);
+  }
+
+  record(ids, timestamp = Date.now()) {
+    for (const id of new Set(ids)) {
+      const current = this.stats.get(id);
+      this.save({ id, count: (current?.count || 0) + 1, lastAccessedAt: timestamp });
+    }
+  }
+
+  get(id) {
+    return this.stats.get(id) || null;
+  }
+
+  // Folds the counters of memories merged into `keptId` into its own
+  merge(keptId, ids) {
+    const entries = [keptId, ...ids].map(id => this.stats.get(id)).filter(Boolean);
+    if (entries.length === 0) return;
+
+    this.forget(ids);
+    this.save({
+      id: keptId,
+      count: entries.reduce((sum, entry) => sum + entry.count, 0),
+      lastAccessedAt: Math.max(...entries.map(entry => entry.lastAccessedAt))
+    });
+  }
+
+  forget(ids) {
+    let removed = 0;
+    for (const id of ids) {
+      if (!this.stats.has(id)) continue;
+      this.log?.delete(id);
+      this.stats.delete(id);
+      removed++;
+    }
+    return removed;
+  }
+
+  compact() {
+    this.log?.compact();
+  }
+}
+
+export { AccessStats };
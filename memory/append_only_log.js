@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+import { memoryEncryption, keyIdOf } from "./encryption.js";
+
+/**
+ * Durable record store made of a JSON snapshot plus an append-only log of the
+ * changes made since that snapshot.
+ *
+ * Every change is appended as one JSON line and fsynced before it is applied,
+ * so a crash can at worst leave a half-written last line, which is ignored on
+ * load. Compaction writes the snapshot to a temp file and renames it into
+ * place before the log is truncated; replaying a log over a snapshot that
+ * already contains it is harmless because every entry is a full put or delete.
+ *
+ * Values are sealed by `encryption` before they are written, so both files
+ * only hold ciphertext once memory encryption is enabled.
+ */
+class AppendOnlyLog {
+  constructor(directory, name, { compactEvery = 500, encryption = memoryEncryption } = {}) {
+    this.directory = directory;
+    this.label = name;
+    this.encryption = encryption;
+    this.snapshotPath = path.join(directory, `${name}.snapshot.json`);
+    this.logPath = path.join(directory, `${name}.log`);
+    this.compactEvery = compactEvery;
+    this.records = new Map();
+    // Data key each record is sealed with on disk (null for plaintext)
+    this.keyIds = new Map();
+    this.pendingEntries = 0;
+  }
+
+  // Whether anything has been written to disk yet
+  exists() {
+    return fs.existsSync(this.snapshotPath) || fs.existsSync(this.logPath);
+  }
+
+  load() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.records = new Map();
+    this.keyIds = new Map();
+
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, "utf-8"));
+      for (const [id, stored] of snapshot.records) {
+        this.records.set(id, this.encryption.open(stored));
+        this.keyIds.set(id, keyIdOf(stored));
+      }
+    }
+
+    let tornWrite = false;
+    if (fs.existsSync(this.logPath)) {
+      const lines = fs.readFileSync(this.logPath, "utf-8").split("\n").filter(Boolean);
+      lines.forEach((line, index) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          if (index === lines.length - 1) {
+            tornWrite = true;
+            return;
+          }
+          throw new Error(`Corrupt entry ${index + 1} in ${this.logPath}`);
+        }
+        this.apply(entry);
+      });
+      this.pendingEntries = lines.length;
+    }
+
+    // Fold a torn or oversized log into a fresh snapshot straight away
+    if (tornWrite || this.pendingEntries >= this.compactEvery) {
+      if (tornWrite) console.log(`⚠️ Discarded incomplete write at the end of ${this.logPath}`);
+      this.compact();
+    }
+
+    this.encryption.register(this);
+    return this.records;
+  }
+
+  apply(entry, value) {
+    if (entry.op === "put") {
+      this.records.set(entry.id, value === undefined ? this.encryption.open(entry.value) : value);
+      this.keyIds.set(entry.id, keyIdOf(entry.value));
+    } else if (entry.op === "delete") {
+      this.records.delete(entry.id);
+      this.keyIds.delete(entry.id);
+    }
+  }
+
+  append(entry, value) {
+    const fd = fs.openSync(this.logPath, "a");
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + "\n");
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.apply(entry, value);
+    this.pendingEntries++;
+    if (this.pendingEntries >= this.compactEvery) {
+      this.compact();
+    }
+  }
+
+  put(id, value) {
+    this.append({ op: "put", id, value: this.encryption.seal(value) }, value);
+  }
+
+  delete(id) {
+    if (!this.records.has(id)) return false;
+    this.append({ op: "delete", id });
+    return true;
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  values() {
+    return Array.from(this.records.values());
+  }
+
+  compact() {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const records = Array.from(this.records.entries()).map(([id, value]) => [id, this.encryption.seal(value)]);
+    const fd = fs.openSync(tmpPath, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify({
+        version: 1,
+        compactedAt: Date.now(),
+        records
+      }));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tmpPath, this.snapshotPath);
+    fs.writeFileSync(this.logPath, "");
+    this.keyIds = new Map(records.map(([id, stored]) => [id, keyIdOf(stored)]));
+    this.pendingEntries = 0;
+  }
+
+  needsReencryption() {
+    for (const [id, keyId] of this.keyIds) {
+      if (!this.encryption.isCurrent(keyId, this.records.get(id))) return true;
+    }
+    return false;
+  }
+
+  // Compaction seals every record again with the current keys
+  async reencrypt() {
+    if (!this.needsReencryption()) return 0;
+    this.compact();
+    return this.records.size;
+  }
+}
+
+export { AppendOnlyLog };
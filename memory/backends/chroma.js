@@ -0,0 +1,140 @@
+import { ChromaClient } from "chromadb";
+import { VectorBackend, isRange } from "./vector_backend.js";
+
+const RANGE_OPERATORS = { gt: "$gt", gte: "$gte", lt: "$lt", lte: "$lte" };
+
+function isScalar(value) {
+  return ["string", "number", "boolean"].includes(typeof value);
+}
+
+function toChromaWhere(filter) {
+  if (!filter) return undefined;
+
+  const clauses = Object.entries(filter)
+    .filter(([, condition]) => condition !== undefined)
+    .flatMap(([key, condition]) => {
+      if (Array.isArray(condition)) return [{ [key]: { $in: condition } }];
+      if (isRange(condition)) {
+        return Object.entries(condition).map(([op, value]) => ({ [key]: { [RANGE_OPERATORS[op]]: value } }));
+      }
+      return [{ [key]: { $eq: condition } }];
+    });
+
+  if (clauses.length === 0) return undefined;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// Chroma only accepts scalar metadata values, so the full metadata object is
+// kept as JSON under _metadata and the scalar fields are copied alongside it
+// for filtering.
+function toChromaMetadata(metadata = {}) {
+  const flat = { _metadata: JSON.stringify(metadata) };
+  for (const [key, value] of Object.entries(metadata)) {
+    if (isScalar(value)) flat[key] = value;
+  }
+  return flat;
+}
+
+function fromChromaMetadata(metadata) {
+  if (!metadata) return {};
+  return metadata._metadata ? JSON.parse(metadata._metadata) : metadata;
+}
+
+function fromGetResponse(results) {
+  return results.ids.map((id, idx) => ({
+    id,
+    content: results.documents[idx],
+    embedding: results.embeddings?.[idx],
+    metadata: fromChromaMetadata(results.metadatas[idx])
+  }));
+}
+
+// Chroma server or Chroma Cloud backend (configured like test_chromadb.js).
+// Embeddings are always computed by the memory system and passed in.
+class ChromaBackend extends VectorBackend {
+  constructor({ url, apiKey, tenant, database, collection }) {
+    super("chroma");
+    this.client = new ChromaClient({
+      path: url,
+      auth: apiKey ? { provider: "token", credentials: apiKey } : undefined,
+      tenant,
+      database
+    });
+    this.collectionName = collection;
+    this.collection = null;
+  }
+
+  async initialize() {
+    this.collection = await this.client.getOrCreateCollection({
+      name: this.collectionName,
+      metadata: { "hnsw:space": "cosine" },
+      embeddingFunction: {
+        generate: async () => {
+          throw new Error("ChromaBackend expects precomputed embeddings");
+        }
+      }
+    });
+  }
+
+  async upsert(records) {
+    await this.collection.upsert({
+      ids: records.map(record => String(record.id)),
+      embeddings: records.map(record => record.embedding),
+      documents: records.map(record => record.content),
+      metadatas: records.map(record => toChromaMetadata(record.metadata))
+    });
+  }
+
+  async search(vector, { limit = 5, filter } = {}) {
+    const results = await this.collection.query({
+      queryEmbeddings: [vector],
+      nResults: limit,
+      where: toChromaWhere(filter),
+      include: ["documents", "metadatas", "embeddings", "distances"]
+    });
+
+    return (results.ids[0] || []).map((id, idx) => ({
+      id,
+      content: results.documents[0][idx],
+      embedding: results.embeddings?.[0]?.[idx],
+      metadata: fromChromaMetadata(results.metadatas[0][idx]),
+      score: 1 - results.distances[0][idx]
+    }));
+  }
+
+  async get(ids) {
+    if (ids.length === 0) return [];
+    const results = await this.collection.get({
+      ids: ids.map(String),
+      include: ["documents", "metadatas", "embeddings"]
+    });
+
+    return fromGetResponse(results);
+  }
+
+  async delete(ids) {
+    if (ids.length === 0) return 0;
+    const existing = await this.collection.get({ ids: ids.map(String) });
+    await this.collection.delete({ ids: ids.map(String) });
+    return existing.ids.length;
+  }
+
+  async filter(filter, { limit = 50, offset = 0 } = {}) {
+    const results = await this.collection.get({
+      where: toChromaWhere(filter),
+      limit,
+      offset,
+      include: ["documents", "metadatas", "embeddings"]
+    });
+
+    return fromGetResponse(results);
+  }
+
+  async count(filter) {
+    if (!filter) return this.collection.count();
+    const results = await this.collection.get({ where: toChromaWhere(filter), include: [] });
+    return results.ids.length;
+  }
+}
+
+export { ChromaBackend };
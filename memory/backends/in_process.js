@@ -0,0 +1,73 @@
+import { VectorBackend, matchesFilter, rankBySimilarity } from "./vector_backend.js";
+import { AppendOnlyLog } from "../append_only_log.js";
+
+// Keeps every record in a Map. When a directory is given the records are also
+// written to an append-only log there and reloaded by initialize().
+class InProcessBackend extends VectorBackend {
+  constructor({ directory, name = "memory", compactEvery } = {}) {
+    super("in-process");
+    this.records = new Map();
+    this.log = directory ? new AppendOnlyLog(directory, name, { compactEvery }) : null;
+  }
+
+  async initialize() {
+    if (this.log) {
+      this.records = this.log.load();
+    }
+  }
+
+  async upsert(records) {
+    for (const record of records) {
+      if (this.log) {
+        this.log.put(record.id, record);
+      } else {
+        this.records.set(record.id, record);
+      }
+    }
+  }
+
+  async search(vector, { limit = 5, filter } = {}) {
+    const candidates = Array.from(this.records.values())
+      .filter(record => matchesFilter(record.metadata, filter));
+    return rankBySimilarity(candidates, vector, limit);
+  }
+
+  async get(ids) {
+    return ids.map(id => this.records.get(id)).filter(Boolean);
+  }
+
+  async delete(ids) {
+    let deleted = 0;
+    for (const id of ids) {
+      if (!this.records.has(id)) continue;
+      if (this.log) {
+        this.log.delete(id);
+      } else {
+        this.records.delete(id);
+      }
+      deleted++;
+    }
+    return deleted;
+  }
+
+  async filter(filter, { limit = 50, offset = 0 } = {}) {
+    return Array.from(this.records.values())
+      .filter(record => matchesFilter(record.metadata, filter))
+      .slice(offset, offset + limit);
+  }
+
+  async count(filter) {
+    if (!filter) return this.records.size;
+    let total = 0;
+    for (const record of this.records.values()) {
+      if (matchesFilter(record.metadata, filter)) total++;
+    }
+    return total;
+  }
+
+  async compact() {
+    this.log?.compact();
+  }
+}
+
+export { InProcessBackend };
@@ -0,0 +1,22 @@
+import { InProcessBackend } from "./in_process.js";
+import { SqliteBackend } from "./sqlite.js";
+import { QdrantBackend } from "./qdrant.js";
+import { ChromaBackend } from "./chroma.js";
+
+function createVectorBackend(config) {
+  switch (config.type) {
+    case "memory":
+      return new InProcessBackend(config);
+    case "sqlite":
+      return new SqliteBackend(config);
+    case "qdrant":
+      return new QdrantBackend(config);
+    case "chroma":
+      return new ChromaBackend(config);
+    default:
+      throw new Error(`Unknown vector backend: ${config.type}`);
+  }
+}
+
+export { createVectorBackend, InProcessBackend, SqliteBackend, QdrantBackend, ChromaBackend };
+export { VectorBackend } from "./vector_backend.js";
@@ -0,0 +1,114 @@
+import { QdrantClient } from "@qdrant/js-client-rest";
+import { VectorBackend, isRange } from "./vector_backend.js";
+
+function toQdrantFilter(filter) {
+  if (!filter) return undefined;
+
+  const must = Object.entries(filter)
+    .filter(([, condition]) => condition !== undefined)
+    .map(([key, condition]) => {
+      if (Array.isArray(condition)) return { key, match: { any: condition } };
+      if (isRange(condition)) return { key, range: condition };
+      return { key, match: { value: condition } };
+    });
+
+  return must.length > 0 ? { must } : undefined;
+}
+
+function fromPoint(point) {
+  const { content, ...metadata } = point.payload || {};
+  return {
+    id: point.id,
+    content,
+    embedding: point.vector,
+    metadata
+  };
+}
+
+// Qdrant server backend. The record's content and metadata are stored
+// together in the point payload.
+class QdrantBackend extends VectorBackend {
+  constructor({ url = "http://localhost:6333", apiKey, collection, dimension = 768 }) {
+    super("qdrant");
+    this.client = new QdrantClient({ url, apiKey });
+    this.collection = collection;
+    this.dimension = dimension;
+  }
+
+  async initialize() {
+    const { exists } = await this.client.collectionExists(this.collection);
+    if (!exists) {
+      await this.client.createCollection(this.collection, {
+        vectors: {
+          size: this.dimension,
+          distance: "Cosine"
+        }
+      });
+      console.log(`✅ Qdrant collection created: ${this.collection}`);
+    }
+  }
+
+  async upsert(records) {
+    await this.client.upsert(this.collection, {
+      wait: true,
+      points: records.map(record => ({
+        id: record.id,
+        vector: record.embedding,
+        payload: {
+          ...record.metadata,
+          content: record.content
+        }
+      }))
+    });
+  }
+
+  async search(vector, { limit = 5, filter } = {}) {
+    const results = await this.client.search(this.collection, {
+      vector,
+      limit,
+      filter: toQdrantFilter(filter),
+      with_payload: true,
+      with_vector: true
+    });
+
+    return results.map(point => ({ ...fromPoint(point), score: point.score }));
+  }
+
+  async get(ids) {
+    if (ids.length === 0) return [];
+    const points = await this.client.retrieve(this.collection, {
+      ids,
+      with_payload: true,
+      with_vector: true
+    });
+    return points.map(fromPoint);
+  }
+
+  async delete(ids) {
+    if (ids.length === 0) return 0;
+    const existing = await this.client.retrieve(this.collection, { ids, with_payload: false });
+    await this.client.delete(this.collection, { wait: true, points: ids });
+    return existing.length;
+  }
+
+  async filter(filter, { limit = 50, offset = 0 } = {}) {
+    // Qdrant pages by point id, so numeric offsets are applied client-side
+    const { points } = await this.client.scroll(this.collection, {
+      filter: toQdrantFilter(filter),
+      limit: offset + limit,
+      with_payload: true,
+      with_vector: true
+    });
+    return points.slice(offset).map(fromPoint);
+  }
+
+  async count(filter) {
+    const { count } = await this.client.count(this.collection, {
+      filter: toQdrantFilter(filter),
+      exact: true
+    });
+    return count;
+  }
+}
+
+export { QdrantBackend };
@@ -0,0 +1,321 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import initSqlJs from "sql.js";
+import { VectorBackend, isRange, matchesFilter, rankBySimilarity } from "./vector_backend.js";
+import { memoryEncryption, tenantOf } from "../encryption.js";
+
+// Metadata keys copied into indexed columns so filters on them run in SQL
+const INDEXED_COLUMNS = {
+  sessionId: "session_id",
+  userId: "user_id",
+  type: "type",
+  pinned: "pinned",
+  embedder: "embedder",
+  contentHash: "content_hash"
+};
+
+const isIndexable = value => typeof value === "string" || typeof value === "boolean" || Number.isFinite(value);
+
+// Backends with changes not yet on disk, written out when the process exits.
+// Node skips "exit" when stopped by a signal, so SIGINT and SIGTERM write
+// them first and then exit the way the signal would have.
+const unflushed = new Set();
+
+function flushAll(reason) {
+  for (const backend of unflushed) {
+    try {
+      backend.flush();
+    } catch (error) {
+      console.log(`⚠️ Could not write ${backend.label} on ${reason}: ${error.message}`);
+    }
+  }
+}
+
+let signalsHandled = false;
+function flushOnSignals() {
+  if (signalsHandled) return;
+  signalsHandled = true;
+  for (const [signal, code] of [["SIGINT", 130], ["SIGTERM", 143]]) {
+    process.once(signal, () => {
+      flushAll(signal);
+      process.exit(code);
+    });
+  }
+}
+
+process.on("exit", () => flushAll("exit"));
+
+// Single-file SQLite store (sql.js, no native build needed). The database is
+// held in memory and written back after every change. With `flushDelayMs`
+// set, changes are instead written that long after the first unsaved one (so
+// a burst of writes costs one export), on compact() and flush(), and when the
+// process exits or is stopped with SIGINT or SIGTERM. Each write goes through a temp file and a rename, so
+// the file on disk is always a complete database.
+// Filters on the indexed metadata keys (and timestamp ranges, while
+// encryption is off) run in SQL; other keys are matched in JS on the rows SQL
+// returns. Similarity is computed in JS over the rows that pass the filter.
+// With memory encryption on, the content, embedding and metadata columns
+// hold sealed values and the indexed columns hold keyed hashes (see
+// MemoryEncryption.indexKey), so only the id is stored in the clear.
+class SqliteBackend extends VectorBackend {
+  constructor({ file, flushDelayMs = 0, encryption = memoryEncryption }) {
+    super("sqlite");
+    this.file = file;
+    this.label = path.basename(file);
+    this.flushDelayMs = flushDelayMs;
+    this.encryption = encryption;
+    this.db = null;
+    this.dirty = false;
+    this.timer = null;
+    this.indexedWith = null;
+  }
+
+  async initialize() {
+    const SQL = await initSqlJs();
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.db = fs.existsSync(this.file)
+      ? new SQL.Database(fs.readFileSync(this.file))
+      : new SQL.Database();
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS memories (
+        id TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        embedding TEXT NOT NULL,
+        metadata TEXT NOT NULL
+      )
+    `);
+    this.db.run("CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT)");
+
+    // Databases written before the indexed columns existed get them here and
+    // are filled in by the reindex below
+    const [info] = this.db.exec("PRAGMA table_info(memories)");
+    const existing = new Set(info.values.map(([, name]) => name));
+    for (const column of [...Object.values(INDEXED_COLUMNS), "timestamp"]) {
+      if (!existing.has(column)) {
+        this.db.run(`ALTER TABLE memories ADD COLUMN ${column} ${column === "timestamp" ? "REAL" : "TEXT"}`);
+      }
+      this.db.run(`CREATE INDEX IF NOT EXISTS memories_${column} ON memories (${column})`);
+    }
+    const [stored] = this.db.exec("SELECT value FROM settings WHERE key = 'index_key'");
+    this.indexedWith = stored ? stored.values[0][0] : null;
+
+    this.encryption.register(this);
+    this.ensureIndex();
+  }
+
+  // Index values are JSON, so a match in SQL is a match under ===
+  indexValue(value) {
+    if (!isIndexable(value)) return null;
+    const text = JSON.stringify(value);
+    return this.indexKey
+      ? crypto.createHmac("sha256", this.indexKey).update(text).digest("hex").slice(0, 32)
+      : text;
+  }
+
+  indexColumns(metadata = {}) {
+    return [
+      ...Object.keys(INDEXED_COLUMNS).map(key => this.indexValue(metadata[key])),
+      // Timestamps are only kept in the clear while encryption is off
+      !this.indexKey && Number.isFinite(metadata.timestamp) ? metadata.timestamp : null
+    ];
+  }
+
+  // The indexed columns are rebuilt when the index key changes: encryption
+  // turned on or off, a new master key, or a database from before indexing
+  ensureIndex() {
+    const { id, key } = this.encryption.indexKey();
+    this.indexKey = key;
+    if (this.indexedWith === id) return;
+
+    const columns = [...Object.values(INDEXED_COLUMNS), "timestamp"];
+    const [result] = this.db.exec("SELECT id, metadata FROM memories");
+    const statement = this.db.prepare(`UPDATE memories SET ${columns.map(column => `${column} = ?`).join(", ")} WHERE id = ?`);
+    try {
+      for (const [rowId, metadata] of result?.values || []) {
+        statement.run([...this.indexColumns(JSON.parse(this.encryption.openText(metadata))), rowId]);
+      }
+    } finally {
+      statement.free();
+    }
+    this.db.run("INSERT OR REPLACE INTO settings (key, value) VALUES ('index_key', ?)", [id]);
+    this.indexedWith = id;
+    this.schedulePersist();
+  }
+
+  // Splits a filter into a WHERE clause and the conditions left for JS
+  where(filter) {
+    const clauses = [];
+    const params = [];
+    const rest = {};
+    for (const [key, condition] of Object.entries(filter || {})) {
+      if (condition === undefined) continue;
+      const values = Array.isArray(condition) ? condition : [condition];
+      if (INDEXED_COLUMNS[key] && values.length > 0 && values.every(isIndexable)) {
+        clauses.push(`${INDEXED_COLUMNS[key]} IN (${values.map(() => "?").join(", ")})`);
+        params.push(...values.map(value => this.indexValue(value)));
+      } else if (key === "timestamp" && !this.indexKey && isRange(condition)
+        && Object.values(condition).every(bound => bound === undefined || Number.isFinite(bound))) {
+        for (const [op, sql] of [["gt", ">"], ["gte", ">="], ["lt", "<"], ["lte", "<="]]) {
+          if (condition[op] === undefined) continue;
+          clauses.push(`timestamp ${sql} ?`);
+          params.push(condition[op]);
+        }
+      } else {
+        rest[key] = condition;
+      }
+    }
+    return {
+      sql: clauses.length > 0 ? ` WHERE ${clauses.join(" AND ")}` : "",
+      params,
+      rest: Object.keys(rest).length > 0 ? rest : null
+    };
+  }
+
+  select(sql, params = []) {
+    const statement = this.db.prepare(`SELECT id, content, embedding, metadata FROM memories${sql}`);
+    const rows = [];
+    try {
+      if (params.length > 0) statement.bind(params);
+      while (statement.step()) {
+        const row = statement.getAsObject();
+        rows.push({
+          id: row.id,
+          content: this.encryption.openText(row.content),
+          embedding: JSON.parse(this.encryption.openText(row.embedding)),
+          metadata: JSON.parse(this.encryption.openText(row.metadata))
+        });
+      }
+    } finally {
+      statement.free();
+    }
+    return rows;
+  }
+
+  rows(ids) {
+    return ids
+      ? this.select(` WHERE id IN (${ids.map(() => "?").join(", ")})`, ids.map(String))
+      : this.select(" ORDER BY rowid");
+  }
+
+  // Rows matching `filter`; offset and limit are applied in SQL when the whole
+  // filter could be
+  matching(filter, { limit = -1, offset = 0 } = {}) {
+    this.ensureIndex();
+    const { sql, params, rest } = this.where(filter);
+    if (!rest) return this.select(`${sql} ORDER BY rowid LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const rows = this.select(`${sql} ORDER BY rowid`, params).filter(record => matchesFilter(record.metadata, rest));
+    return rows.slice(offset, limit < 0 ? undefined : offset + limit);
+  }
+
+  schedulePersist() {
+    this.dirty = true;
+    unflushed.add(this);
+    if (this.flushDelayMs <= 0) return this.flush();
+    flushOnSignals();
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      try {
+        this.flush();
+      } catch (error) {
+        console.log(`⚠️ Could not write ${this.label}: ${error.message}`);
+      }
+    }, this.flushDelayMs);
+    this.timer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.dirty) return;
+    const tmpPath = `${this.file}.tmp`;
+    fs.writeFileSync(tmpPath, Buffer.from(this.db.export()));
+    fs.renameSync(tmpPath, this.file);
+    this.dirty = false;
+    unflushed.delete(this);
+  }
+
+  async upsert(records) {
+    this.ensureIndex();
+    const columns = ["id", "content", "embedding", "metadata", ...Object.values(INDEXED_COLUMNS), "timestamp"];
+    const statement = this.db.prepare(
+      `INSERT OR REPLACE INTO memories (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+    );
+    try {
+      for (const record of records) {
+        const tenant = tenantOf(record);
+        statement.run([
+          String(record.id),
+          this.encryption.sealText(record.content, tenant),
+          this.encryption.sealText(JSON.stringify(record.embedding), tenant),
+          this.encryption.sealText(JSON.stringify(record.metadata || {}), tenant),
+          ...this.indexColumns(record.metadata)
+        ]);
+      }
+    } finally {
+      statement.free();
+    }
+    this.schedulePersist();
+  }
+
+  async search(vector, { limit = 5, filter } = {}) {
+    return rankBySimilarity(this.matching(filter), vector, limit);
+  }
+
+  async get(ids) {
+    if (ids.length === 0) return [];
+    return this.rows(ids);
+  }
+
+  async delete(ids) {
+    let deleted = 0;
+    for (const id of ids) {
+      this.db.run("DELETE FROM memories WHERE id = ?", [String(id)]);
+      deleted += this.db.getRowsModified();
+    }
+    if (deleted > 0) this.schedulePersist();
+    return deleted;
+  }
+
+  async filter(filter, { limit = 50, offset = 0 } = {}) {
+    return this.matching(filter, { limit, offset });
+  }
+
+  async count(filter) {
+    this.ensureIndex();
+    const { sql, params, rest } = this.where(filter);
+    if (rest) return this.matching(filter).length;
+    const [result] = this.db.exec(`SELECT COUNT(*) FROM memories${sql}`, params);
+    return result ? result.values[0][0] : 0;
+  }
+
+  // Deleted rows stay in free pages until the database is vacuumed
+  async compact() {
+    this.db.run("VACUUM");
+    this.dirty = true;
+    this.flush();
+  }
+
+  // All columns of a row are sealed together, so the metadata column tells
+  // which key the row is under
+  needsReencryption() {
+    const [result] = this.db.exec("SELECT metadata FROM memories");
+    return (result?.values || []).some(([stored]) => {
+      const sealed = stored.startsWith('{"$enc"') ? JSON.parse(stored) : null;
+      const metadata = JSON.parse(this.encryption.openText(stored));
+      return !this.encryption.isCurrent(sealed ? sealed.$enc.k : null, { metadata });
+    });
+  }
+
+  async reencrypt() {
+    if (!this.needsReencryption()) return 0;
+    const records = this.rows();
+    await this.upsert(records);
+    await this.compact();
+    return records.length;
+  }
+}
+
+export { SqliteBackend };
@@ -0,0 +1,105 @@
+// Contract shared by every vector store used for the warm and cold tiers.
+//
+// Records look like { id, content, embedding, metadata }; search() returns
+// the same shape plus a similarity `score`. Filters are plain
+// objects matched against metadata: a scalar means equality, an array means
+// "one of", and an object with gt/gte/lt/lte describes a range.
+class VectorBackend {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async initialize() {}
+
+  async upsert(records) {
+    throw new Error(`${this.name} backend does not implement upsert()`);
+  }
+
+  async search(vector, { limit = 5, filter } = {}) {
+    throw new Error(`${this.name} backend does not implement search()`);
+  }
+
+  async get(ids) {
+    throw new Error(`${this.name} backend does not implement get()`);
+  }
+
+  async delete(ids) {
+    throw new Error(`${this.name} backend does not implement delete()`);
+  }
+
+  async filter(filter, { limit = 50, offset = 0 } = {}) {
+    throw new Error(`${this.name} backend does not implement filter()`);
+  }
+
+  async count(filter) {
+    throw new Error(`${this.name} backend does not implement count()`);
+  }
+
+  // Writes changes a backend buffers in memory to disk. Backends that store
+  // every change as it is made have nothing to do.
+  async flush() {}
+
+  // Rewrites local storage so deleted records no longer exist on disk.
+  // Remote stores delete for good on their side, so the default is a no-op.
+  async compact() {}
+}
+
+const RANGE_KEYS = ["gt", "gte", "lt", "lte"];
+
+function isRange(condition) {
+  return condition !== null
+    && typeof condition === "object"
+    && !Array.isArray(condition)
+    && Object.keys(condition).some(key => RANGE_KEYS.includes(key));
+}
+
+function matchesFilter(metadata = {}, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = metadata[key];
+    if (condition === undefined) return true;
+    if (Array.isArray(condition)) return condition.includes(value);
+    if (isRange(condition)) {
+      if (value === undefined || value === null) return false;
+      if (condition.gt !== undefined && !(value > condition.gt)) return false;
+      if (condition.gte !== undefined && !(value >= condition.gte)) return false;
+      if (condition.lt !== undefined && !(value < condition.lt)) return false;
+      if (condition.lte !== undefined && !(value <= condition.lte)) return false;
+      return true;
+    }
+    return value === condition;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Brute-force top-k used by the backends that keep vectors in process
+function rankBySimilarity(records, vector, limit) {
+  return records
+    .map(record => ({
+      id: record.id,
+      content: record.content,
+      embedding: record.embedding,
+      metadata: record.metadata,
+      score: cosineSimilarity(vector, record.embedding)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+export { VectorBackend, isRange, matchesFilter, cosineSimilarity, rankBySimilarity };
@@ -0,0 +1,163 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Everything the memory system writes to disk lives under this directory.
+const DATA_DIR = process.env.MEMORY_DATA_DIR || path.join(__dirname, "..", "persistent_memory");
+
+const DEFAULT_BACKENDS = {
+  warm: "memory",
+  cold: "sqlite"
+};
+
+// Backend settings for a tier, read from WARM_MEMORY_* / COLD_MEMORY_* env vars.
+// The warm tier defaults to the in-process store persisted under DATA_DIR and
+// the cold tier to a local SQLite file, so neither needs an external server.
+function tierBackendConfig(tier) {
+  const prefix = `${tier.toUpperCase()}_MEMORY`;
+  const type = process.env[`${prefix}_BACKEND`] || DEFAULT_BACKENDS[tier];
+  const collection = process.env[`${prefix}_COLLECTION`] || `${tier}_memory`;
+
+  switch (type) {
+    case "memory":
+      return {
+        type,
+        directory: process.env[`${prefix}_PERSIST`] === "false" ? null : DATA_DIR,
+        name: collection,
+        compactEvery: Number(process.env[`${prefix}_COMPACT_EVERY`]) || 500
+      };
+    case "sqlite":
+      return {
+        type,
+        file: process.env[`${prefix}_SQLITE_FILE`] || path.join(DATA_DIR, `${collection}.sqlite`),
+        flushDelayMs: Number(process.env[`${prefix}_SQLITE_FLUSH_MS`]) || 0
+      };
+    case "qdrant":
+      return {
+        type,
+        url: process.env.QDRANT_URL || "http://localhost:6333",
+        apiKey: process.env.QDRANT_API_KEY,
+        collection: process.env[`${prefix}_COLLECTION`] || (tier === "cold" ? "long_term_memory" : collection),
+        dimension: Number(process.env.EMBEDDING_DIMENSION) || 768
+      };
+    case "chroma":
+      return {
+        type,
+        url: process.env.CHROMA_URL || "http://localhost:8000",
+        apiKey: process.env.CHROMA_API_KEY,
+        tenant: process.env.CHROMA_TENANT,
+        database: process.env.CHROMA_DATABASE,
+        collection
+      };
+    default:
+      throw new Error(`Unknown ${prefix}_BACKEND "${type}" (expected memory, sqlite, qdrant or chroma)`);
+  }
+}
+
+// EMBEDDING_PROVIDER: "auto" (Google, falling back to local), "google" or "local"
+function embeddingConfig() {
+  return {
+    provider: process.env.EMBEDDING_PROVIDER || "auto",
+    googleModel: process.env.GOOGLE_EMBEDDING_MODEL || "text-embedding-004",
+    googleApiKey: process.env.GOOGLE_API_KEY,
+    localDimension: Number(process.env.LOCAL_EMBEDDING_DIMENSION) || 768,
+    retryAfterMs: Number(process.env.EMBEDDING_RETRY_AFTER_MS) || 60000,
+    cacheSize: Number(process.env.EMBEDDING_CACHE_SIZE) || 5000,
+    persistCache: process.env.EMBEDDING_CACHE_PERSIST === "true"
+  };
+}
+
+// Options for VectorTier searches (hybrid BM25 + vector, recency decay, then MMR)
+function retrievalConfig() {
+  return {
+    hybrid: process.env.HYBRID_SEARCH !== "false",
+    mmrLambda: Number(process.env.MMR_LAMBDA) || 0.7,
+    candidateMultiplier: Number(process.env.RETRIEVAL_CANDIDATE_MULTIPLIER) || 4,
+    recencyWeight: process.env.RECENCY_WEIGHT !== undefined ? Number(process.env.RECENCY_WEIGHT) : 0.2,
+    recencyHalfLifeMs: (Number(process.env.RECENCY_HALF_LIFE_DAYS) || 30) * 24 * 60 * 60 * 1000
+  };
+}
+
+// Write-time deduplication in the warm and cold tiers. A new memory at least
+// DUPLICATE_SIMILARITY close to one of the same session and user is merged
+// into it.
+function dedupConfig() {
+  return {
+    dedupeThreshold: process.env.WRITE_DEDUP === "false"
+      ? null
+      : (process.env.DUPLICATE_SIMILARITY !== undefined ? Number(process.env.DUPLICATE_SIMILARITY) : 0.95)
+  };
+}
+
+// Contradiction checks on new turns (memory/contradictions.js). Statements that
+// share no topic word still count as related from CONTRADICTION_SIMILARITY.
+function contradictionConfig() {
+  return {
+    enabled: process.env.CONTRADICTION_DETECTION !== "false",
+    relatedThreshold: Number(process.env.CONTRADICTION_SIMILARITY) || 0.75,
+    maxCandidates: Number(process.env.CONTRADICTION_CANDIDATES) || 5
+  };
+}
+
+// Rolling conversation summaries (memory/summary_tree.js): how many turns a
+// segment covers and how many recent turns stay verbatim in hot memory
+function summaryConfig() {
+  return {
+    segmentTurns: Number(process.env.SUMMARY_SEGMENT_TURNS) || 8,
+    hotTurns: Number(process.env.SUMMARY_HOT_TURNS) || 6,
+    maxHotTokens: Number(process.env.SUMMARY_HOT_TOKENS) || 8000
+  };
+}
+
+// Consolidation worker (memory/consolidation.js). Cold eviction is off until
+// COLD_RETENTION_DAYS is set.
+function consolidationConfig() {
+  const number = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+  return {
+    intervalMinutes: number("CONSOLIDATION_INTERVAL_MINUTES", 60),
+    warmMaxAgeDays: number("WARM_MAX_AGE_DAYS", 7),
+    warmMaxItems: number("WARM_MAX_ITEMS", 5000),
+    coldRetentionDays: number("COLD_RETENTION_DAYS", 0),
+    minImportance: number("RETENTION_MIN_IMPORTANCE", 0.1),
+    duplicateThreshold: number("DUPLICATE_SIMILARITY", 0.95)
+  };
+}
+
+// PII redaction applied before memories are stored (plugins/pii_redactor.js).
+// PII_POLICIES overrides the policy per type, e.g. "email=hash,credit_card=vault".
+function piiConfig() {
+  const policies = {};
+  for (const pair of (process.env.PII_POLICIES || "").split(",")) {
+    const [type, policy] = pair.split("=").map(part => part.trim());
+    if (type && policy) policies[type] = policy;
+  }
+
+  return {
+    enabled: process.env.PII_REDACTION !== "false",
+    detectors: process.env.PII_DETECTORS
+      ? process.env.PII_DETECTORS.split(",").map(type => type.trim()).filter(Boolean)
+      : null,
+    policies,
+    hashSecret: process.env.PII_HASH_SECRET || null,
+    vaultKey: process.env.PII_VAULT_KEY || null
+  };
+}
+
+// Encryption at rest for DATA_DIR (memory/encryption.js). `auto` encrypts when
+// a key is configured, `required` refuses to start without one.
+function encryptionConfig() {
+  return {
+    mode: process.env.MEMORY_ENCRYPTION || "auto",
+    key: process.env.MEMORY_ENCRYPTION_KEY,
+    keyFile: process.env.MEMORY_ENCRYPTION_KEY_FILE,
+    previousKey: process.env.MEMORY_ENCRYPTION_PREVIOUS_KEY,
+    previousKeyFile: process.env.MEMORY_ENCRYPTION_PREVIOUS_KEY_FILE,
+    keyringFile: process.env.MEMORY_KEYRING_FILE || path.join(DATA_DIR, "keyring.json"),
+    rotationDays: process.env.MEMORY_KEY_ROTATION_DAYS !== undefined ? Number(process.env.MEMORY_KEY_ROTATION_DAYS) : 90
+  };
+}
+
+export { DATA_DIR, tierBackendConfig, embeddingConfig, retrievalConfig, dedupConfig, contradictionConfig, summaryConfig, consolidationConfig, piiConfig, encryptionConfig };
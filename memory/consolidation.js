@@ -0,0 +1,327 @@
+import crypto from "crypto";
+import { AppendOnlyLog } from "./append_only_log.js";
+import { recencyScore } from "./temporal.js";
+import { mergedMetadata } from "./dedup.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function lastUsedAt(record, access) {
+  const { timestamp = 0, updatedAt = 0, lastSeen = 0 } = record.metadata || {};
+  return Math.max(timestamp, updatedAt, lastSeen, access?.lastAccessedAt || 0);
+}
+
+// Importance of a memory in [0, 1]: how often it was retrieved or repeated
+// (saturating), blended with how recently it was written or used. Pinned
+// memories score 1 and are exempt from every policy.
+function importanceOf(record, access, { now = Date.now(), halfLifeMs = 30 * DAY } = {}) {
+  const metadata = record.metadata || {};
+  if (metadata.pinned) return 1;
+
+  const uses = (access?.count || 0) + Math.max(0, (metadata.count || 1) - 1);
+  const frequency = 1 - Math.exp(-uses / 3);
+  const recency = recencyScore(lastUsedAt(record, access), { now, halfLifeMs });
+  return 0.5 * frequency + 0.5 * recency;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Periodic maintenance of the warm and cold tiers:
+//   1. near-duplicates written since the last run are merged into one memory
+//      (same session and user only), keeping the most important copy
+//   2. warm memories unused for `warmMaxAgeDays` move to cold storage, and
+//      the least important ones too while warm holds more than `warmMaxItems`
+//   3. with `coldRetentionDays` set, cold memories older than that and less
+//      important than `minImportance` are deleted
+// Pinned memories are never moved, merged away or deleted. Every run returns
+// a report; a dry run only reports what it would do.
+class ConsolidationWorker {
+  constructor({
+    warm,
+    cold,
+    access,
+    directory = null,
+    intervalMinutes = 60,
+    warmMaxAgeDays = 7,
+    warmMaxItems = 5000,
+    coldRetentionDays = 0,
+    minImportance = 0.1,
+    duplicateThreshold = 0.95,
+    batchSize = 500,
+    halfLifeMs = 30 * DAY
+  }) {
+    this.warm = warm;
+    this.cold = cold;
+    this.access = access;
+    this.log = directory ? new AppendOnlyLog(directory, "consolidation_reports") : null;
+    this.reports = new Map();
+    this.intervalMinutes = intervalMinutes;
+    this.warmMaxAgeDays = warmMaxAgeDays;
+    this.warmMaxItems = warmMaxItems;
+    this.coldRetentionDays = coldRetentionDays;
+    this.minImportance = minImportance;
+    this.duplicateThreshold = duplicateThreshold;
+    this.batchSize = batchSize;
+    this.halfLifeMs = halfLifeMs;
+    this.maxReports = 20;
+    // Runs are queued so two never touch the tiers at once
+    this.queue = Promise.resolve();
+    this.timer = null;
+  }
+
+  load() {
+    if (this.log) {
+      this.reports = this.log.load();
+    }
+    return this.reports.size;
+  }
+
+  policy() {
+    return {
+      intervalMinutes: this.intervalMinutes,
+      warmMaxAgeDays: this.warmMaxAgeDays,
+      warmMaxItems: this.warmMaxItems,
+      coldRetentionDays: this.coldRetentionDays,
+      minImportance: this.minImportance,
+      duplicateThreshold: this.duplicateThreshold
+    };
+  }
+
+  // Newest first
+  getReports({ limit = 5 } = {}) {
+    return Array.from(this.reports.values())
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(0, limit);
+  }
+
+  saveReport(report) {
+    this.log?.put(report.id, report);
+    this.reports.set(report.id, report);
+    for (const old of this.getReports({ limit: Infinity }).slice(this.maxReports)) {
+      this.log?.delete(old.id);
+      this.reports.delete(old.id);
+    }
+  }
+
+  // Records changed after the last applied run are checked for duplicates
+  lastAppliedRunAt() {
+    const applied = Array.from(this.reports.values()).filter(report => !report.dryRun);
+    return applied.length > 0 ? Math.max(...applied.map(report => report.startedAt)) : 0;
+  }
+
+  start() {
+    if (this.timer || !(this.intervalMinutes > 0)) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.log("⚠️ Memory consolidation failed:", error.message));
+    }, this.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  run({ dryRun = false } = {}) {
+    const run = this.queue.then(() => this.consolidate({ dryRun }));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async allRecords(tier) {
+    const records = [];
+    for (let offset = 0; ; offset += this.batchSize) {
+      const page = await tier.list(undefined, { limit: this.batchSize, offset });
+      records.push(...page);
+      if (page.length < this.batchSize) break;
+    }
+    return records;
+  }
+
+  async consolidate({ dryRun }) {
+    const now = Date.now();
+    const report = {
+      id: crypto.randomUUID(),
+      dryRun,
+      startedAt: now,
+      policy: this.policy(),
+      warm: { before: await this.warm.count() },
+      cold: { before: await this.cold.count() },
+      merged: [],
+      migrated: [],
+      evicted: [],
+      exempt: 0
+    };
+    // Ids merged away or moved in this run (also tracked in dry runs)
+    const gone = new Set();
+    const since = this.lastAppliedRunAt();
+
+    for (const [name, tier] of [["warm", this.warm], ["cold", this.cold]]) {
+      report.merged.push(...await this.mergeDuplicates(name, tier, { since, now, dryRun, gone }));
+    }
+
+    const { migrated, exempt } = await this.migrateWarm({ now, dryRun, gone });
+    report.migrated = migrated;
+    report.exempt = exempt;
+
+    if (this.coldRetentionDays > 0) {
+      report.evicted = await this.evictCold({ now, dryRun, gone });
+    }
+
+    const mergedFrom = name => report.merged
+      .filter(merge => merge.tier === name)
+      .reduce((sum, merge) => sum + merge.mergedIds.length, 0);
+    if (dryRun) {
+      report.warm.after = report.warm.before - mergedFrom("warm") - migrated.length;
+      report.cold.after = report.cold.before - mergedFrom("cold") + migrated.filter(entry => !entry.inCold).length - report.evicted.length;
+    } else {
+      report.warm.after = await this.warm.count();
+      report.cold.after = await this.cold.count();
+    }
+    report.finishedAt = Date.now();
+
+    this.saveReport(report);
+    console.log(`🗃️ ${dryRun ? "Consolidation dry run" : "Consolidated memory"}: ${mergedFrom("warm") + mergedFrom("cold")} duplicates merged, ${migrated.length} moved warm → cold, ${report.evicted.length} evicted (warm ${report.warm.before} → ${report.warm.after})`);
+    return report;
+  }
+
+  // Pinned first, then summary archives (summaries link to them), then the
+  // most important, then the oldest
+  keepOrder(a, b) {
+    return (Boolean(b.metadata.pinned) - Boolean(a.metadata.pinned))
+      || (Boolean(b.metadata.archived) - Boolean(a.metadata.archived))
+      || (b.importance - a.importance)
+      || ((a.metadata.timestamp ?? 0) - (b.metadata.timestamp ?? 0));
+  }
+
+  async mergeDuplicates(name, tier, { since, now, dryRun, gone }) {
+    const merges = [];
+    const candidates = (await this.allRecords(tier))
+      .filter(record => Math.max(record.metadata.timestamp ?? 0, record.metadata.updatedAt ?? 0, record.metadata.migratedAt ?? 0) >= since)
+      .sort((a, b) => (b.metadata.timestamp ?? 0) - (a.metadata.timestamp ?? 0))
+      .slice(0, this.batchSize);
+
+    for (const candidate of candidates) {
+      if (gone.has(candidate.id) || !candidate.embedding) continue;
+
+      const { sessionId, userId, embedder } = candidate.metadata;
+      const similar = (await tier.backend.search(candidate.embedding, {
+        limit: 5,
+        filter: { embedder, ...(sessionId !== undefined && { sessionId }) }
+      })).filter(record => record.id !== candidate.id
+        && !gone.has(record.id)
+        && record.score >= this.duplicateThreshold
+        && record.metadata.sessionId === sessionId
+        && record.metadata.userId === userId);
+      if (similar.length === 0) continue;
+
+      const [keep, ...duplicates] = [candidate, ...similar]
+        .map(record => ({ ...record, importance: importanceOf(record, this.access.get(record.id), { now, halfLifeMs: this.halfLifeMs }) }))
+        .sort((a, b) => this.keepOrder(a, b));
+      const mergedIds = duplicates.map(record => record.id);
+      mergedIds.forEach(id => gone.add(id));
+      merges.push({
+        tier: name,
+        keptId: keep.id,
+        mergedIds,
+        similarity: round(Math.min(...similar.map(record => record.score)))
+      });
+
+      if (!dryRun) {
+        await tier.update(keep.id, { metadata: mergedMetadata(keep, duplicates) });
+        await tier.delete(mergedIds);
+        this.access.merge(keep.id, mergedIds);
+      }
+    }
+
+    if (!dryRun && merges.length > 0) await tier.compact();
+    return merges;
+  }
+
+  async migrateWarm({ now, dryRun, gone }) {
+    const scored = (await this.allRecords(this.warm))
+      .filter(record => !gone.has(record.id))
+      .map(record => {
+        const access = this.access.get(record.id);
+        return {
+          record,
+          importance: importanceOf(record, access, { now, halfLifeMs: this.halfLifeMs }),
+          age: now - lastUsedAt(record, access)
+        };
+      });
+    const movable = scored.filter(entry => !entry.record.metadata.pinned);
+
+    const moving = new Map();
+    for (const entry of movable) {
+      if (entry.age > this.warmMaxAgeDays * DAY) moving.set(entry.record.id, { ...entry, reason: "age" });
+    }
+    const overCapacity = scored.length - moving.size - this.warmMaxItems;
+    if (overCapacity > 0) {
+      movable
+        .filter(entry => !moving.has(entry.record.id))
+        .sort((a, b) => a.importance - b.importance)
+        .slice(0, overCapacity)
+        .forEach(entry => moving.set(entry.record.id, { ...entry, reason: "capacity" }));
+    }
+
+    const entries = Array.from(moving.values());
+    const inCold = new Set((await this.cold.get(entries.map(entry => entry.record.id))).map(record => record.id));
+    const migrated = entries.map(({ record, importance, reason }) => ({
+      id: record.id,
+      reason,
+      importance: round(importance),
+      ...(inCold.has(record.id) && { inCold: true })
+    }));
+    migrated.forEach(entry => gone.add(entry.id));
+
+    if (!dryRun) {
+      for (let i = 0; i < entries.length; i += this.batchSize) {
+        const batch = entries.slice(i, i + this.batchSize);
+        // A turn the summarizer already archived keeps its cold metadata
+        const existing = new Map((await this.cold.get(batch.map(entry => entry.record.id)))
+          .map(record => [record.id, record.metadata]));
+        // Written as they are; duplicates already in cold are merged on the next run
+        await this.cold.addDocuments(batch.map(({ record }) => ({
+          id: record.id,
+          pageContent: record.content,
+          metadata: {
+            ...existing.get(record.id),
+            ...record.metadata,
+            migratedFrom: "warm",
+            migratedAt: now
+          }
+        })), { dedupe: false });
+        // On disk in cold before they leave warm
+        await this.cold.flush();
+        await this.warm.delete(batch.map(entry => entry.record.id));
+      }
+      if (entries.length > 0) await this.warm.compact();
+    }
+
+    return { migrated, exempt: scored.length - movable.length };
+  }
+
+  async evictCold({ now, dryRun, gone }) {
+    const evicted = [];
+    for (const record of await this.allRecords(this.cold)) {
+      if (gone.has(record.id) || record.metadata.pinned) continue;
+
+      const access = this.access.get(record.id);
+      const age = now - lastUsedAt(record, access);
+      const importance = importanceOf(record, access, { now, halfLifeMs: this.halfLifeMs });
+      if (age > this.coldRetentionDays * DAY && importance < this.minImportance) {
+        evicted.push({ id: record.id, importance: round(importance), ageDays: Math.floor(age / DAY) });
+      }
+    }
+
+    if (!dryRun && evicted.length > 0) {
+      const ids = evicted.map(entry => entry.id);
+      await this.cold.delete(ids);
+      await this.cold.compact();
+      this.access.forget(ids);
+    }
+    return evicted;
+  }
+}
+
+export { ConsolidationWorker, importanceOf };
@@ -0,0 +1,230 @@
+import crypto from "crypto";
+
+// Builds the memory context sent with a query under a token budget.
+//
+// Sections are packed in priority order (facts, summary, graph, hot, warm, cold, world). Each
+// first gets its own quota of the budget; whatever a section leaves unused is
+// then handed out to the remaining items, again in priority order. Chunks that
+// repeat text already included from a higher-priority section are dropped.
+
+const SECTIONS = [
+  { key: "facts", title: "USER PROFILE", empty: "No known facts", joiner: "\n" },
+  { key: "summary", title: "EARLIER IN THIS CONVERSATION (Summary)", empty: null },
+  { key: "graph", title: "KNOWN ENTITIES AND RELATIONS (Knowledge Graph)", empty: null, joiner: "\n" },
+  { key: "hot", title: "RECENT CONVERSATION (Hot)", empty: "No recent history" },
+  { key: "warm", title: "RELEVANT PAST CONVERSATIONS (Warm)", empty: "No relevant past conversations" },
+  { key: "cold", title: "HISTORICAL KNOWLEDGE (Cold)", empty: "No historical data" },
+  { key: "world", title: "WORLD DATA", empty: null }
+];
+
+const DEFAULT_QUOTAS = {
+  facts: 0.1,
+  summary: 0.1,
+  graph: 0.1,
+  hot: 0.25,
+  warm: 0.2,
+  cold: 0.1,
+  world: 0.15
+};
+
+// Memory context budgets (not full context windows: the prompt, the query and
+// the reply need room too). Matched as substrings of the target model name.
+const MODEL_BUDGETS = {
+  "gemini-2.5-pro": 32000,
+  "gemini-2.5-flash": 24000,
+  "gemini": 24000,
+  "mistral-7b": 6000,
+  "llama-3.3-70b": 6000,
+  "llama-3": 3000,
+  "phi-3-mini-4k": 2000,
+  "zephyr-7b": 3000
+};
+
+// Short, stable reference for a memory chunk that the model can cite inline
+function citationRef(section, id) {
+  return crypto.createHash("sha256").update(`${section}:${id}`).digest("hex").slice(0, 8);
+}
+
+// Rough BPE approximation: short words are one token, longer words one token
+// per ~4 characters, and every punctuation mark is a token of its own.
+function estimateTokens(text) {
+  if (!text) return 0;
+  const pieces = text.match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+  return pieces.reduce((total, piece) => {
+    return total + (/^[\p{L}\p{N}]/u.test(piece) ? Math.max(1, Math.ceil(piece.length / 4)) : 1);
+  }, 0);
+}
+
+function shingles(text, size = 3) {
+  // Speaker labels differ between tiers ("Human:" vs "User:"), so ignore them
+  const words = text
+    .replace(/^\s*(?:human|ai|user|assistant):/gim, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  const set = new Set();
+  if (words.length < size) {
+    if (words.length > 0) set.add(words.join(" "));
+    return set;
+  }
+  for (let i = 0; i <= words.length - size; i++) {
+    set.add(words.slice(i, i + size).join(" "));
+  }
+  return set;
+}
+
+// Share of the smaller chunk that also appears in the other one
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const shingle of small) {
+    if (large.has(shingle)) shared++;
+  }
+  return shared / small.size;
+}
+
+function truncateToTokens(text, maxTokens) {
+  const pieces = text.match(/\S+\s*/g) || [];
+  let result = "";
+  for (const piece of pieces) {
+    if (estimateTokens(result + piece) > maxTokens) break;
+    result += piece;
+  }
+  return result.trim() ? `${result.trim()} …` : "";
+}
+
+class ContextPacker {
+  constructor({ defaultBudget = 3000, budgets = MODEL_BUDGETS, quotas = DEFAULT_QUOTAS, duplicateThreshold = 0.8 } = {}) {
+    this.defaultBudget = defaultBudget;
+    this.budgets = budgets;
+    this.quotas = quotas;
+    this.duplicateThreshold = duplicateThreshold;
+  }
+
+  budgetFor(model) {
+    if (!model) return this.defaultBudget;
+    const name = model.toLowerCase();
+    const match = Object.keys(this.budgets)
+      .filter(key => name.includes(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.budgets[match] : this.defaultBudget;
+  }
+
+  // `sections` maps a section key to items of { id, text } listed from most to
+  // least important. Items can set `truncatable` to be cut down instead of
+  // dropped, `order` to control where they are rendered within a section, and
+  // `meta` for fields copied into the `included` report. With `citations`,
+  // each chunk is rendered behind a [mem:ref] label. Sections listed in
+  // `detach` share the budget but are left out of `context`: their included
+  // items come back in `detached[key]`, in render order, for the caller to
+  // send some other way (hot turns as chat messages).
+  pack(sections, { model, budget, citations = false, detach = [] } = {}) {
+    const totalBudget = budget || this.budgetFor(model);
+    const headerTokens = SECTIONS.reduce((sum, section) => sum + estimateTokens(section.title) + 2, 0);
+    const available = Math.max(0, totalBudget - headerTokens);
+
+    const included = [];
+    const dropped = [];
+    const accepted = [];
+    const candidates = [];
+
+    // Remove chunks that repeat something from a higher-priority section
+    for (const { key } of SECTIONS) {
+      for (const item of sections[key] || []) {
+        const body = item.text?.trim();
+        if (!body) continue;
+
+        const ref = citationRef(key, item.id);
+        const text = citations ? `[mem:${ref}] ${body}` : body;
+        const itemShingles = shingles(body);
+        const duplicateOf = accepted.find(other => overlap(itemShingles, other.shingles) >= this.duplicateThreshold);
+        const entry = { ...item, item, ref, text, section: key, tokens: estimateTokens(text), shingles: itemShingles };
+
+        if (duplicateOf) {
+          dropped.push({ id: item.id, section: key, tokens: entry.tokens, reason: `duplicate of ${duplicateOf.id}` });
+          continue;
+        }
+        accepted.push(entry);
+        candidates.push(entry);
+      }
+    }
+
+    let used = 0;
+    const take = (entry, limit) => {
+      if (entry.tokens <= limit) {
+        used += entry.tokens;
+        included.push(entry);
+        return true;
+      }
+      if (entry.truncatable && limit > 20) {
+        const text = truncateToTokens(entry.text, limit);
+        const tokens = estimateTokens(text);
+        used += tokens;
+        included.push({ ...entry, text, tokens, truncated: true });
+        return true;
+      }
+      return false;
+    };
+
+    // Pass 1: every section fills its own quota
+    const leftovers = [];
+    for (const { key } of SECTIONS) {
+      let quota = Math.floor(available * (this.quotas[key] || 0));
+      for (const entry of candidates.filter(c => c.section === key)) {
+        const before = used;
+        if (take(entry, quota)) {
+          quota -= used - before;
+        } else {
+          leftovers.push(entry);
+        }
+      }
+    }
+
+    // Pass 2: unused budget goes to what did not fit, highest priority first
+    for (const entry of leftovers) {
+      if (!take(entry, available - used)) {
+        dropped.push({ id: entry.id, section: entry.section, tokens: entry.tokens, reason: "over budget" });
+      }
+    }
+
+    const inSection = key => included
+      .filter(entry => entry.section === key)
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+    const context = SECTIONS
+      .filter(({ key }) => !detach.includes(key))
+      .map(({ key, title, empty, joiner = "\n\n" }) => {
+        const items = inSection(key);
+        if (items.length === 0 && !empty) return null;
+        const body = items.length > 0 ? items.map(entry => entry.text).join(joiner) : empty;
+        return `${title}:\n${body}`;
+      })
+      .filter(Boolean)
+      .join("\n\n");
+
+    const detachedEntries = included.filter(entry => detach.includes(entry.section));
+
+    return {
+      context,
+      tokenCount: estimateTokens(context) + detachedEntries.reduce((sum, entry) => sum + entry.tokens, 0),
+      budget: totalBudget,
+      included: included.map(({ id, ref, section, tokens, truncated, meta }) => ({
+        id,
+        ref,
+        section,
+        tokens,
+        ...(truncated && { truncated }),
+        ...meta
+      })),
+      dropped,
+      // The items as given, with their citation ref
+      detached: Object.fromEntries(detach.map(key => [key, inSection(key).map(entry => ({ ...entry.item, ref: entry.ref }))]))
+    };
+  }
+}
+
+const contextPacker = new ContextPacker({
+  defaultBudget: Number(process.env.CONTEXT_TOKEN_BUDGET) || 3000
+});
+
+export { ContextPacker, contextPacker, estimateTokens, citationRef, MODEL_BUDGETS };
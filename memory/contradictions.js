@@ -0,0 +1,181 @@
+import crypto from "crypto";
+import { AppendOnlyLog } from "./append_only_log.js";
+
+const NEGATION = /\b(?:not|never|no longer|no|none|nothing|stopped|quit)\b|n't\b/;
+// Words that mark a statement as replacing an earlier one
+const CHANGE_CUES = /\b(?:now|only|anymore|any more|no longer|instead|actually|changed|switched|these days|nowadays|from now on)\b/;
+const LIKES = /\b(?:like|likes|love|loves|prefer|prefers|enjoy|enjoys|want|wants|favou?r)\b/;
+const DISLIKES = /\b(?:hate|hates|dislike|dislikes|avoid|avoids|detest|detests)\b/;
+
+const STOPWORDS = new Set([
+  "i", "im", "ive", "me", "my", "mine", "we", "our", "you", "your", "it", "its", "is", "am", "are", "was",
+  "were", "be", "been", "do", "does", "did", "have", "has", "had", "a", "an", "the", "and", "or", "but",
+  "so", "to", "of", "in", "on", "at", "for", "with", "about", "as", "by", "from", "that", "this", "these",
+  "those", "there", "really", "just", "also", "very", "much", "more", "some", "any", "all", "what", "which",
+  "don", "doesn", "didn", "isn", "aren", "wasn", "won", "can", "cannot", "t", "s", "m", "ll", "re", "ve"
+]);
+const MARKERS = new RegExp(`${NEGATION.source}|${CHANGE_CUES.source}|${LIKES.source}|${DISLIKES.source}`, "g");
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[’`]/g, "'");
+}
+
+// Topic words of a statement, without negations, change cues and
+// preference verbs (those carry the stance, not the topic)
+function topicTerms(text) {
+  return new Set(normalize(text)
+    .replace(MARKERS, " ")
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+    .map(term => (term.length > 3 ? term.replace(/s$/, "") : term)));
+}
+
+function stance(text) {
+  const normalized = normalize(text);
+  return {
+    negated: NEGATION.test(normalized),
+    likes: LIKES.test(normalized),
+    dislikes: DISLIKES.test(normalized),
+    changed: CHANGE_CUES.test(normalized)
+  };
+}
+
+// How a new statement relates to an older one about a related topic:
+//   contradiction - one negates the other, the preference flipped, or the new
+//                   one states a different value with a change cue
+//                   ("I prefer B2B" → "I only invest in B2C now")
+//   refinement    - the new one keeps everything the old one said and adds detail
+//   consistent    - anything else, including statements on unrelated topics
+// `similarity` is the cosine similarity of the two memories; statements that
+// share no topic word are only related when it reaches `relatedThreshold`.
+function classifyStatements(newer, older, { similarity = 0, relatedThreshold = 0.75 } = {}) {
+  if (/\?\s*$/.test(newer) || /\?\s*$/.test(older)) {
+    return { relation: "consistent", reason: "question" };
+  }
+
+  const newTerms = topicTerms(newer);
+  const oldTerms = topicTerms(older);
+  const shared = [...newTerms].filter(term => oldTerms.has(term));
+  const onlyNew = [...newTerms].filter(term => !oldTerms.has(term));
+  const onlyOld = [...oldTerms].filter(term => !newTerms.has(term));
+  if (shared.length === 0 && similarity < relatedThreshold) {
+    return { relation: "consistent", reason: "unrelated" };
+  }
+
+  const a = stance(newer);
+  const b = stance(older);
+  if (shared.length > 0 && a.negated !== b.negated) {
+    return { relation: "contradiction", reason: "negation", terms: shared };
+  }
+  if (shared.length > 0 && ((a.likes && b.dislikes) || (a.dislikes && b.likes))) {
+    return { relation: "contradiction", reason: "opposite preference", terms: shared };
+  }
+  if (a.changed && onlyNew.length > 0 && onlyOld.length > 0) {
+    return { relation: "contradiction", reason: "changed value", terms: [...onlyOld, ...onlyNew] };
+  }
+  if (onlyOld.length === 0 && onlyNew.length > 0) {
+    return { relation: "refinement", reason: "adds detail", terms: onlyNew };
+  }
+  return { relation: "consistent", reason: "same topic", terms: shared };
+}
+
+// Contradictions found between memories, kept until the user clarifies which
+// statement holds. An open conflict already prefers the newer memory; its
+// resolution records which one the user confirmed ("newer", "older") or that
+// both hold ("both"). `older.ids` lists every stored copy of the older
+// statement (a turn and its long-term copy share the text but not the id).
+class ConflictStore {
+  constructor({ directory = null } = {}) {
+    this.log = directory ? new AppendOnlyLog(directory, "memory_conflicts") : null;
+    this.conflicts = new Map();
+  }
+
+  load() {
+    if (this.log) {
+      this.conflicts = this.log.load();
+    }
+    return this.conflicts.size;
+  }
+
+  save(conflict) {
+    this.log?.put(conflict.id, conflict);
+    this.conflicts.set(conflict.id, conflict);
+    return conflict;
+  }
+
+  record({ sessionId, userId = null, newer, older, reason, terms = [], similarity = null }) {
+    return this.save({
+      id: crypto.randomUUID(),
+      status: "open",
+      sessionId,
+      ...(userId && { userId }),
+      newer,
+      older,
+      reason,
+      terms,
+      similarity,
+      detectedAt: Date.now()
+    });
+  }
+
+  get(id) {
+    return this.conflicts.get(id) || null;
+  }
+
+  involves(conflict, id) {
+    return conflict.newer.id === id || conflict.older.ids.includes(id);
+  }
+
+  // An open conflict between the two memories, in either direction
+  between(idA, idB) {
+    for (const conflict of this.conflicts.values()) {
+      if (conflict.status === "open" && this.involves(conflict, idA) && this.involves(conflict, idB)) {
+        return conflict;
+      }
+    }
+    return null;
+  }
+
+  // Newest first
+  list({ status, sessionId, userId, limit = 50, offset = 0 } = {}) {
+    const matching = Array.from(this.conflicts.values())
+      .filter(conflict => !status || conflict.status === status)
+      .filter(conflict => !sessionId || conflict.sessionId === sessionId || conflict.older.sessionId === sessionId)
+      .filter(conflict => !userId || conflict.userId === userId)
+      .sort((a, b) => b.detectedAt - a.detectedAt);
+    return { conflicts: matching.slice(offset, offset + limit), total: matching.length, limit, offset };
+  }
+
+  resolve(id, keep) {
+    const conflict = this.get(id);
+    if (!conflict) return null;
+    return this.save({ ...conflict, status: "resolved", resolution: keep, resolvedAt: Date.now() });
+  }
+
+  matches(conflict, { sessionIds = [], userId } = {}) {
+    return sessionIds.includes(conflict.sessionId)
+      || sessionIds.includes(conflict.older.sessionId)
+      || Boolean(userId && conflict.userId === userId);
+  }
+
+  count(criteria) {
+    return Array.from(this.conflicts.values()).filter(conflict => this.matches(conflict, criteria)).length;
+  }
+
+  // Removes every conflict of the sessions (and user), or involving one of
+  // the memory ids
+  forget({ memoryIds = [], ...criteria }) {
+    let removed = 0;
+    for (const conflict of Array.from(this.conflicts.values())) {
+      const involved = memoryIds.some(id => this.involves(conflict, id));
+      if (!involved && !this.matches(conflict, criteria)) continue;
+      this.log?.delete(conflict.id);
+      this.conflicts.delete(conflict.id);
+      removed++;
+    }
+    if (removed > 0) this.log?.compact();
+    return removed;
+  }
+}
+
+export { ConflictStore, classifyStatements, topicTerms };
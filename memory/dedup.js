@@ -0,0 +1,31 @@
+import crypto from "crypto";
+
+// Case, punctuation and spacing do not make two memories different
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function contentHash(text) {
+  return crypto.createHash("sha256").update(normalizeText(text)).digest("hex");
+}
+
+// Metadata of a memory that absorbed near-duplicates: how often it was seen,
+// when first and last, and the ids merged into it
+function mergedMetadata(keep, duplicates) {
+  const all = [keep, ...duplicates];
+  return {
+    count: all.reduce((sum, record) => sum + (record.metadata.count || 1), 0),
+    firstSeen: Math.min(...all.map(record => record.metadata.firstSeen ?? record.metadata.timestamp ?? Infinity)),
+    lastSeen: Math.max(...all.map(record => record.metadata.lastSeen ?? record.metadata.timestamp ?? 0)),
+    mergedIds: [
+      ...(keep.metadata.mergedIds || []),
+      ...duplicates.flatMap(record => [record.id, ...(record.metadata.mergedIds || [])])
+    ].filter(Boolean),
+    ...(all.some(record => record.metadata.pinned) && { pinned: true })
+  };
+}
+
+export { normalizeText, contentHash, mergedMetadata };
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import { AppendOnlyLog } from "./append_only_log.js";
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+// JSON with sorted keys, so the digest does not depend on property order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Receipts for "forget" requests. A receipt names the subject and sessions
+// only by SHA-256, lists the ids and counts that were removed from each store
+// and what was still found afterwards, and carries a digest of all of that
+// (plus an HMAC when a secret is configured) so it can be checked later.
+class DeletionReceiptStore {
+  constructor({ directory = null, secret = null } = {}) {
+    this.log = directory ? new AppendOnlyLog(directory, "deletion_receipts") : null;
+    this.receipts = new Map();
+    this.secret = secret;
+  }
+
+  load() {
+    if (this.log) {
+      this.receipts = this.log.load();
+    }
+    return this.receipts.size;
+  }
+
+  sign(body) {
+    const digest = sha256(canonicalJson(body));
+    const signature = this.secret
+      ? crypto.createHmac("sha256", this.secret).update(digest).digest("hex")
+      : undefined;
+    return { digest, signature };
+  }
+
+  issue({ subject, sessionIds, removed, remaining }) {
+    const body = {
+      id: crypto.randomUUID(),
+      issuedAt: new Date().toISOString(),
+      subject: { type: subject.type, hash: sha256(subject.id) },
+      sessions: sessionIds.map(sha256),
+      removed,
+      remaining,
+      complete: Object.values(remaining).every(count => count === 0)
+    };
+    const receipt = { ...body, ...this.sign(body) };
+
+    this.log?.put(receipt.id, receipt);
+    this.receipts.set(receipt.id, receipt);
+    return receipt;
+  }
+
+  get(id) {
+    return this.receipts.get(id) || null;
+  }
+
+  // Recomputes the digest (and HMAC) of a stored or presented receipt
+  verify(receipt) {
+    const { digest, signature, ...body } = receipt;
+    const expected = this.sign(body);
+    return {
+      digestValid: expected.digest === digest,
+      signatureValid: this.secret ? expected.signature === signature : null
+    };
+  }
+}
+
+export { DeletionReceiptStore, sha256 };
@@ -0,0 +1,94 @@
+import crypto from "crypto";
+import { AppendOnlyLog } from "./append_only_log.js";
+
+// Bounded LRU of embedding vectors keyed by embedder id plus a SHA-256 of the
+// text. Optionally mirrored to an append-only log so it survives restarts.
+class EmbeddingCache {
+  constructor({ maxEntries = 5000, directory = null, name = "embedding_cache" } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.log = directory ? new AppendOnlyLog(directory, name) : null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  load() {
+    if (!this.log) return 0;
+
+    this.entries = new Map(this.log.load());
+    while (this.entries.size > this.maxEntries) {
+      this.evictOldest();
+    }
+    console.log(`✅ Embedding cache loaded (${this.entries.size} vectors)`);
+    return this.entries.size;
+  }
+
+  key(model, text) {
+    const hash = crypto.createHash("sha256").update(text).digest("hex");
+    return `${model}:${hash}`;
+  }
+
+  get(model, text) {
+    const key = this.key(model, text);
+    const vector = this.entries.get(key);
+
+    if (!vector) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    return vector;
+  }
+
+  set(model, text, vector) {
+    const key = this.key(model, text);
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    this.log?.put(key, vector);
+
+    while (this.entries.size > this.maxEntries) {
+      this.evictOldest();
+    }
+  }
+
+  delete(model, text) {
+    const key = this.key(model, text);
+    if (!this.entries.delete(key)) return false;
+    this.log?.delete(key);
+    return true;
+  }
+
+  compact() {
+    this.log?.compact();
+  }
+
+  evictOldest() {
+    const [oldestKey] = this.entries.keys();
+    this.entries.delete(oldestKey);
+    this.log?.delete(oldestKey);
+  }
+
+  clear() {
+    for (const key of Array.from(this.entries.keys())) {
+      this.log?.delete(key);
+    }
+    this.entries.clear();
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      persisted: Boolean(this.log),
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups === 0 ? "0%" : `${((this.hits / lookups) * 100).toFixed(1)}%`
+    };
+  }
+}
+
+export { EmbeddingCache };
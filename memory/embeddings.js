@@ -0,0 +1,217 @@
+import crypto from "crypto";
+import { GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
+import { EmbeddingCache } from "./embedding_cache.js";
+import { DATA_DIR, embeddingConfig } from "./config.js";
+
+// Embedding providers all expose an `id` (stored with every vector so vectors
+// from different embedders are never compared), a `dimension`, and the
+// langchain embedQuery()/embedDocuments() methods.
+
+class GoogleEmbeddingProvider {
+  constructor({ model = "text-embedding-004", apiKey, maxRetries = 2 } = {}) {
+    this.id = `google:${model}`;
+    this.dimension = 768;
+    this.client = new GoogleGenerativeAIEmbeddings({ model, apiKey, maxRetries });
+  }
+
+  async embedQuery(text) {
+    const vector = await this.client.embedQuery(text);
+    if (!vector || vector.length === 0) throw new Error("Empty embedding returned");
+    return vector;
+  }
+
+  async embedDocuments(texts) {
+    const vectors = await this.client.embedDocuments(texts);
+    // Failed batches come back as empty arrays rather than errors
+    if (vectors.some(vector => !vector || vector.length === 0)) {
+      throw new Error("Empty embedding returned");
+    }
+    return vectors;
+  }
+}
+
+// Deterministic offline embedder: word unigrams, word bigrams and character
+// trigrams are hashed into a fixed number of signed buckets, weighted by
+// sublinear term frequency and L2-normalised. No network, no model files.
+class LocalHashEmbeddings {
+  constructor({ dimension = 768 } = {}) {
+    this.id = `local:hash-ngram-${dimension}`;
+    this.dimension = dimension;
+  }
+
+  features(text) {
+    const words = text.toLowerCase().normalize("NFKC").match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [...words];
+
+    for (let i = 0; i < words.length - 1; i++) {
+      features.push(`${words[i]} ${words[i + 1]}`);
+    }
+    for (const word of words) {
+      const padded = `#${word}#`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        features.push(`~${padded.slice(i, i + 3)}`);
+      }
+    }
+
+    return features;
+  }
+
+  embedText(text) {
+    const counts = new Map();
+    for (const feature of this.features(text)) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+
+    const vector = new Array(this.dimension).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = crypto.createHash("md5").update(feature).digest();
+      const bucket = hash.readUInt32LE(0) % this.dimension;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+// Tries each provider in order. A provider that fails is skipped for
+// `retryAfterMs` so an unreachable remote embedder does not slow every call.
+// Vectors already in the cache are reused, even while their provider is
+// being skipped, and only the missing texts are sent to the provider.
+class FallbackEmbeddings {
+  constructor(providers, { retryAfterMs = 60000, cache = null } = {}) {
+    this.providers = providers;
+    this.retryAfterMs = retryAfterMs;
+    this.cache = cache;
+    this.disabledUntil = new Map();
+  }
+
+  get id() {
+    return this.providers[0].id;
+  }
+
+  async embedWith(provider, texts) {
+    const vectors = new Array(texts.length);
+    const missing = [];
+
+    texts.forEach((text, idx) => {
+      const cached = this.cache?.get(provider.id, text);
+      if (cached) {
+        vectors[idx] = cached;
+      } else {
+        missing.push(idx);
+      }
+    });
+
+    if (missing.length === 0) return vectors;
+    if ((this.disabledUntil.get(provider.id) || 0) > Date.now()) {
+      throw new Error("provider temporarily disabled");
+    }
+
+    const computed = missing.length === 1
+      ? [await provider.embedQuery(texts[missing[0]])]
+      : await provider.embedDocuments(missing.map(idx => texts[idx]));
+
+    missing.forEach((textIdx, i) => {
+      vectors[textIdx] = computed[i];
+      this.cache?.set(provider.id, texts[textIdx], computed[i]);
+    });
+    this.disabledUntil.delete(provider.id);
+    return vectors;
+  }
+
+  async embedMany(texts) {
+    let lastError;
+
+    for (const provider of this.providers) {
+      const skipped = (this.disabledUntil.get(provider.id) || 0) > Date.now();
+      try {
+        const vectors = await this.embedWith(provider, texts);
+        return { vectors, embedder: provider.id };
+      } catch (error) {
+        lastError = error;
+        if (skipped) continue;
+        this.disabledUntil.set(provider.id, Date.now() + this.retryAfterMs);
+        console.log(`⚠️ Embedder ${provider.id} failed (${error.message}), trying next provider`);
+      }
+    }
+
+    throw lastError || new Error("No embedding provider available");
+  }
+
+  async embed(text) {
+    const { vectors, embedder } = await this.embedMany([text]);
+    return { vector: vectors[0], embedder };
+  }
+
+  async embedQuery(text) {
+    return (await this.embed(text)).vector;
+  }
+
+  async embedDocuments(texts) {
+    return (await this.embedMany(texts)).vectors;
+  }
+
+  // Drops the cached vectors of these texts for every provider in the chain
+  forget(texts) {
+    if (!this.cache) return 0;
+
+    let removed = 0;
+    for (const provider of this.providers) {
+      for (const text of texts) {
+        if (this.cache.delete(provider.id, text)) removed++;
+      }
+    }
+    if (removed > 0) this.cache.compact();
+    return removed;
+  }
+}
+
+function createEmbeddings(config = embeddingConfig(), cache = null) {
+  const local = new LocalHashEmbeddings({ dimension: config.localDimension });
+  const providers = [];
+
+  if (config.provider === "google" || config.provider === "auto") {
+    if (config.googleApiKey) {
+      providers.push(new GoogleEmbeddingProvider({
+        model: config.googleModel,
+        apiKey: config.googleApiKey
+      }));
+    } else {
+      console.log("⚠️ GOOGLE_API_KEY not set, using local embeddings");
+    }
+  }
+  if (config.provider === "local" || config.provider === "auto" || providers.length === 0) {
+    providers.push(local);
+  }
+
+  console.log(`✅ Embedding providers: ${providers.map(p => p.id).join(" → ")}`);
+  return new FallbackEmbeddings(providers, { retryAfterMs: config.retryAfterMs, cache });
+}
+
+// Shared by the warm and cold tiers, so a text embedded for one tier (or for
+// the query of one tier) is not embedded again for the other
+const config = embeddingConfig();
+const embeddingCache = new EmbeddingCache({
+  maxEntries: config.cacheSize,
+  directory: config.persistCache ? DATA_DIR : null
+});
+const embeddings = createEmbeddings(config, embeddingCache);
+
+export {
+  GoogleEmbeddingProvider,
+  LocalHashEmbeddings,
+  FallbackEmbeddings,
+  createEmbeddings,
+  embeddingCache,
+  embeddings
+};
@@ -0,0 +1,422 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { encryptionConfig } from "./config.js";
+
+const DEFAULT_TENANT = "default";
+
+// Records are encrypted with the data key of the user they belong to, so a
+// user's data can be rotated or shredded on its own
+function tenantOf(value) {
+  return value?.metadata?.userId || value?.userId || DEFAULT_TENANT;
+}
+
+function isSealed(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value) && value.$enc !== undefined;
+}
+
+function keyIdOf(stored) {
+  return isSealed(stored) ? stored.$enc.k : null;
+}
+
+function fingerprint(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+// A master key is 32 bytes given as 64 hex characters or base64, either in
+// the environment or in a key file
+function readMasterKey({ key, keyFile } = {}, label = "MEMORY_ENCRYPTION_KEY") {
+  let value = key;
+  if (!value && keyFile) {
+    try {
+      value = fs.readFileSync(keyFile, "utf-8").trim();
+    } catch (error) {
+      throw new Error(`Cannot read ${label}_FILE ${keyFile}: ${error.message}`);
+    }
+  }
+  if (!value) return null;
+
+  const buffer = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (buffer.length !== 32) {
+    throw new Error(`${label} must be 32 bytes (64 hex characters or base64)`);
+  }
+  return buffer;
+}
+
+function aesEncrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), ct: ct.toString("base64") };
+}
+
+function aesDecrypt(key, { iv, tag, ct }, aad) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ct, "base64")), decipher.final()]);
+}
+
+// Per-tenant data keys, stored wrapped (AES-256-GCM) under the master key.
+// Every tenant keeps all its key versions so data written under an older
+// version stays readable until it has been re-encrypted.
+class Keyring {
+  constructor({ file, masterKey, previousMasterKey = null }) {
+    this.file = file;
+    this.masterKey = masterKey;
+    this.previousMasterKey = previousMasterKey;
+    this.tenants = {};
+    this.keys = new Map();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      this.save();
+      return;
+    }
+
+    const stored = JSON.parse(fs.readFileSync(this.file, "utf-8"));
+    let unwrapKey = this.masterKey;
+    if (stored.masterKeyId !== fingerprint(this.masterKey)) {
+      if (this.previousMasterKey && stored.masterKeyId === fingerprint(this.previousMasterKey)) {
+        unwrapKey = this.previousMasterKey;
+      } else {
+        throw new Error(`MEMORY_ENCRYPTION_KEY does not match the key that protects ${this.file} (key id ${stored.masterKeyId}). Set MEMORY_ENCRYPTION_PREVIOUS_KEY to rotate from the old key.`);
+      }
+    }
+
+    this.tenants = stored.tenants;
+    for (const [tenant, { keys }] of Object.entries(this.tenants)) {
+      for (const [version, wrapped] of Object.entries(keys)) {
+        const id = `${tenant}#${version}`;
+        this.keys.set(id, aesDecrypt(unwrapKey, wrapped, id));
+      }
+    }
+
+    if (unwrapKey !== this.masterKey) {
+      this.save();
+      console.log("🔑 Data keys re-wrapped under the new master key");
+    }
+  }
+
+  save() {
+    const tenants = {};
+    for (const [tenant, { current, keys, destroyedAt }] of Object.entries(this.tenants)) {
+      tenants[tenant] = { current, keys: {}, ...(destroyedAt && { destroyedAt }) };
+      for (const [version, meta] of Object.entries(keys)) {
+        const id = `${tenant}#${version}`;
+        tenants[tenant].keys[version] = { ...aesEncrypt(this.masterKey, this.keys.get(id), id), createdAt: meta.createdAt };
+      }
+    }
+    this.tenants = tenants;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpPath = `${this.file}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, masterKeyId: fingerprint(this.masterKey), tenants }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.file);
+  }
+
+  currentKeyId(tenant) {
+    const entry = this.tenants[tenant];
+    return entry?.keys[entry.current] ? `${tenant}#${entry.current}` : null;
+  }
+
+  // Current key of a tenant, created on first use (or after it was destroyed)
+  dataKey(tenant) {
+    if (!this.currentKeyId(tenant)) {
+      this.addVersion(tenant);
+      this.save();
+    }
+    const id = this.currentKeyId(tenant);
+    return { id, key: this.keys.get(id) };
+  }
+
+  key(id) {
+    const key = this.keys.get(id);
+    if (!key) {
+      throw new Error(`Data key ${id} is not in the keyring (it was destroyed or the keyring is from another deployment)`);
+    }
+    return key;
+  }
+
+  addVersion(tenant) {
+    const entry = this.tenants[tenant] || { current: 0, keys: {} };
+    delete entry.destroyedAt;
+    const version = entry.current + 1;
+    entry.current = version;
+    entry.keys[version] = { createdAt: Date.now() };
+    this.tenants[tenant] = entry;
+    this.keys.set(`${tenant}#${version}`, crypto.randomBytes(32));
+    return `${tenant}#${version}`;
+  }
+
+  // Shredded tenants are left alone unless named explicitly
+  rotate(tenants = Object.keys(this.tenants).filter(tenant => !this.tenants[tenant].destroyedAt)) {
+    const rotated = tenants.map(tenant => this.addVersion(tenant));
+    this.save();
+    return rotated;
+  }
+
+  // Tenants whose current key is older than `maxAgeMs`
+  dueForRotation(maxAgeMs, now = Date.now()) {
+    return Object.entries(this.tenants)
+      .filter(([, { current, keys }]) => keys[current] && now - keys[current].createdAt >= maxAgeMs)
+      .map(([tenant]) => tenant);
+  }
+
+  // Crypto-shredding: without its keys a tenant's remaining ciphertext is
+  // unreadable. The version counter is kept so key ids are never reused.
+  destroy(tenant) {
+    const entry = this.tenants[tenant];
+    if (!entry) return 0;
+    const versions = Object.keys(entry.keys);
+    versions.forEach(version => this.keys.delete(`${tenant}#${version}`));
+    this.tenants[tenant] = { current: entry.current, keys: {}, destroyedAt: Date.now() };
+    this.save();
+    return versions.length;
+  }
+
+  getStats() {
+    return Object.fromEntries(Object.entries(this.tenants).map(([tenant, { current, keys, destroyedAt }]) => [
+      tenant,
+      {
+        current,
+        versions: Object.keys(keys).length,
+        currentCreatedAt: keys[current]?.createdAt ?? null,
+        ...(destroyedAt && { destroyedAt })
+      }
+    ]));
+  }
+}
+
+// Envelope encryption for everything the memory system writes under
+// DATA_DIR. Stores seal values before writing and open them after reading;
+// plaintext written before encryption was enabled is still read and is
+// re-encrypted by the next rotation pass. Stores that hold encrypted data
+// register() themselves so a rotation can re-encrypt them in the background.
+class MemoryEncryption {
+  constructor(config = encryptionConfig()) {
+    this.config = config;
+    this.enabled = false;
+    this.keyring = null;
+    this.stores = new Set();
+    this.job = null;
+    this.lastJob = null;
+    this.timer = null;
+  }
+
+  initialize() {
+    const { mode, keyringFile } = this.config;
+    if (mode === "off") {
+      console.log("⚠️ Memory encryption is off (MEMORY_ENCRYPTION=off)");
+      return false;
+    }
+
+    const masterKey = readMasterKey({ key: this.config.key, keyFile: this.config.keyFile });
+    if (!masterKey) {
+      if (fs.existsSync(keyringFile)) {
+        throw new Error(`Memory encryption key missing: ${keyringFile} holds the data keys of encrypted memory. Set MEMORY_ENCRYPTION_KEY or MEMORY_ENCRYPTION_KEY_FILE.`);
+      }
+      if (mode === "required") {
+        throw new Error("Memory encryption key missing: MEMORY_ENCRYPTION=required but neither MEMORY_ENCRYPTION_KEY nor MEMORY_ENCRYPTION_KEY_FILE is set.");
+      }
+      console.log("⚠️ No MEMORY_ENCRYPTION_KEY set, memory is stored unencrypted");
+      return false;
+    }
+
+    this.keyring = new Keyring({
+      file: keyringFile,
+      masterKey,
+      previousMasterKey: readMasterKey(
+        { key: this.config.previousKey, keyFile: this.config.previousKeyFile },
+        "MEMORY_ENCRYPTION_PREVIOUS_KEY"
+      )
+    });
+    this.keyring.load();
+    this.enabled = true;
+    console.log(`🔐 Memory encryption enabled (${Object.keys(this.keyring.tenants).length} tenant keys)`);
+    return true;
+  }
+
+  seal(value, tenant = tenantOf(value)) {
+    if (!this.enabled) return value;
+    const { id, key } = this.keyring.dataKey(tenant);
+    return { $enc: { k: id, ...aesEncrypt(key, Buffer.from(JSON.stringify(value)), id) } };
+  }
+
+  open(value) {
+    if (!isSealed(value)) return value;
+    if (!this.enabled) {
+      throw new Error("Encrypted memory found but no encryption key is configured (set MEMORY_ENCRYPTION_KEY or MEMORY_ENCRYPTION_KEY_FILE)");
+    }
+    const { k, ...envelope } = value.$enc;
+    return JSON.parse(aesDecrypt(this.keyring.key(k), envelope, k).toString("utf8"));
+  }
+
+  // Text columns (SQLite) hold a sealed value as JSON
+  sealText(text, tenant) {
+    return this.enabled ? JSON.stringify(this.seal(text, tenant)) : text;
+  }
+
+  openText(text) {
+    return text.startsWith('{"$enc"') ? this.open(JSON.parse(text)) : text;
+  }
+
+  // Key for blind indexes (keyed hashes that can be matched for equality
+  // without revealing the value), derived from the master key. Its id is
+  // "plain" while encryption is off, when indexes hold the values themselves.
+  indexKey() {
+    if (!this.enabled) return { id: "plain", key: null };
+    const key = crypto.createHmac("sha256", this.keyring.masterKey).update("memory-index").digest();
+    return { id: fingerprint(key), key };
+  }
+
+  // Whether data sealed with `keyId` (null for plaintext) is up to date:
+  // plaintext is stale while encryption is on, and so is an old key version
+  isCurrent(keyId, value) {
+    if (!this.enabled) return keyId === null;
+    return keyId !== null && keyId === this.keyring.currentKeyId(tenantOf(value));
+  }
+
+  register(store) {
+    this.stores.add(store);
+  }
+
+  unregister(store) {
+    this.stores.delete(store);
+  }
+
+  // New key versions for the given tenants (all by default), then every
+  // registered store is re-encrypted in the background
+  rotate(tenants) {
+    if (!this.enabled) {
+      throw new Error("Memory encryption is not enabled");
+    }
+    const rotated = this.keyring.rotate(tenants);
+    console.log(`🔑 Rotated data keys: ${rotated.join(", ")}`);
+    this.reencryptInBackground();
+    return rotated;
+  }
+
+  reencryptInBackground() {
+    if (this.job) {
+      this.job.rerun = true;
+      return this.job.promise;
+    }
+
+    const job = { startedAt: Date.now(), stores: 0, records: 0, failures: [], rerun: false };
+    job.promise = (async () => {
+      do {
+        job.rerun = false;
+        for (const store of Array.from(this.stores)) {
+          // Yield between stores so requests keep being served
+          await new Promise(resolve => setImmediate(resolve));
+          try {
+            job.records += await store.reencrypt();
+            job.stores++;
+          } catch (error) {
+            job.failures.push({ store: store.label, error: error.message });
+            console.log(`⚠️ Re-encryption of ${store.label} failed:`, error.message);
+          }
+        }
+      } while (job.rerun);
+
+      job.finishedAt = Date.now();
+      this.lastJob = job;
+      this.job = null;
+      console.log(`🔐 Re-encrypted ${job.records} records across ${job.stores} stores`);
+      return job;
+    })();
+
+    this.job = job;
+    return job.promise;
+  }
+
+  // Rotates tenants whose key is older than MEMORY_KEY_ROTATION_DAYS now and
+  // then once a day, and re-encrypts data left in plaintext or under old keys
+  startRotationSchedule() {
+    if (!this.enabled || this.timer) return;
+
+    const check = () => {
+      const maxAgeMs = this.config.rotationDays * 24 * 60 * 60 * 1000;
+      const due = maxAgeMs > 0 ? this.keyring.dueForRotation(maxAgeMs) : [];
+      if (due.length > 0) {
+        this.rotate(due);
+      } else if (Array.from(this.stores).some(store => store.needsReencryption())) {
+        this.reencryptInBackground();
+      }
+    };
+
+    check();
+    this.timer = setInterval(check, 24 * 60 * 60 * 1000);
+    this.timer.unref();
+  }
+
+  destroyTenant(tenant) {
+    return this.enabled ? this.keyring.destroy(tenant) : 0;
+  }
+
+  getStatus() {
+    const job = this.job || this.lastJob;
+    return {
+      enabled: this.enabled,
+      mode: this.config.mode,
+      rotationDays: this.config.rotationDays,
+      tenants: this.enabled ? this.keyring.getStats() : {},
+      stores: Array.from(this.stores).map(store => store.label),
+      reencryption: job
+        ? {
+            running: Boolean(this.job),
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt ?? null,
+            stores: job.stores,
+            records: job.records,
+            failures: job.failures
+          }
+        : null
+    };
+  }
+}
+
+// A whole JSON file sealed as one value (used for the legacy chat log)
+class EncryptedJsonFile {
+  constructor(file, { encryption = memoryEncryption, fallback = null } = {}) {
+    this.file = file;
+    this.label = path.basename(file);
+    this.encryption = encryption;
+    this.fallback = fallback;
+    encryption.register(this);
+  }
+
+  readStored() {
+    if (!fs.existsSync(this.file)) return undefined;
+    return JSON.parse(fs.readFileSync(this.file, "utf-8"));
+  }
+
+  read() {
+    const stored = this.readStored();
+    return stored === undefined ? this.fallback : this.encryption.open(stored);
+  }
+
+  write(value) {
+    const tmpPath = `${this.file}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.encryption.seal(value, DEFAULT_TENANT), null, 2));
+    fs.renameSync(tmpPath, this.file);
+  }
+
+  needsReencryption() {
+    const stored = this.readStored();
+    return stored !== undefined && !this.encryption.isCurrent(keyIdOf(stored), null);
+  }
+
+  async reencrypt() {
+    if (!this.needsReencryption()) return 0;
+    this.write(this.read());
+    return 1;
+  }
+}
+
+const memoryEncryption = new MemoryEncryption();
+
+export { MemoryEncryption, Keyring, EncryptedJsonFile, memoryEncryption, readMasterKey, tenantOf, isSealed, keyIdOf };
@@ -0,0 +1,282 @@
+import { AppendOnlyLog } from "./append_only_log.js";
+
+// A value runs to the end of the clause: "blue and my dog is Rex" -> "blue"
+const VALUE = String.raw`((?:(?!\s(?:and|but|so|because)\s)[^.,!?;\n])+)`;
+
+// Words that follow "call me" and "I work at" in casual phrases ("call me
+// later", "I work at night") rather than a name or an employer
+const TIME_WORDS = String.raw`(?:later|back|again|now|soon|today|tonight|tomorrow|anytime|when|if|after|before|night|nights|day|days|noon|midnight|dawn|dusk|morning|mornings|evening|evenings|weekends?|weekdays?|home|hours|times?|the (?:moment|weekend|end)|\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\b`;
+
+// The end of a clause, after optional spaces
+const CLAUSE_END = String.raw`\s*(?:$|[.,!?;\n]|\s(?:and|but|so|because)\b)`;
+
+// Attributes the generic "my X is Y" form may record. Anything else ("my
+// question is whether...", "my point is...") is conversation, not a fact.
+const GENERIC_ATTRIBUTES = new Set([
+  "job", "profession", "occupation", "role", "title", "employer", "company",
+  "hometown", "city", "country", "nationality", "timezone", "birthday", "nickname",
+  "native language", "first language", "major", "degree", "school", "university",
+  "wife", "husband", "partner", "girlfriend", "boyfriend", "son", "daughter",
+  "brother", "sister", "mother", "mom", "father", "dad", "dog", "cat", "pet",
+  "goal", "budget", "risk tolerance", "diet", "hobby", "car"
+]);
+
+// Patterns for facts users state about themselves. Each one yields an
+// attribute and a value; more specific patterns come first and win over the
+// generic "my X is Y" form for the same attribute.
+const FACT_PATTERNS = [
+  { attribute: "name", confidence: 0.95, regex: /\bmy name is ([a-z][\w'-]*(?: (?!and\b|but\b|i\b|i'm\b)[a-z][\w'-]*)?)/i },
+  {
+    // "call me Sam, please" or "just call me sam", not "call me maybe please"
+    attribute: (match) => (/^[A-Z]/.test(match[1]) || endsClause(match) ? "name" : null),
+    confidence: 0.85,
+    regex: new RegExp(String.raw`\bcall me (?!${TIME_WORDS})([a-z][\w'-]*)`, "i")
+  },
+  // "I'm 32", "I am 32 years old", not "I am 100% sure" or "I'm 5 minutes late"
+  { attribute: "age", confidence: 0.9, regex: new RegExp(String.raw`\bi(?:'m| am) (\d{1,3})(?= years old\b| now\b|${CLAUSE_END})`, "i") },
+  { attribute: "age", confidence: 0.9, regex: /\bi(?: just)? turned (\d{1,3})\b/i },
+  { attribute: "location", confidence: 0.85, regex: /\bi (?:live|am based|'m based) in ([^.,!?;\n]+)/i },
+  { attribute: "employer", confidence: 0.8, regex: new RegExp(String.raw`\bi work (?:at|for) (?!${TIME_WORDS})([^.,!?;\n]+)`, "i") },
+  { attribute: "occupation", confidence: 0.8, regex: /\bi work as an? ([^.,!?;\n]+)/i },
+  {
+    attribute: "investment_thesis",
+    confidence: 0.9,
+    regex: /\bmy (?:investment )?thesis is(?: to)? ([^!?\n]+)/i,
+    keepConjunctions: true
+  },
+  {
+    attribute: (match) => `favorite_${toAttribute(match[1])}`,
+    confidence: 0.9,
+    regex: new RegExp(String.raw`\bmy favou?rite ([a-z]+(?: [a-z]+)?) is ${VALUE}`, "i"),
+    valueGroup: 2
+  },
+  {
+    attribute: (match) => (GENERIC_ATTRIBUTES.has(match[1].toLowerCase()) ? toAttribute(match[1]) : null),
+    confidence: 0.6,
+    regex: new RegExp(String.raw`\bmy ([a-z]+(?: [a-z]+)?) is ${VALUE}`, "i"),
+    valueGroup: 2,
+    maxWords: 5
+  }
+];
+
+function endsClause(match) {
+  return new RegExp(`^${CLAUSE_END}`, "i").test(match.input.slice(match.index + match[0].length));
+}
+
+function toAttribute(text) {
+  return text.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+function cleanValue(value, { keepConjunctions = false } = {}) {
+  // "blue and I'm 32" -> "blue"
+  if (!keepConjunctions) {
+    value = value.split(/\s+(?:and|but|so|because)\s+/i)[0];
+  }
+  return value
+    .trim()
+    .replace(/\s+(?:now|anymore|these days)$/i, "")
+    .replace(/[.\s]+$/, "")
+    .slice(0, 200);
+}
+
+// Sessions a fact value was stated in; facts stored before sessions were
+// tracked were keyed by their session
+function sessionsOf(value, fact) {
+  return value.sessionIds || [fact.subject];
+}
+
+function extractFacts(text) {
+  const facts = new Map();
+
+  // Questions ("What is my name?") are not statements of fact
+  const sentences = text.split(/(?<=[.!?\n])\s*/).filter(s => s.trim() && !s.trim().endsWith("?"));
+
+  for (const sentence of sentences) {
+    // Text already claimed by a more specific pattern is not matched again
+    const claimed = [];
+
+    for (const pattern of FACT_PATTERNS) {
+      for (const match of sentence.matchAll(new RegExp(pattern.regex.source, "gi"))) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (claimed.some(([s, e]) => start < e && end > s)) continue;
+
+        const attribute = typeof pattern.attribute === "function"
+          ? pattern.attribute(match)
+          : pattern.attribute;
+        const value = cleanValue(match[pattern.valueGroup || 1], pattern);
+        if (!attribute || !value || facts.has(attribute)) continue;
+        if (pattern.maxWords && value.split(/\s+/).length > pattern.maxWords) continue;
+
+        claimed.push([start, end]);
+        facts.set(attribute, { attribute, value, confidence: pattern.confidence });
+      }
+    }
+  }
+
+  return Array.from(facts.values());
+}
+
+// Subject–attribute–value facts, one current value per attribute. A new value
+// supersedes the old one, which is kept in the fact's history. Each value
+// notes the sessions it was stated in, so forgetting a session removes only
+// what was said there.
+class FactStore {
+  constructor({ directory = null } = {}) {
+    this.log = directory ? new AppendOnlyLog(directory, "user_facts") : null;
+    this.facts = new Map();
+  }
+
+  load() {
+    if (this.log) {
+      this.facts = this.log.load();
+      console.log(`✅ Fact store loaded (${this.facts.size} facts)`);
+    }
+    return this.facts.size;
+  }
+
+  save(fact) {
+    this.log?.put(fact.id, fact);
+    this.facts.set(fact.id, fact);
+  }
+
+  // Facts belong to the user when one is known, so they carry over to the
+  // user's other sessions; anonymous sessions keep their own
+  subjectOf({ sessionId, userId = null }) {
+    return userId ? `user:${userId}` : sessionId;
+  }
+
+  record(subject, extracted, { source = "", timestamp = Date.now(), sessionId = subject, userId = null } = {}) {
+    const changes = [];
+
+    for (const { attribute, value, confidence } of extracted) {
+      const id = `${subject}:${attribute}`;
+      const existing = this.facts.get(id);
+
+      if (existing && existing.value.toLowerCase() === value.toLowerCase()) {
+        this.save({
+          ...existing,
+          confidence: Math.max(existing.confidence, confidence),
+          sessionIds: Array.from(new Set([...sessionsOf(existing, existing), sessionId])),
+          confirmations: existing.confirmations + 1,
+          lastConfirmedAt: timestamp
+        });
+        changes.push({ type: "confirmed", attribute, value });
+        continue;
+      }
+
+      const history = existing
+        ? [...existing.history, {
+            value: existing.value,
+            source: existing.source,
+            sessionIds: sessionsOf(existing, existing),
+            validFrom: existing.updatedAt,
+            validUntil: timestamp
+          }]
+        : [];
+
+      this.save({
+        id,
+        subject,
+        attribute,
+        value,
+        confidence,
+        source,
+        sessionIds: [sessionId],
+        ...(userId && { userId }),
+        createdAt: existing ? existing.createdAt : timestamp,
+        updatedAt: timestamp,
+        lastConfirmedAt: timestamp,
+        confirmations: 1,
+        history
+      });
+      changes.push(existing
+        ? { type: "superseded", attribute, value, previousValue: existing.value }
+        : { type: "added", attribute, value });
+    }
+
+    return changes;
+  }
+
+  learn(subject, text, options) {
+    return this.record(subject, extractFacts(text), { source: text, ...options });
+  }
+
+  // Which of a fact's values (current and past) a forget request covers:
+  // all of them for the user's own facts, otherwise those stated only in the
+  // forgotten sessions
+  forgottenValues(fact, { sessionIds = [], userId = null } = {}) {
+    const covered = value => sessionsOf(value, fact).every(sessionId => sessionIds.includes(sessionId));
+    if (userId && fact.userId === userId) {
+      return { current: true, history: fact.history };
+    }
+    return { current: covered(fact), history: fact.history.filter(covered) };
+  }
+
+  // Removes the values stated in the given sessions, or everything about a
+  // user. When the current value goes, the latest remaining one takes its
+  // place. Returns how many values were removed.
+  forget(criteria) {
+    let removed = 0;
+    for (const fact of Array.from(this.facts.values())) {
+      const forgotten = this.forgottenValues(fact, criteria);
+      if (!forgotten.current && forgotten.history.length === 0) continue;
+      removed += (forgotten.current ? 1 : 0) + forgotten.history.length;
+
+      const history = fact.history.filter(entry => !forgotten.history.includes(entry));
+      if (!forgotten.current) {
+        this.save({ ...fact, history });
+      } else if (history.length > 0) {
+        const previous = history.pop();
+        this.save({
+          ...fact,
+          value: previous.value,
+          source: previous.source,
+          sessionIds: sessionsOf(previous, fact),
+          updatedAt: previous.validFrom,
+          history
+        });
+      } else {
+        this.log?.delete(fact.id);
+        this.facts.delete(fact.id);
+      }
+    }
+    if (removed > 0) this.log?.compact();
+    return removed;
+  }
+
+  count(criteria) {
+    return Array.from(this.facts.values()).reduce((total, fact) => {
+      const forgotten = this.forgottenValues(fact, criteria);
+      return total + (forgotten.current ? 1 : 0) + forgotten.history.length;
+    }, 0);
+  }
+
+  getFacts(subject, { limit = 20 } = {}) {
+    return Array.from(this.facts.values())
+      .filter(fact => fact.subject === subject)
+      .sort((a, b) => (b.confidence - a.confidence) || (b.updatedAt - a.updatedAt))
+      .slice(0, limit);
+  }
+
+  getHistory(subject, attribute) {
+    const fact = this.facts.get(`${subject}:${attribute}`);
+    if (!fact) return [];
+    return [...fact.history, { value: fact.value, source: fact.source, validFrom: fact.updatedAt, validUntil: null }];
+  }
+
+  formatFact(fact) {
+    const previous = fact.history.length > 0
+      ? ` (previously ${fact.history[fact.history.length - 1].value})`
+      : "";
+    return `- ${fact.attribute.replace(/_/g, " ")}: ${fact.value}${previous}`;
+  }
+
+  formatProfile(subject, options) {
+    return this.getFacts(subject, options)
+      .map(fact => this.formatFact(fact))
+      .join("\n");
+  }
+}
+
+export { FactStore, extractFacts };
@@ -0,0 +1,91 @@
+import { matchesFilter } from "./backends/vector_backend.js";
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "do", "for", "from", "how", "i", "in",
+  "is", "it", "me", "my", "of", "on", "or", "so", "that", "the", "their", "this", "to", "was",
+  "what", "when", "where", "which", "who", "why", "with", "you", "your"
+]);
+
+// Keeps dates ("nov", "20"), names ("dataflow") and version-like tokens ("q1")
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+(?:[.'-][\p{L}\p{N}]+)*/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+// In-process BM25 index kept next to a vector tier, so exact tokens such as
+// company names and dates can be matched even when embeddings blur them.
+class KeywordIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(id, text, metadata = {}) {
+    this.remove(id);
+
+    const terms = new Map();
+    const tokens = tokenize(text);
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + 1);
+    }
+    for (const term of terms.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+
+    this.documents.set(id, { terms, length: tokens.length, metadata });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return false;
+
+    for (const term of doc.terms.keys()) {
+      const frequency = this.documentFrequency.get(term) - 1;
+      if (frequency > 0) {
+        this.documentFrequency.set(term, frequency);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    }
+    this.totalLength -= doc.length;
+    this.documents.delete(id);
+    return true;
+  }
+
+  search(query, { limit = 10, filter } = {}) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+    const averageLength = this.totalLength / this.documents.size || 1;
+    const results = [];
+
+    for (const [id, doc] of this.documents) {
+      if (!matchesFilter(doc.metadata, filter)) continue;
+
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = doc.terms.get(term);
+        if (!frequency) continue;
+
+        const df = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (this.documents.size - df + 0.5) / (df + 0.5));
+        const norm = frequency + this.k1 * (1 - this.b + this.b * (doc.length / averageLength));
+        score += idf * (frequency * (this.k1 + 1)) / norm;
+      }
+
+      if (score > 0) results.push({ id, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+export { KeywordIndex, tokenize };
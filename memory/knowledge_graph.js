@@ -0,0 +1,346 @@
+import crypto from "crypto";
+import { AppendOnlyLog } from "./append_only_log.js";
+
+// A proper name: capitalized words ("Sarah Chen", "DataFlow", "PropelAI")
+const NAME = String.raw`[A-Z][\w&-]*(?:\s+[A-Z][\w&-]*){0,3}`;
+// A value runs to the end of the clause
+const CLAUSE = String.raw`[^.,;!?\n]+`;
+// Capitalized words that start sentences or quarters rather than name things
+const NOT_NAMES = /^(?:I|I'm|The|A|An|My|Our|We|This|That|These|It|He|She|They|Q[1-4]|Portfolio|Previous|Typical|Also|And|But|So)$/;
+
+// Relation types, with how each reads in context and the query words that ask
+// about it. `user` is the speaker; a relation either points at another
+// entity (`to`) or ends in a value ("Q1 2025", "up 40%").
+const RELATIONS = {
+  portfolio_company: { label: "has portfolio company", hints: /portfolio|invest/i },
+  pitched: { label: "pitched", hints: /pitch|series|round|rais/i },
+  launch_delayed: { label: "launch delayed to", hints: /delay|launch|slip|late/i },
+  metric_change: { label: "reported", hints: /burn|revenue|arr|churn|growth|runway|metric|risk/i },
+  competitor: { label: "faces competitor", hints: /compet|risk|threat/i },
+  check_in: { label: "check-in scheduled", hints: /check-?\s?ins?|meeting|schedul/i },
+  works_at: { label: "works at", hints: /work|team|employ|who/i },
+  founded: { label: "founded", hints: /found|who/i }
+};
+
+// Each pattern yields relations from one sentence of a user message
+const RELATION_PATTERNS = [
+  {
+    regex: new RegExp(String.raw`\b(?:my|our) portfolio(?: companies)? (?:includes?|has|contains|are|is)(?: companies)?:?\s+([^.;!?\n]+)`, "gi"),
+    build: match => splitNames(match[1]).map(name => ({ from: "user", type: "portfolio_company", to: { name, type: "company" } }))
+  },
+  {
+    regex: new RegExp(String.raw`\bPortfolio (?:includes|has|contains):?\s+([^.;!?\n]+)`, "g"),
+    build: match => splitNames(match[1]).map(name => ({ from: "user", type: "portfolio_company", to: { name, type: "company" } }))
+  },
+  {
+    regex: new RegExp(String.raw`\b(?:I|we)(?:'ve| have)? (?:invested|invest|put money) in (${NAME})`, "gi"),
+    build: match => [{ from: "user", type: "portfolio_company", to: { name: match[1], type: "company" } }]
+  },
+  {
+    regex: new RegExp(String.raw`(${NAME}) is (?:one of )?(?:my|our) portfolio compan(?:y|ies)`, "g"),
+    build: match => [{ from: "user", type: "portfolio_company", to: { name: match[1], type: "company" } }]
+  },
+  {
+    regex: new RegExp(String.raw`(${NAME}) pitched (?:us |me )?(?:a |an |their |its )?(${CLAUSE}?)(?=\s+(?:last|this|on|to|yesterday|today)\b|[.,;!?\n]|$)`, "g"),
+    build: match => [{ from: { name: match[1], type: nameType(match[1]) }, type: "pitched", value: match[2] }]
+  },
+  {
+    regex: new RegExp(String.raw`(${NAME})(?:'s)? (?:product |app |platform )?launch (?:is |was |has been |got |is being )?(?:delayed|pushed(?: back)?|postponed|slipped)(?: (?:to|until|into) (${CLAUSE}))?`, "g"),
+    build: match => [{ from: { name: match[1], type: "company" }, type: "launch_delayed", value: match[2] || "a later date" }]
+  },
+  {
+    regex: new RegExp(String.raw`(${NAME})(?:'s)? (burn rate|revenue|ARR|MRR|churn|growth|runway|CAC|retention)( (?:is |was |has )?(?:up|down|increased|decreased|grew|fell|dropped|rose)[^.;!?\n]*?\d+(?:\.\d+)?%(?: ${CLAUSE})?)`, "g"),
+    build: match => [{ from: { name: match[1], type: "company" }, type: "metric_change", value: `${match[2]}${match[3]}`.trim() }]
+  },
+  {
+    regex: new RegExp(String.raw`(${NAME}) (?:is )?(?:facing|faces|up against) (?:a |an |new |strong )*competitor(?:s)?(?: (${CLAUSE}))?`, "g"),
+    build: match => [{ from: { name: match[1], type: "company" }, type: "competitor", value: match[2] ? `competitor ${match[2].trim()}` : "a competitor" }]
+  },
+  {
+    // "Q4 check-in schedule: DataFlow (Nov 20, 2PM EST), CloudMetrics (Nov 27)"
+    regex: /\bcheck-?\s?ins?\b[^:\n]*:([^\n]+)/gi,
+    build: match => Array.from(match[1].matchAll(new RegExp(String.raw`(${NAME}) \(([^)]+)\)`, "g")))
+      .filter(([, name]) => !NOT_NAMES.test(name))
+      .map(([, name, when]) => ({ from: "user", type: "check_in", to: { name, type: "company" }, value: when.trim() }))
+  },
+  {
+    regex: new RegExp(String.raw`\bcheck-?\s?in with (${NAME})(?: (?:on|at|for) (${CLAUSE}))?`, "gi"),
+    build: match => [{ from: "user", type: "check_in", to: { name: match[1], type: "company" }, value: match[2] || null }]
+  },
+  {
+    regex: new RegExp(String.raw`(${NAME}) (?:works at|works for|is (?:the )?(?:CEO|CTO|COO|CFO|head of \w+|a partner|an engineer) (?:at|of)) (${NAME})`, "g"),
+    build: match => [{ from: { name: match[1], type: "person" }, type: "works_at", to: { name: match[2], type: "company" } }]
+  },
+  {
+    regex: new RegExp(String.raw`(${NAME}) (?:founded|co-founded|started) (${NAME})`, "g"),
+    build: match => [{ from: { name: match[1], type: "person" }, type: "founded", to: { name: match[2], type: "company" } }]
+  }
+];
+
+// "DataFlow, CloudMetrics and FinStack" -> names
+function splitNames(list) {
+  return list.split(/,\s*|\s+and\s+|\s*&\s*/)
+    .map(item => item.trim().match(new RegExp(`^${NAME}`))?.[0])
+    .filter(name => name && !NOT_NAMES.test(name));
+}
+
+// Two or three capitalized words that are not one CamelCase token read as a person
+function nameType(name) {
+  return /^[A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,2}$/.test(name) ? "person" : "company";
+}
+
+function entityKey(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Entities and typed relations stated in a user message
+function extractRelations(text) {
+  const relations = [];
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/).filter(s => s.trim() && !s.trim().endsWith("?"));
+
+  for (const sentence of sentences) {
+    for (const pattern of RELATION_PATTERNS) {
+      for (const match of sentence.matchAll(pattern.regex)) {
+        for (const relation of pattern.build(match)) {
+          const names = [relation.from, relation.to].filter(end => end && end !== "user").map(end => end.name);
+          if (names.some(name => NOT_NAMES.test(name))) continue;
+          relations.push({ ...relation, value: relation.value ? relation.value.trim() : null });
+        }
+      }
+    }
+  }
+  return relations;
+}
+
+// Graph of the entities a user talks about and how they relate, scoped per
+// user (or per session for anonymous sessions). Entities and relations are
+// records of one append-only log; a relation remembers the turns that stated
+// it, so deleting the last of them deletes the relation.
+class KnowledgeGraph {
+  constructor({ directory = null, maxHops = 2 } = {}) {
+    this.log = directory ? new AppendOnlyLog(directory, "knowledge_graph") : null;
+    this.records = new Map();
+    this.maxHops = maxHops;
+  }
+
+  load() {
+    if (this.log) {
+      this.records = this.log.load();
+      console.log(`✅ Knowledge graph loaded (${this.entities().length} entities, ${this.relations().length} relations)`);
+    }
+    return this.records.size;
+  }
+
+  save(record) {
+    this.log?.put(record.id, record);
+    this.records.set(record.id, record);
+    return record;
+  }
+
+  scopeOf({ sessionId, userId } = {}) {
+    return userId ? `user:${userId}` : `session:${sessionId}`;
+  }
+
+  entities(scope) {
+    return Array.from(this.records.values()).filter(record => record.kind === "entity" && (!scope || record.scope === scope));
+  }
+
+  relations(scope) {
+    return Array.from(this.records.values()).filter(record => record.kind === "relation" && (!scope || record.scope === scope));
+  }
+
+  upsertEntity(scope, { name, type }, { sessionId, userId, timestamp }) {
+    const id = `entity:${scope}:${entityKey(name)}`;
+    const existing = this.records.get(id);
+    return this.save({
+      id,
+      kind: "entity",
+      scope,
+      name: existing?.name || name,
+      // A specific type learned later wins over the "company" default
+      type: existing && existing.type !== "company" ? existing.type : type,
+      ...(userId && { userId }),
+      sessionIds: Array.from(new Set([...(existing?.sessionIds || []), sessionId])),
+      mentions: (existing?.mentions || 0) + 1,
+      firstSeen: existing?.firstSeen ?? timestamp,
+      lastSeen: timestamp
+    });
+  }
+
+  // Stores what a user message says; returns the relations added or confirmed
+  learn(text, { sessionId, userId = null, sourceId = null, timestamp = Date.now() } = {}) {
+    const scope = this.scopeOf({ sessionId, userId });
+    const context = { sessionId, userId, timestamp };
+    const learned = [];
+
+    for (const relation of extractRelations(text)) {
+      const from = relation.from === "user"
+        ? this.upsertEntity(scope, { name: "You", type: "user" }, context)
+        : this.upsertEntity(scope, relation.from, context);
+      const to = relation.to ? this.upsertEntity(scope, relation.to, context) : null;
+
+      const key = [from.id, relation.type, to?.id ?? "", (relation.value || "").toLowerCase()].join("|");
+      const id = `relation:${crypto.createHash("sha256").update(key).digest("hex").slice(0, 16)}`;
+      const existing = this.records.get(id);
+      learned.push(this.save({
+        id,
+        kind: "relation",
+        scope,
+        from: from.id,
+        type: relation.type,
+        to: to?.id ?? null,
+        value: relation.value,
+        ...(userId && { userId }),
+        sessionIds: Array.from(new Set([...(existing?.sessionIds || []), sessionId])),
+        sourceIds: Array.from(new Set([...(existing?.sourceIds || []), ...(sourceId ? [sourceId] : [])])),
+        createdAt: existing?.createdAt ?? timestamp,
+        updatedAt: timestamp
+      }));
+    }
+    return learned;
+  }
+
+  describe(relation, direction = "forward") {
+    const from = this.records.get(relation.from)?.name ?? relation.from;
+    const target = relation.to ? this.records.get(relation.to)?.name : null;
+    const label = RELATIONS[relation.type]?.label || relation.type.replace(/_/g, " ");
+    const end = [target, relation.value].filter(Boolean).join(" ");
+    return direction === "forward" ? `—${label}→ ${end}` : `←${label}— ${from}`;
+  }
+
+  // Paths answering a question, best first. The search starts at the
+  // entities named in the query (and at the user for "my"/"I"), follows
+  // relations in both directions for up to `maxHops` and keeps paths that end
+  // in a relation type the query asks about:
+  //   "which of my portfolio companies have delayed launches?"
+  //   → You —has portfolio company→ FinStack —launch delayed to→ Q1 2025
+  query(text, scopeCriteria, { limit = 8 } = {}) {
+    const scope = this.scopeOf(scopeCriteria);
+    const entities = this.entities(scope);
+    const relations = this.relations(scope);
+    if (relations.length === 0) return [];
+
+    const lower = text.toLowerCase();
+    const hinted = new Set(Object.entries(RELATIONS)
+      .filter(([, { hints }]) => hints.test(text))
+      .map(([type]) => type));
+    let seeds = entities.filter(entity => entity.type !== "user" && lower.includes(entity.name.toLowerCase()));
+    if (/\b(?:i|me|my|mine|we|our|us)\b/.test(lower)) {
+      seeds.push(...entities.filter(entity => entity.type === "user"));
+    }
+    // Nothing named: start from every entity with a relation asked about
+    if (seeds.length === 0) {
+      const starts = new Set(relations.filter(relation => hinted.has(relation.type)).map(relation => relation.from));
+      seeds = entities.filter(entity => starts.has(entity.id));
+    }
+
+    const paths = [];
+    let frontier = seeds.map(seed => ({ at: seed.id, steps: [], visited: new Set([seed.id]), seed }));
+    for (let hop = 0; hop < this.maxHops && frontier.length > 0; hop++) {
+      const next = [];
+      for (const path of frontier) {
+        for (const relation of relations) {
+          const direction = relation.from === path.at ? "forward" : relation.to === path.at ? "backward" : null;
+          if (!direction) continue;
+          const other = direction === "forward" ? relation.to : relation.from;
+          if (other && path.visited.has(other)) continue;
+
+          const steps = [...path.steps, { relation, direction }];
+          paths.push({ seed: path.seed, steps });
+          if (other) {
+            next.push({ at: other, steps, visited: new Set([...path.visited, other]), seed: path.seed });
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    const candidates = paths
+      .map(path => {
+        const last = path.steps[path.steps.length - 1].relation;
+        const hintedSteps = path.steps.filter(step => hinted.has(step.relation.type)).length;
+        const coverage = new Set(path.steps.map(step => step.relation.type).filter(type => hinted.has(type))).size;
+        return { ...path, last, coverage, score: hintedSteps * 2 + (hinted.has(last.type) ? 1 : 0) - (path.steps.length - hintedSteps) };
+      })
+      .filter(path => (hinted.size > 0 ? hinted.has(path.last.type) : path.steps.length === 1));
+    // Paths that combine more of what was asked answer it better: "my
+    // portfolio companies with delayed launches" wants both relations
+    const bestCoverage = Math.max(0, ...candidates.map(path => path.coverage));
+    const scored = candidates
+      .filter(path => path.coverage === bestCoverage)
+      .sort((a, b) => b.score - a.score || b.last.updatedAt - a.last.updatedAt);
+
+    // One path per final relation, the best scored
+    const results = [];
+    const covered = new Set();
+    for (const path of scored) {
+      if (covered.has(path.last.id)) continue;
+      covered.add(path.last.id);
+      results.push({
+        id: path.last.id,
+        text: [path.seed.name, ...path.steps.map(step => this.describe(step.relation, step.direction))].join(" "),
+        relationIds: path.steps.map(step => step.relation.id),
+        score: path.score,
+        timestamp: path.last.updatedAt
+      });
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+
+  // Entities and relations of a scope, for the API
+  snapshot(scopeCriteria) {
+    const scope = this.scopeOf(scopeCriteria);
+    return {
+      scope,
+      entities: this.entities(scope),
+      relations: this.relations(scope).map(relation => ({ ...relation, text: `${this.records.get(relation.from)?.name} ${this.describe(relation)}` }))
+    };
+  }
+
+  // A record goes with its user, or once every session it was learned in goes
+  matches(record, { sessionIds = [], userId } = {}) {
+    return Boolean(userId && record.userId === userId)
+      || record.sessionIds.every(sessionId => sessionIds.includes(sessionId));
+  }
+
+  count(criteria) {
+    return Array.from(this.records.values()).filter(record => this.matches(record, criteria)).length;
+  }
+
+  // Deletes the records and any entity left without relations
+  delete(ids) {
+    for (const id of ids) {
+      this.log?.delete(id);
+      this.records.delete(id);
+    }
+
+    const linked = new Set(this.relations().flatMap(relation => [relation.from, relation.to]));
+    for (const entity of this.entities()) {
+      if (linked.has(entity.id)) continue;
+      this.log?.delete(entity.id);
+      this.records.delete(entity.id);
+    }
+  }
+
+  forget(criteria) {
+    const before = this.records.size;
+    this.delete(Array.from(this.records.values())
+      .filter(record => this.matches(record, criteria))
+      .map(record => record.id));
+    const removed = before - this.records.size;
+    if (removed > 0) this.log?.compact();
+    return removed;
+  }
+
+  // Drops relations whose only sources were these turns
+  forgetSources(sourceIds) {
+    const orphaned = this.relations()
+      .filter(relation => relation.sourceIds.length > 0 && relation.sourceIds.every(id => sourceIds.includes(id)))
+      .map(relation => relation.id);
+    if (orphaned.length > 0) this.delete(orphaned);
+    return orphaned.length;
+  }
+}
+
+export { KnowledgeGraph, extractRelations, RELATIONS };
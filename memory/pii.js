@@ -0,0 +1,194 @@
+import crypto from "crypto";
+
+// Luhn checksum used by payment card numbers
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616: move the country code and check digits to the end, turn letters
+// into numbers and the result mod 97 must be 1
+function ibanValid(value) {
+  const iban = value.replace(/\s+/g, "").toUpperCase();
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+const onlyDigits = value => value.replace(/\D/g, "");
+
+// Checked in this order; a span claimed by an earlier detector is not
+// matched again (a card number is not also reported as a phone number)
+const DETECTORS = [
+  {
+    type: "api_key",
+    pattern: /\b(?:sk-(?:proj-)?[A-Za-z0-9_-]{20,}|sk-ant-[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abposr]-[A-Za-z0-9-]{10,}|hf_[A-Za-z0-9]{30,}|r8_[A-Za-z0-9]{30,})\b/g
+  },
+  {
+    // Labelled secrets ("password: hunter2!", "api_key=..."); only the value is replaced
+    type: "api_key",
+    pattern: /\b(?:api[_-]?key|secret|token|password|passwd)\s*[:=]\s*["']?([^\s"']{8,})/gi,
+    group: 1
+  },
+  {
+    type: "email",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: "iban",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: ibanValid
+  },
+  {
+    type: "credit_card",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: value => luhnValid(onlyDigits(value))
+  },
+  {
+    type: "ssn",
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+    validate: value => !/^(000|666|9\d\d)-|-00-|-0000$/.test(value)
+  },
+  {
+    type: "phone",
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?!\w)/g,
+    validate: value => {
+      const digits = onlyDigits(value).length;
+      return digits >= 9 && digits <= 15 && /[ .()+-]/.test(value.trim());
+    }
+  }
+];
+
+const DEFAULT_POLICIES = {
+  api_key: "drop",
+  email: "mask",
+  iban: "mask",
+  credit_card: "drop",
+  ssn: "drop",
+  phone: "mask"
+};
+
+function detectPii(text, detectors = DETECTORS) {
+  const found = [];
+  const claimed = [];
+
+  for (const detector of detectors) {
+    for (const match of text.matchAll(detector.pattern)) {
+      const value = match[detector.group ?? 0];
+      const start = match.index + match[0].lastIndexOf(value);
+      const end = start + value.length;
+      if (claimed.some(([s, e]) => start < e && end > s)) continue;
+      if (detector.validate && !detector.validate(value)) continue;
+
+      claimed.push([start, end]);
+      found.push({ type: detector.type, value, start, end });
+    }
+  }
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// Keeps the last `keep` digits and the formatting around them
+function maskDigits(value, keep) {
+  let remaining = onlyDigits(value).length - keep;
+  return value.replace(/\d/g, digit => (remaining-- > 0 ? "*" : digit));
+}
+
+function maskValue(type, value) {
+  switch (type) {
+    case "email": {
+      const [local, domain] = value.split("@");
+      return `${local[0]}***@${domain}`;
+    }
+    case "api_key":
+      return `${value.slice(0, 4)}********`;
+    case "iban":
+      return `${value.slice(0, 2)}** **** ${value.replace(/\s+/g, "").slice(-4)}`;
+    case "phone":
+      return maskDigits(value, 2);
+    default:
+      return maskDigits(value, 4);
+  }
+}
+
+// Redacts `text` according to per-type policies:
+//   drop  - replaced by a [TYPE REDACTED] placeholder
+//   mask  - partly hidden, e.g. j***@acme.com or ****-****-****-4242
+//   hash  - replaced by a keyed hash, so equal values still match
+//   vault - encrypted into `vault` and replaced by a reference to it
+// `memo` maps values already replaced in this save to their replacement, so a
+// value seen in several fields is vaulted once. Returns the redacted text
+// and one report item per detection (never the original value).
+function redactText(text, { detectors = DETECTORS, policies = DEFAULT_POLICIES, hashSecret = null, vault = null, vaultContext = {}, memo = new Map() } = {}) {
+  const items = [];
+  let redacted = "";
+  let cursor = 0;
+
+  for (const detection of detectPii(text, detectors)) {
+    const requested = policies[detection.type] || "drop";
+    const key = `${detection.type}:${detection.value}`;
+    let outcome = memo.get(key);
+
+    if (!outcome) {
+      outcome = replacementFor(detection, requested, { hashSecret, vault, vaultContext });
+      memo.set(key, outcome);
+    }
+
+    redacted += text.slice(cursor, detection.start) + outcome.replacement;
+    cursor = detection.end;
+    items.push({ type: detection.type, ...outcome });
+  }
+
+  return { text: redacted + text.slice(cursor), items };
+}
+
+function replacementFor({ type, value }, policy, { hashSecret, vault, vaultContext }) {
+  const label = type.toUpperCase();
+
+  switch (policy) {
+    case "mask":
+      return { policy, replacement: maskValue(type, value) };
+    case "hash": {
+      const hash = hashSecret
+        ? crypto.createHmac("sha256", hashSecret).update(value).digest("hex")
+        : crypto.createHash("sha256").update(value).digest("hex");
+      return { policy, replacement: `[${label}#${hash.slice(0, 12)}]` };
+    }
+    case "vault":
+      // Without a usable vault the value must not be stored at all
+      try {
+        if (!vault) throw new Error("no vault configured");
+        const id = vault.store(value, { type, ...vaultContext });
+        return { policy, replacement: `[${label} vault:${id}]` };
+      } catch (error) {
+        console.log(`⚠️ PII vault unavailable (${error.message}), dropping ${type}`);
+        return { policy: "drop", requestedPolicy: policy, replacement: `[${label} REDACTED]` };
+      }
+    default:
+      return { policy: "drop", replacement: `[${label} REDACTED]` };
+  }
+}
+
+function summarizeRedactions(items) {
+  const types = {};
+  for (const item of items) {
+    types[item.type] = (types[item.type] || 0) + 1;
+  }
+  return { count: items.length, types, items };
+}
+
+export { DETECTORS, DEFAULT_POLICIES, detectPii, redactText, summarizeRedactions, luhnValid, ibanValid, maskValue };
@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import { AppendOnlyLog } from "./append_only_log.js";
+
+// Accepts a 32-byte key as 64 hex characters or base64
+function parseKey(value) {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+  if (key.length !== 32) {
+    throw new Error("PII vault key must be 32 bytes (64 hex characters or base64)");
+  }
+  return key;
+}
+
+// Original values of redacted PII, encrypted with AES-256-GCM. Memories only
+// hold a [TYPE vault:<id>] reference; entries are tagged with their session
+// (and user) so forget requests remove them too.
+class PiiVault {
+  constructor({ directory = null, key = null } = {}) {
+    this.log = directory ? new AppendOnlyLog(directory, "pii_vault") : null;
+    this.entries = new Map();
+    this.key = parseKey(key);
+  }
+
+  load() {
+    if (this.log) {
+      this.entries = this.log.load();
+    }
+    return this.entries.size;
+  }
+
+  store(value, { type, sessionId, userId } = {}) {
+    if (!this.key) {
+      throw new Error("PII_VAULT_KEY is not set");
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+    const entry = {
+      id: crypto.randomUUID(),
+      type,
+      sessionId,
+      userId,
+      createdAt: Date.now(),
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      ciphertext: ciphertext.toString("base64")
+    };
+
+    this.log?.put(entry.id, entry);
+    this.entries.set(entry.id, entry);
+    return entry.id;
+  }
+
+  reveal(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    if (!this.key) {
+      throw new Error("PII_VAULT_KEY is not set");
+    }
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", this.key, Buffer.from(entry.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(entry.ciphertext, "base64")),
+      decipher.final()
+    ]).toString("utf8");
+  }
+
+  forget({ sessionIds = [], userId } = {}) {
+    let removed = 0;
+    for (const entry of Array.from(this.entries.values())) {
+      if (!sessionIds.includes(entry.sessionId) && !(userId && entry.userId === userId)) continue;
+      this.log?.delete(entry.id);
+      this.entries.delete(entry.id);
+      removed++;
+    }
+    if (removed > 0) this.log?.compact();
+    return removed;
+  }
+}
+
+export { PiiVault };
@@ -0,0 +1,53 @@
+import { cosineSimilarity } from "./backends/vector_backend.js";
+
+// Reciprocal rank fusion: each list contributes 1 / (k + rank) for every id it
+// ranks. `lists` maps a source name to results ordered best first.
+function reciprocalRankFusion(lists, { k = 60 } = {}) {
+  const fused = new Map();
+
+  for (const [source, results] of Object.entries(lists)) {
+    results.forEach((result, idx) => {
+      const rank = idx + 1;
+      const entry = fused.get(result.id) || { id: result.id, fusedScore: 0 };
+      entry.fusedScore += 1 / (k + rank);
+      entry[`${source}Rank`] = rank;
+      entry[`${source}Score`] = result.score;
+      fused.set(result.id, entry);
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+// Maximal marginal relevance: greedily picks the candidate that is most
+// relevant while least similar to what was already picked. Relevance is the
+// candidate's `relevance` (normalised to 0..1), similarity uses `embedding`.
+function maximalMarginalRelevance(candidates, { limit = 5, lambda = 0.7 } = {}) {
+  const maxRelevance = Math.max(...candidates.map(c => c.relevance), 0) || 1;
+  const remaining = candidates.map(c => ({ ...c, normalized: c.relevance / maxRelevance }));
+  const selected = [];
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIdx = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((candidate, idx) => {
+      const redundancy = selected.length === 0
+        ? 0
+        : Math.max(...selected.map(s => cosineSimilarity(candidate.embedding, s.embedding)));
+      const score = lambda * candidate.normalized - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIdx = idx;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIdx, 1);
+    picked.mmrScore = bestScore;
+    selected.push(picked);
+  }
+
+  return selected;
+}
+
+export { reciprocalRankFusion, maximalMarginalRelevance };
@@ -0,0 +1,188 @@
+import crypto from "crypto";
+import { AppendOnlyLog } from "./append_only_log.js";
+import { KeywordIndex } from "./keyword_index.js";
+import { estimateTokens } from "./context_packer.js";
+
+const SEGMENT_PROMPT = "Summarize this part of a conversation in a few sentences. Keep names, numbers, decisions and facts the user stated.";
+const SESSION_PROMPT = "Update the running summary of a conversation with its latest part. Keep key facts, relationships, decisions and open questions, in under 200 words.";
+
+function turnText(turn) {
+  return `User: ${turn.input}\nAssistant: ${turn.output}`;
+}
+
+// Used when there is no summarizer or it fails: the first sentence of every
+// line, keeping the newest lines that fit in `maxChars`
+function extractiveSummary(text, maxChars = 1500) {
+  const lines = text.split("\n")
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const sentence = line.match(/^.*?[.!?](?=\s|$)/)?.[0] || line;
+      return sentence.length > 200 ? `${sentence.slice(0, 200)} …` : sentence;
+    });
+
+  const kept = [];
+  let length = 0;
+  for (const line of lines.reverse()) {
+    if (kept.length > 0 && length + line.length + 1 > maxChars) break;
+    kept.unshift(line);
+    length += line.length + 1;
+  }
+  return kept.join("\n");
+}
+
+// Rolling summaries of a session's conversation, in two levels. Once hot
+// memory holds `hotTurns + segmentTurns` turns, the oldest `segmentTurns` are
+// rolled into a segment summary, and every new segment is folded into the
+// session summary. Both keep the ids of the turns they cover; the turns
+// themselves are archived to cold storage by the orchestrator, so a summary
+// can always be expanded back into its source turns.
+class SummaryTree {
+  constructor({ directory = null, summarize = null, segmentTurns = 8, hotTurns = 6, maxHotTokens = 8000 } = {}) {
+    this.log = directory ? new AppendOnlyLog(directory, "summaries") : null;
+    this.summaries = new Map();
+    // Keyword index over segment summaries, for drilling down by query
+    this.index = new KeywordIndex();
+    this.summarize = summarize;
+    this.segmentTurns = segmentTurns;
+    this.hotTurns = hotTurns;
+    this.maxHotTokens = maxHotTokens;
+  }
+
+  load() {
+    if (this.log) {
+      this.summaries = this.log.load();
+      this.index = new KeywordIndex();
+      for (const summary of this.summaries.values()) {
+        if (summary.level === "segment") this.index.add(summary.id, summary.text, { sessionId: summary.sessionId });
+      }
+      console.log(`✅ Summaries loaded (${this.summaries.size})`);
+    }
+    return this.summaries.size;
+  }
+
+  save(summary) {
+    this.log?.put(summary.id, summary);
+    this.summaries.set(summary.id, summary);
+    if (summary.level === "segment") {
+      this.index.add(summary.id, summary.text, { sessionId: summary.sessionId });
+    }
+  }
+
+  // The oldest turns due to be rolled up: a full segment once the session
+  // holds `hotTurns + segmentTurns` turns, or earlier when the turns outgrow
+  // `maxHotTokens`. The newest `hotTurns` turns always stay verbatim.
+  pendingTurns(turns) {
+    if (turns.length <= this.hotTurns) return [];
+
+    const tokens = turns.reduce((sum, turn) => sum + estimateTokens(turnText(turn)), 0);
+    if (turns.length < this.hotTurns + this.segmentTurns && tokens <= this.maxHotTokens) return [];
+
+    return turns.slice(0, Math.min(this.segmentTurns, turns.length - this.hotTurns));
+  }
+
+  async condense(kind, prompt, text, source = text) {
+    if (this.summarize) {
+      try {
+        const summary = String(await this.summarize(`${prompt}\n\n${text}`)).trim();
+        if (summary) return { text: summary, method: "model" };
+      } catch (error) {
+        console.log(`⚠️ Could not summarize ${kind}, keeping an extractive summary:`, error.message);
+      }
+    }
+    return { text: extractiveSummary(source), method: "extractive" };
+  }
+
+  // Rolls `turns` (oldest first) into a new segment and folds that into the
+  // session summary. Returns the segment.
+  async rollUp(sessionId, turns, { userId = null } = {}) {
+    const now = Date.now();
+    const condensed = await this.condense("segment", SEGMENT_PROMPT, turns.map(turnText).join("\n\n"));
+    const segment = {
+      id: crypto.randomUUID(),
+      level: "segment",
+      sessionId,
+      ...(userId && { userId }),
+      text: condensed.text,
+      method: condensed.method,
+      turnIds: turns.map(turn => turn.id),
+      from: turns[0].timestamp,
+      to: turns[turns.length - 1].timestamp,
+      createdAt: now
+    };
+    this.save(segment);
+
+    const previous = this.getSessionSummary(sessionId);
+    const owner = userId || previous?.userId;
+    const folded = previous
+      ? await this.condense(
+          "session",
+          SESSION_PROMPT,
+          `SUMMARY SO FAR:\n${previous.text}\n\nLATEST PART:\n${segment.text}`,
+          `${previous.text}\n${segment.text}`
+        )
+      : condensed;
+
+    this.save({
+      id: `session:${sessionId}`,
+      level: "session",
+      sessionId,
+      ...(owner && { userId: owner }),
+      text: folded.text,
+      method: folded.method,
+      segmentIds: [...(previous?.segmentIds || []), segment.id],
+      turnIds: [...(previous?.turnIds || []), ...segment.turnIds],
+      from: previous?.from ?? segment.from,
+      to: segment.to,
+      createdAt: previous?.createdAt ?? now,
+      updatedAt: now
+    });
+
+    return segment;
+  }
+
+  get(id) {
+    return this.summaries.get(id) || null;
+  }
+
+  getSessionSummary(sessionId) {
+    return this.get(`session:${sessionId}`);
+  }
+
+  // Segments of a session, oldest first
+  getSegments(sessionId) {
+    return Array.from(this.summaries.values())
+      .filter(summary => summary.level === "segment" && summary.sessionId === sessionId)
+      .sort((a, b) => a.from - b.from);
+  }
+
+  // Segments of a session sharing keywords with the query, best first
+  searchSegments(sessionId, query, { limit = 2 } = {}) {
+    return this.index.search(query, { limit, filter: { sessionId } })
+      .map(({ id, score }) => ({ ...this.summaries.get(id), score }));
+  }
+
+  matches(summary, { sessionIds = [], userId } = {}) {
+    return sessionIds.includes(summary.sessionId) || Boolean(userId && summary.userId === userId);
+  }
+
+  count(criteria) {
+    return Array.from(this.summaries.values()).filter(summary => this.matches(summary, criteria)).length;
+  }
+
+  // Removes every summary of the sessions (and user)
+  forget(criteria) {
+    let removed = 0;
+    for (const summary of Array.from(this.summaries.values())) {
+      if (!this.matches(summary, criteria)) continue;
+      this.log?.delete(summary.id);
+      this.summaries.delete(summary.id);
+      this.index.remove(summary.id);
+      removed++;
+    }
+    if (removed > 0) this.log?.compact();
+    return removed;
+  }
+}
+
+export { SummaryTree, extractiveSummary, turnText };
@@ -0,0 +1,196 @@
+// Turns time expressions in a query ("last week", "since Monday", "on Nov 20",
+// "3 days ago") into a { since, until } range of epoch milliseconds, and
+// scores how recent a memory is.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const UNITS = { hour: 60 * 60 * 1000, day: DAY, week: 7 * DAY, month: 30 * DAY, year: 365 * DAY };
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, ten: 10 };
+
+const MONTH_NAME = String.raw`(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)`;
+const WEEKDAY_NAME = String.raw`(sunday|monday|tuesday|wednesday|thursday|friday|saturday)`;
+const AMOUNT = String.raw`(\d+|an?|one|two|three|four|five|six|seven|ten)`;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function startOfWeek(date) {
+  // Weeks start on Monday
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function dayRange(date) {
+  const start = startOfDay(date).getTime();
+  return { since: start, until: start + DAY - 1 };
+}
+
+function amount(word) {
+  return NUMBER_WORDS[word] ?? Number(word);
+}
+
+// Most recent occurrence of a weekday strictly before today
+function previousWeekday(name, now) {
+  const target = WEEKDAYS.indexOf(name);
+  const d = startOfDay(now);
+  const diff = ((d.getDay() - target + 7) % 7) || 7;
+  d.setDate(d.getDate() - diff);
+  return d;
+}
+
+// "Nov 20", "November 20, 2024", "20 Nov", "2024-11-20". Dates without a year
+// that would be in the future are taken to mean last year.
+function parseDate(text, now) {
+  const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+  const monthFirst = text.match(new RegExp(String.raw`\b${MONTH_NAME}\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?\b`, "i"));
+  const dayFirst = text.match(new RegExp(String.raw`\b(\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH_NAME}(?:,? (\d{4}))?\b`, "i"));
+
+  let month;
+  let day;
+  let year;
+  if (monthFirst) {
+    [, month, day, year] = monthFirst;
+  } else if (dayFirst) {
+    [, day, month, year] = dayFirst;
+  } else {
+    return null;
+  }
+
+  const date = new Date(
+    year ? Number(year) : now.getFullYear(),
+    MONTHS.indexOf(month.slice(0, 3).toLowerCase()),
+    Number(day)
+  );
+  if (!year && date > now) date.setFullYear(date.getFullYear() - 1);
+  return date;
+}
+
+// Each rule returns a range for its match, or null to let later rules try
+const RULES = [
+  {
+    regex: new RegExp(String.raw`\b(?:since|after) (?:last )?${WEEKDAY_NAME}\b`, "i"),
+    range: (m, now) => ({ since: previousWeekday(m[1].toLowerCase(), now).getTime(), until: now.getTime() })
+  },
+  {
+    regex: /\b(?:since|after) (yesterday|last week|last month)\b/i,
+    range: (m, now) => ({ since: parseTimeRange(m[1], now).since, until: now.getTime() })
+  },
+  {
+    regex: /\b(?:since|after) (.+)/i,
+    range: (m, now) => {
+      const date = parseDate(m[1], now);
+      return date ? { since: date.getTime(), until: now.getTime() } : null;
+    }
+  },
+  {
+    regex: /\bbefore (.+)/i,
+    range: (m, now) => {
+      const date = parseDate(m[1], now);
+      return date ? { since: 0, until: startOfDay(date).getTime() - 1 } : null;
+    }
+  },
+  {
+    regex: new RegExp(String.raw`\b(?:in the |over the )?(?:last|past) ${AMOUNT} (hour|day|week|month|year)s?\b`, "i"),
+    range: (m, now) => ({ since: now.getTime() - amount(m[1].toLowerCase()) * UNITS[m[2].toLowerCase()], until: now.getTime() })
+  },
+  {
+    regex: new RegExp(String.raw`\b${AMOUNT} (day|week|month)s? ago\b`, "i"),
+    range: (m, now) => {
+      const unit = m[2].toLowerCase();
+      const center = now.getTime() - amount(m[1].toLowerCase()) * UNITS[unit];
+      if (unit === "day") return dayRange(new Date(center));
+      const span = UNITS[unit] / 2;
+      return { since: center - span, until: Math.min(center + span, now.getTime()) };
+    }
+  },
+  {
+    regex: /\b(today|this morning|tonight)\b/i,
+    range: (m, now) => ({ since: startOfDay(now).getTime(), until: now.getTime() })
+  },
+  {
+    regex: /\byesterday\b/i,
+    range: (m, now) => dayRange(new Date(now.getTime() - DAY))
+  },
+  {
+    regex: /\bthis week\b/i,
+    range: (m, now) => ({ since: startOfWeek(now).getTime(), until: now.getTime() })
+  },
+  {
+    regex: /\blast week\b/i,
+    range: (m, now) => {
+      const thisWeek = startOfWeek(now).getTime();
+      return { since: thisWeek - 7 * DAY, until: thisWeek - 1 };
+    }
+  },
+  {
+    regex: /\bthis month\b/i,
+    range: (m, now) => ({ since: new Date(now.getFullYear(), now.getMonth(), 1).getTime(), until: now.getTime() })
+  },
+  {
+    regex: /\blast month\b/i,
+    range: (m, now) => ({
+      since: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(),
+      until: new Date(now.getFullYear(), now.getMonth(), 1).getTime() - 1
+    })
+  },
+  {
+    regex: /\bthis year\b/i,
+    range: (m, now) => ({ since: new Date(now.getFullYear(), 0, 1).getTime(), until: now.getTime() })
+  },
+  {
+    regex: /\blast year\b/i,
+    range: (m, now) => ({
+      since: new Date(now.getFullYear() - 1, 0, 1).getTime(),
+      until: new Date(now.getFullYear(), 0, 1).getTime() - 1
+    })
+  },
+  {
+    regex: new RegExp(String.raw`\b(?:on |last )${WEEKDAY_NAME}\b`, "i"),
+    range: (m, now) => dayRange(previousWeekday(m[1].toLowerCase(), now))
+  },
+  {
+    regex: new RegExp(String.raw`\b(?:on |from )?((?:${MONTH_NAME}\.? \d{1,2}|\d{1,2}(?:st|nd|rd|th)? (?:of )?${MONTH_NAME}|\d{4}-\d{2}-\d{2})(?:,? \d{4})?)`, "i"),
+    range: (m, now) => {
+      const date = parseDate(m[1], now);
+      return date ? dayRange(date) : null;
+    }
+  }
+];
+
+function parseTimeRange(query, now = new Date()) {
+  for (const rule of RULES) {
+    const match = query.match(rule.regex);
+    if (!match) continue;
+
+    const range = rule.range(match, now);
+    if (range) return { ...range, expression: match[0].trim() };
+  }
+  return null;
+}
+
+// Accepts epoch milliseconds, numeric strings or anything Date can parse
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value === "number") return value;
+  if (/^\d+$/.test(String(value))) return Number(value);
+
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return time;
+}
+
+// 1 for a memory written now, 0.5 after one half-life, and so on
+function recencyScore(timestamp, { now = Date.now(), halfLifeMs = 30 * DAY } = {}) {
+  if (!timestamp) return 0;
+  return Math.pow(0.5, Math.max(0, now - timestamp) / halfLifeMs);
+}
+
+export { parseTimeRange, toTimestamp, recencyScore };
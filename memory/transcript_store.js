@@ -0,0 +1,180 @@
+import { AppendOnlyLog } from "./append_only_log.js";
+import { estimateTokens } from "./context_packer.js";
+
+const ROLES = ["user", "assistant"];
+
+function encodeCursor(order, seq) {
+  return Buffer.from(`${order}:${seq}`).toString("base64url");
+}
+
+function decodeCursor(cursor, order) {
+  const [cursorOrder, seq] = Buffer.from(cursor, "base64url").toString().split(":");
+  if (cursorOrder !== order || !/^\d+$/.test(seq ?? "")) {
+    throw new Error("Invalid cursor");
+  }
+  return Number(seq);
+}
+
+// Attachments are recorded by reference (type, name, MIME type, size, URL),
+// never their content
+function attachmentRecord({ type, name = null, mimeType = null, size = null, url = null }) {
+  return {
+    type,
+    ...(name && { name }),
+    ...(mimeType && { mimeType }),
+    ...(size !== null && { size }),
+    ...(url && { url })
+  };
+}
+
+// The verbatim conversation of every session, in order. Each message has a
+// per-session sequence number; pages are read with an opaque cursor, so a
+// page stays stable while new messages are appended. Unlike hot memory
+// nothing here is rolled up or evicted, and unlike the vector tiers it is
+// never searched: it is the session's record, for history views and export.
+class TranscriptStore {
+  constructor({ directory = null } = {}) {
+    this.log = directory ? new AppendOnlyLog(directory, "transcripts") : null;
+    this.messages = new Map();
+    // sessionId -> messages ordered by seq
+    this.sessions = new Map();
+  }
+
+  load() {
+    if (this.log) {
+      this.messages = this.log.load();
+      this.sessions = new Map();
+      for (const message of this.messages.values()) {
+        this.index(message);
+      }
+      for (const messages of this.sessions.values()) {
+        messages.sort((a, b) => a.seq - b.seq);
+      }
+      console.log(`✅ Transcripts loaded (${this.messages.size} messages in ${this.sessions.size} sessions)`);
+    }
+    return this.messages.size;
+  }
+
+  index(message) {
+    if (!this.sessions.has(message.sessionId)) this.sessions.set(message.sessionId, []);
+    this.sessions.get(message.sessionId).push(message);
+  }
+
+  append(sessionId, { id, role, content, turnId = null, userId = null, model = null, provider = null, tokens = {}, attachments = [], createdAt = Date.now() }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}", expected one of: ${ROLES.join(", ")}`);
+    }
+
+    const messages = this.sessions.get(sessionId) || [];
+    const message = {
+      id,
+      sessionId,
+      seq: messages.length > 0 ? messages[messages.length - 1].seq + 1 : 1,
+      ...(turnId && { turnId }),
+      ...(userId && { userId }),
+      role,
+      content,
+      ...(model && { model }),
+      ...(provider && { provider }),
+      tokens: { content: estimateTokens(content), ...tokens },
+      attachments: attachments.map(attachmentRecord),
+      createdAt
+    };
+
+    this.log?.put(message.id, message);
+    this.messages.set(message.id, message);
+    this.index(message);
+    return message;
+  }
+
+  // Both sides of one exchange, sharing the turn id
+  recordTurn(sessionId, { turnId, userId = null, input, output, model = null, provider = null, attachments = [], contextTokens = null, receivedAt = Date.now(), respondedAt = Date.now() }) {
+    return [
+      this.append(sessionId, {
+        id: `${turnId}:user`,
+        turnId,
+        userId,
+        role: "user",
+        content: input,
+        attachments,
+        createdAt: receivedAt
+      }),
+      this.append(sessionId, {
+        id: `${turnId}:assistant`,
+        turnId,
+        userId,
+        role: "assistant",
+        content: output,
+        model,
+        provider,
+        tokens: contextTokens !== null ? { context: contextTokens } : {},
+        createdAt: respondedAt
+      })
+    ];
+  }
+
+  // A page of a session's messages. `order` "asc" reads from the start,
+  // "desc" from the latest message back; `nextCursor` is null on the last page.
+  list(sessionId, { limit = 50, cursor = null, order = "asc" } = {}) {
+    if (order !== "asc" && order !== "desc") {
+      throw new Error(`order must be "asc" or "desc"`);
+    }
+
+    const messages = this.sessions.get(sessionId) || [];
+    const after = cursor ? decodeCursor(cursor, order) : null;
+    const ordered = order === "asc" ? messages : [...messages].reverse();
+    const remaining = after === null
+      ? ordered
+      : ordered.filter(message => (order === "asc" ? message.seq > after : message.seq < after));
+
+    const page = remaining.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      sessionId,
+      messages: page,
+      total: messages.length,
+      nextCursor: remaining.length > limit && last ? encodeCursor(order, last.seq) : null
+    };
+  }
+
+  count({ sessionIds = [], userId } = {}) {
+    return Array.from(this.messages.values())
+      .filter(message => sessionIds.includes(message.sessionId) || (userId && message.userId === userId))
+      .length;
+  }
+
+  delete(ids) {
+    let removed = 0;
+    for (const id of ids) {
+      const message = this.messages.get(id);
+      if (!message) continue;
+      this.log?.delete(id);
+      this.messages.delete(id);
+      const remaining = this.sessions.get(message.sessionId).filter(other => other.id !== id);
+      if (remaining.length > 0) {
+        this.sessions.set(message.sessionId, remaining);
+      } else {
+        this.sessions.delete(message.sessionId);
+      }
+      removed++;
+    }
+    return removed;
+  }
+
+  // Both messages of a turn
+  forgetTurns(turnIds) {
+    return this.delete(Array.from(this.messages.values())
+      .filter(message => turnIds.includes(message.turnId))
+      .map(message => message.id));
+  }
+
+  forget({ sessionIds = [], userId } = {}) {
+    const removed = this.delete(Array.from(this.messages.values())
+      .filter(message => sessionIds.includes(message.sessionId) || (userId && message.userId === userId))
+      .map(message => message.id));
+    if (removed > 0) this.log?.compact();
+    return removed;
+  }
+}
+
+export { TranscriptStore };
@@ -0,0 +1,327 @@
+import crypto from "crypto";
+import { InProcessBackend } from "./backends/index.js";
+import { KeywordIndex } from "./keyword_index.js";
+import { reciprocalRankFusion, maximalMarginalRelevance } from "./rank_fusion.js";
+import { recencyScore } from "./temporal.js";
+import { contentHash, mergedMetadata } from "./dedup.js";
+
+// One memory tier: a vector backend plus the embeddings used to fill and
+// query it. Exposes the addDocuments()/similaritySearch() shape of a
+// langchain vector store so callers do not care which backend is configured.
+//
+// `embeddings` is a FallbackEmbeddings chain. Every record is tagged with the
+// embedder that produced its vector and searches only look at records from the
+// embedder that embedded the query.
+//
+// A BM25 keyword index over the same records is kept in process. Searches
+// fuse the vector and keyword rankings with reciprocal rank fusion and then
+// diversify the fused list with MMR.
+//
+// `since`/`until` restrict a search to memories whose metadata.timestamp falls
+// in that range, and `recencyWeight` blends a decay on age into the ranking.
+//
+// With `dedupeThreshold` set, a new document is checked against the memories
+// of the same session and user first. When one has the same normalized text
+// (metadata.contentHash) or an embedding at least that similar, the document
+// is merged into it (count and lastSeen bumped) instead of being stored.
+class VectorTier {
+  constructor(name, backend, embeddings, {
+    hybrid = true,
+    candidateMultiplier = 4,
+    mmrLambda = 0.7,
+    recencyWeight = 0.2,
+    recencyHalfLifeMs = 30 * 24 * 60 * 60 * 1000,
+    dedupeThreshold = null
+  } = {}) {
+    this.name = name;
+    this.backend = backend;
+    this.embeddings = embeddings;
+    this.hybrid = hybrid;
+    this.candidateMultiplier = candidateMultiplier;
+    this.mmrLambda = mmrLambda;
+    this.recencyWeight = recencyWeight;
+    this.recencyHalfLifeMs = recencyHalfLifeMs;
+    this.keywordIndex = new KeywordIndex();
+    this.dedupeThreshold = dedupeThreshold;
+    this.dedupeStats = { stored: 0, merged: 0 };
+  }
+
+  async initialize() {
+    try {
+      await this.backend.initialize();
+    } catch (error) {
+      console.log(`⚠️ ${this.name} memory backend "${this.backend.name}" unavailable (${error.message}), falling back to in-process storage`);
+      this.backend = new InProcessBackend();
+      await this.backend.initialize();
+    }
+
+    await this.rebuildKeywordIndex();
+
+    const count = await this.backend.count();
+    console.log(`✅ ${this.name} memory ready on ${this.backend.name} backend (${count} documents)`);
+    return count;
+  }
+
+  async rebuildKeywordIndex(pageSize = 500) {
+    this.keywordIndex = new KeywordIndex();
+    if (!this.hybrid) return;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await this.backend.filter(undefined, { limit: pageSize, offset });
+      for (const record of page) {
+        this.keywordIndex.add(record.id, record.content, record.metadata);
+      }
+      if (page.length < pageSize) break;
+    }
+  }
+
+  // Returns the id each document is stored under (for a merged duplicate,
+  // the id of the memory it was merged into). Pass `dedupe: false` to store
+  // documents as they are, e.g. originals archived under their own id.
+  async addDocuments(documents, { dedupe = this.dedupeThreshold !== null } = {}) {
+    const { vectors, embedder } = await this.embeddings.embedMany(documents.map(doc => doc.pageContent));
+    const records = [];
+    const ids = [];
+
+    for (const [idx, doc] of documents.entries()) {
+      const record = {
+        id: doc.id || crypto.randomUUID(),
+        content: doc.pageContent,
+        embedding: vectors[idx],
+        metadata: { ...doc.metadata, embedder, contentHash: contentHash(doc.pageContent) }
+      };
+
+      const match = dedupe ? await this.findDuplicate(record) : null;
+      if (match?.duplicate) {
+        const merged = await this.mergeDuplicate(match.duplicate, { ...record, id: doc.id });
+        this.dedupeStats.merged++;
+        console.log(`🧬 ${this.name}: merged duplicate into ${merged.id} (${match.reason}, seen ${merged.metadata.count} times)`);
+        ids.push(merged.id);
+        continue;
+      }
+
+      if (dedupe) {
+        this.dedupeStats.stored++;
+        console.log(`🧬 ${this.name}: stored new memory ${record.id} (closest similarity ${match.closest === null ? "n/a" : match.closest.toFixed(3)})`);
+        // Stored right away so later documents of the batch can merge into it
+        await this.store([record]);
+      } else {
+        records.push(record);
+      }
+      ids.push(record.id);
+    }
+
+    if (records.length > 0) await this.store(records);
+    return ids;
+  }
+
+  async store(records) {
+    await this.backend.upsert(records);
+    if (this.hybrid) {
+      for (const record of records) {
+        this.keywordIndex.add(record.id, record.content, record.metadata);
+      }
+    }
+  }
+
+  // The stored memory `record` duplicates, if any, and the closest
+  // similarity seen. Only memories of the same session and user qualify.
+  async findDuplicate(record) {
+    const { sessionId, userId, embedder, contentHash: hash } = record.metadata;
+    const scope = {
+      ...(sessionId !== undefined && { sessionId }),
+      ...(userId !== undefined && { userId })
+    };
+    const sameScope = other => other.id !== record.id
+      && other.metadata.sessionId === sessionId
+      && other.metadata.userId === userId;
+
+    const [exact] = (await this.backend.filter({ ...scope, contentHash: hash }, { limit: 5 })).filter(sameScope);
+    if (exact) {
+      return { duplicate: exact, reason: "same normalized text", closest: 1 };
+    }
+
+    const [nearest] = (await this.backend.search(record.embedding, { limit: 5, filter: { ...scope, embedder } }))
+      .filter(sameScope);
+    if (nearest && nearest.score >= this.dedupeThreshold) {
+      return { duplicate: nearest, reason: `similarity ${nearest.score.toFixed(3)}`, closest: nearest.score };
+    }
+    return { duplicate: null, closest: nearest ? nearest.score : null };
+  }
+
+  async mergeDuplicate(existing, incoming) {
+    const { score, ...stored } = existing;
+    const merged = {
+      ...stored,
+      metadata: { ...stored.metadata, ...mergedMetadata(stored, [incoming]) }
+    };
+
+    await this.store([merged]);
+    return merged;
+  }
+
+  // Returns documents best first. Each document carries the scores that
+  // ranked it in metadata.retrieval.
+  async search(query, { limit = 4, filter, since, until, recencyWeight = this.recencyWeight } = {}) {
+    if (since !== undefined || until !== undefined) {
+      filter = {
+        ...filter,
+        timestamp: {
+          ...(since !== undefined && { gte: since }),
+          ...(until !== undefined && { lte: until })
+        }
+      };
+    }
+
+    const { vector, embedder } = await this.embeddings.embed(query);
+    const vectorFilter = { ...filter, embedder };
+    const now = Date.now();
+    const decay = (relevance, metadata) => {
+      const recency = recencyScore(metadata?.timestamp, { now, halfLifeMs: this.recencyHalfLifeMs });
+      return { recency, relevance: relevance * ((1 - recencyWeight) + recencyWeight * recency) };
+    };
+
+    if (!this.hybrid) {
+      const results = await this.backend.search(vector, { limit: limit * this.candidateMultiplier, filter: vectorFilter });
+      return results
+        .map((result, idx) => ({ result, rank: idx + 1, ...decay(result.score, result.metadata) }))
+        .sort((a, b) => b.relevance - a.relevance)
+        .slice(0, limit)
+        .map(({ result, rank, recency, relevance }) => toDocument(result, {
+          vectorScore: result.score,
+          vectorRank: rank,
+          recencyScore: recency,
+          finalScore: relevance
+        }));
+    }
+
+    const candidateCount = limit * this.candidateMultiplier;
+    const vectorResults = await this.backend.search(vector, { limit: candidateCount, filter: vectorFilter });
+    const keywordResults = this.keywordIndex.search(query, { limit: candidateCount, filter });
+
+    const fused = reciprocalRankFusion({ vector: vectorResults, keyword: keywordResults });
+
+    // Keyword-only hits were not returned by the vector search; fetch them
+    const records = new Map(vectorResults.map(result => [result.id, result]));
+    const missing = fused.map(entry => entry.id).filter(id => !records.has(id));
+    for (const record of await this.backend.get(missing)) {
+      records.set(record.id, record);
+    }
+
+    const candidates = fused
+      .filter(entry => records.has(entry.id))
+      .map(entry => {
+        const record = records.get(entry.id);
+        return { ...entry, ...decay(entry.fusedScore, record.metadata), embedding: record.embedding };
+      });
+
+    return maximalMarginalRelevance(candidates, { limit, lambda: this.mmrLambda })
+      .map(entry => toDocument(records.get(entry.id), {
+        vectorScore: entry.vectorScore ?? null,
+        vectorRank: entry.vectorRank ?? null,
+        keywordScore: entry.keywordScore ?? null,
+        keywordRank: entry.keywordRank ?? null,
+        fusedScore: entry.fusedScore,
+        recencyScore: entry.recency,
+        finalScore: entry.relevance,
+        mmrScore: entry.mmrScore
+      }));
+  }
+
+  async similaritySearchWithScore(query, k = 4, filter) {
+    const docs = await this.search(query, { limit: k, filter });
+    return docs.map(doc => [doc, doc.metadata.retrieval.finalScore]);
+  }
+
+  async similaritySearch(query, k = 4, filter) {
+    return this.search(query, { limit: k, filter });
+  }
+
+  async get(ids) {
+    return this.backend.get(ids);
+  }
+
+  // Merges `metadata` into a stored record. New content is re-embedded so the
+  // record stays searchable by what it now says. Returns null for unknown ids.
+  async update(id, { content, metadata } = {}) {
+    const [record] = await this.backend.get([id]);
+    if (!record) return null;
+
+    const updated = {
+      ...record,
+      metadata: { ...record.metadata, ...metadata, updatedAt: Date.now() }
+    };
+    if (content !== undefined && content !== record.content) {
+      const { vectors, embedder } = await this.embeddings.embedMany([content]);
+      updated.content = content;
+      updated.embedding = vectors[0];
+      updated.metadata.embedder = embedder;
+    }
+
+    await this.backend.upsert([updated]);
+    if (this.hybrid) {
+      this.keywordIndex.add(updated.id, updated.content, updated.metadata);
+    }
+    return updated;
+  }
+
+  // Merges bookkeeping flags into a memory's metadata. Unlike update() this
+  // does not count as a change to the memory, so updatedAt is left alone.
+  async annotate(id, metadata) {
+    const [record] = await this.backend.get([id]);
+    if (!record) return null;
+
+    const annotated = { ...record, metadata: { ...record.metadata, ...metadata } };
+    await this.store([annotated]);
+    return annotated;
+  }
+
+  async delete(ids) {
+    for (const id of ids) {
+      this.keywordIndex.remove(id);
+    }
+    return this.backend.delete(ids);
+  }
+
+  // Deletes every record matching `filter` and returns what was removed
+  // (without embeddings)
+  async purge(filter, pageSize = 500) {
+    const removed = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await this.backend.filter(filter, { limit: pageSize, offset });
+      removed.push(...page.map(({ id, content, metadata }) => ({ id, content, metadata })));
+      if (page.length < pageSize) break;
+    }
+
+    if (removed.length > 0) {
+      await this.delete(removed.map(record => record.id));
+    }
+    return removed;
+  }
+
+  async flush() {
+    return this.backend.flush();
+  }
+
+  async compact() {
+    return this.backend.compact();
+  }
+
+  async list(filter, options) {
+    return this.backend.filter(filter, options);
+  }
+
+  async count(filter) {
+    return this.backend.count(filter);
+  }
+}
+
+function toDocument(record, retrieval) {
+  return {
+    id: record.id,
+    pageContent: record.content,
+    metadata: { ...record.metadata, retrieval }
+  };
+}
+
+export { VectorTier };
@@ -1,121 +1,970 @@
-import { model, memory, vectorStore } from "./gemini_memory_system.js";
+import { model, sessionMemory, vectorStore } from "./gemini_memory_system.js";
 import { cacheManager } from "./gemini_caching.js";
-import { QdrantClient } from "@qdrant/js-client-rest";
-import { GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
+import { VectorTier } from "./memory/vector_tier.js";
+import { createVectorBackend } from "./memory/backends/index.js";
+import { DATA_DIR, tierBackendConfig, retrievalConfig, dedupConfig, contradictionConfig, summaryConfig, consolidationConfig } from "./memory/config.js";
+import { FactStore } from "./memory/fact_store.js";
+import { SummaryTree, turnText } from "./memory/summary_tree.js";
+import { AccessStats } from "./memory/access_stats.js";
+import { ConsolidationWorker } from "./memory/consolidation.js";
+import { ConflictStore, classifyStatements } from "./memory/contradictions.js";
+import { KnowledgeGraph } from "./memory/knowledge_graph.js";
+import { TranscriptStore } from "./memory/transcript_store.js";
+import { contextPacker } from "./memory/context_packer.js";
+import { parseTimeRange } from "./memory/temporal.js";
+import { embeddings } from "./memory/embeddings.js";
+import { KeywordIndex } from "./memory/keyword_index.js";
+import { reciprocalRankFusion } from "./memory/rank_fusion.js";
+import { matchesFilter } from "./memory/backends/vector_backend.js";
+import { contentHash } from "./memory/dedup.js";
+import { DeletionReceiptStore } from "./memory/deletion_receipts.js";
+import { EncryptedJsonFile, memoryEncryption } from "./memory/encryption.js";
+import fs from "fs";
+import path from "path";
 import dotenv from "dotenv";
 dotenv.config();
 
+const CITATION_INSTRUCTIONS = "Memories below are labelled [mem:<id>]. When your answer relies on a memory, cite its label inline right after the statement it supports. Do not cite memories you did not use.";
+
+function toContextItem(doc) {
+    return {
+        id: doc.id,
+        text: doc.pageContent,
+        meta: {
+            score: doc.metadata.retrieval?.finalScore ?? null,
+            timestamp: doc.metadata.timestamp ?? null
+        }
+    };
+}
+
+const MEMORY_TIERS = ["hot", "warm", "cold"];
+
+// Memories handed out by the management API look the same for every tier:
+// { id, tier, content, metadata }
+function hotTurnToMemory(sessionId, turn) {
+    return {
+        id: turn.id,
+        tier: "hot",
+        content: `User: ${turn.input}\nAssistant: ${turn.output}`,
+        metadata: {
+            ...turn.metadata,
+            sessionId,
+            timestamp: turn.timestamp,
+            type: "conversation",
+            pinned: Boolean(turn.pinned),
+            ...(turn.updatedAt && { updatedAt: turn.updatedAt })
+        }
+    };
+}
+
+function recordToMemory(tier, record) {
+    const { retrieval, ...metadata } = record.metadata || {};
+    return {
+        id: record.id,
+        tier,
+        content: record.content ?? record.pageContent,
+        metadata: { ...metadata, pinned: Boolean(metadata.pinned) }
+    };
+}
+
+// Hot turns are input/output pairs; edits use the "User: ...\nAssistant: ..."
+// text the warm tier stores for the same turn
+function parseTurnContent(content) {
+    const match = content.match(/^User: ([\s\S]*?)\nAssistant: ([\s\S]*)$/);
+    return match ? { input: match[1], output: match[2] } : { input: content, output: "" };
+}
+
+function memoryFilter({ sessionId, type, since, until, pinned } = {}) {
+    const filter = {};
+    if (sessionId !== undefined) filter.sessionId = sessionId;
+    if (type !== undefined) filter.type = type;
+    if (pinned) filter.pinned = true;
+    if (since !== undefined || until !== undefined) {
+        filter.timestamp = {
+            ...(since !== undefined && { gte: since }),
+            ...(until !== undefined && { lte: until })
+        };
+    }
+    return Object.keys(filter).length > 0 ? filter : undefined;
+}
+
 class MemoryOrchestrator {
     constructor() {
-        this.qdrantClient = new QdrantClient({ 
-            url: "http://localhost:6333" 
+        this.embeddings = embeddings;
+        // Cold storage backend is picked by COLD_MEMORY_BACKEND (sqlite by default)
+        this.coldStore = new VectorTier(
+            "Cold",
+            createVectorBackend(tierBackendConfig("cold")),
+            this.embeddings,
+            { ...retrievalConfig(), ...dedupConfig() }
+        );
+        // Structured facts the user has stated about themselves, keyed by session
+        this.factStore = new FactStore({ directory: DATA_DIR });
+        // Rolling segment and session summaries of turns that left hot memory
+        this.summaries = new SummaryTree({
+            directory: DATA_DIR,
+            summarize: async prompt => (await model.invoke(prompt)).content,
+            ...summaryConfig()
         });
-        this.collectionName = "long_term_memory";
-        this.embeddings = new GoogleGenerativeAIEmbeddings({
-            model: "text-embedding-004",
-            apiKey: process.env.GOOGLE_API_KEY
+        // Roll-ups in progress, at most one per session
+        this.rollups = new Map();
+        // How often warm and cold memories were used in prompts
+        this.accessStats = new AccessStats({ directory: DATA_DIR });
+        // Merges duplicates, ages warm memories into cold storage and applies
+        // the retention policy on a schedule
+        this.consolidation = new ConsolidationWorker({
+            warm: vectorStore,
+            cold: this.coldStore,
+            access: this.accessStats,
+            directory: DATA_DIR,
+            halfLifeMs: retrievalConfig().recencyHalfLifeMs,
+            ...consolidationConfig()
         });
+        // Verbatim record of every session, in order
+        this.transcripts = new TranscriptStore({ directory: DATA_DIR });
+        // Entities the user talks about and typed relations between them
+        this.graph = new KnowledgeGraph({ directory: DATA_DIR });
+        // Contradictions between new turns and stored memories
+        this.conflicts = new ConflictStore({ directory: DATA_DIR });
+        this.contradictionPolicy = contradictionConfig();
+        // Receipts issued by forget requests
+        this.receipts = new DeletionReceiptStore({
+            directory: DATA_DIR,
+            secret: process.env.DELETION_RECEIPT_SECRET || null
+        });
+        // persistent_memory/chat_history.json is written by the single-user
+        // memory.js script. Its entries carry no session id, so untagged
+        // entries are treated as belonging to the "default" session. Once
+        // sealed here, memory.js refuses to read or overwrite it.
+        this.legacyHistory = new EncryptedJsonFile(path.join(DATA_DIR, "chat_history.json"), { fallback: [] });
     }
 
     async initialize() {
-        // Create Qdrant collection for cold storage
+        // chroma.sqlite3 belongs to a Chroma server (see test_chromadb.js);
+        // nothing here reads or writes it, so it is not encrypted with the rest
+        if (memoryEncryption.enabled && fs.existsSync(path.join(DATA_DIR, "chroma.sqlite3"))) {
+            console.log("⚠️ persistent_memory/chroma.sqlite3 is a Chroma server database and stays plaintext; encrypt it on the Chroma side or remove it");
+        }
+        await this.coldStore.initialize();
         try {
-            await this.qdrantClient.createCollection(this.collectionName, {
-                vectors: {
-                    size: 768, // text-embedding-004 dimension
-                    distance: "Cosine"
-                }
-            });
-            console.log("✅ Qdrant cold storage initialized");
-        } catch (e) {
-            console.log("ℹ️ Qdrant collection already exists");
+            this.factStore.load();
+        } catch (error) {
+            console.log("⚠️ Could not load fact store:", error.message);
+        }
+        try {
+            this.accessStats.load();
+            this.consolidation.load();
+        } catch (error) {
+            console.log("⚠️ Could not load consolidation state:", error.message);
+        }
+        try {
+            this.summaries.load();
+        } catch (error) {
+            console.log("⚠️ Could not load summaries:", error.message);
+        }
+        try {
+            this.transcripts.load();
+        } catch (error) {
+            console.log("⚠️ Could not load transcripts:", error.message);
+        }
+        try {
+            this.graph.load();
+        } catch (error) {
+            console.log("⚠️ Could not load knowledge graph:", error.message);
+        }
+        try {
+            this.conflicts.load();
+        } catch (error) {
+            console.log("⚠️ Could not load memory conflicts:", error.message);
+        }
+        try {
+            this.receipts.load();
+        } catch (error) {
+            console.log("⚠️ Could not load deletion receipts:", error.message);
         }
     }
 
-    async processQuery(userQuery, sessionId) {
+    async processQuery(userQuery, sessionId = "default", options = {}) {
         console.log("\n🔍 Memory Retrieval Pipeline:");
 
-        // TIER 1: Hot Memory (Recent conversation - in-memory)
-        console.log("  ⚡ Checking hot memory (last 10 messages)...");
-        const recentContext = await memory.loadMemoryVariables({});
+        // Looked up once, and only if it exists: get() would create a hot
+        // session for a lookup (e.g. an API search) that stores nothing
+        const session = sessionMemory.has(sessionId) ? sessionMemory.get(sessionId) : null;
+        const userId = session?.userId;
+
+        // User profile (structured facts)
+        console.log("  🧾 Loading user profile facts...");
+        const factSubject = this.factStore.subjectOf({ sessionId, userId });
+        const facts = this.factStore.getFacts(factSubject, { limit: 10 }).map(fact => ({
+            id: `fact:${fact.id}`,
+            text: this.factStore.formatFact(fact),
+            meta: { score: fact.confidence, timestamp: fact.updatedAt }
+        }));
 
-        // TIER 2: Warm Memory (ChromaDB semantic search)
-        console.log("  🔥 Searching warm memory (ChromaDB)...");
-        let warmContext = "";
+        // Rolled-up history of this session, drilling down into matching segments
+        console.log("  📝 Loading conversation summaries...");
+        let summary = [];
         try {
-            const warmResults = await vectorStore.similaritySearch(userQuery, 3);
-            warmContext = warmResults.map(r => r.pageContent).join("\n");
+            summary = await this.summaryContext(userQuery, sessionId, options);
         } catch (error) {
-            console.log("  ⚠️ ChromaDB not available");
+            console.log("  ⚠️ Summary lookup failed:", error.message);
         }
 
-        // TIER 3: Cold Storage (Qdrant for historical data)
-        console.log("  ❄️ Searching cold storage (Qdrant)...");
-        let coldContext = "";
+        // Multi-hop lookups over the entities and relations the user mentioned
+        console.log("  🕸️ Querying knowledge graph...");
+        let graph = [];
         try {
-            const embedding = await this.embed(userQuery);
-            const coldResults = await this.qdrantClient.search(this.collectionName, {
-                vector: embedding,
-                limit: 2,
-                with_payload: true
-            });
-            coldContext = coldResults.map(r => r.payload.content).join("\n");
+            graph = this.graph.query(userQuery, { sessionId, userId }).map(path => ({
+                id: path.id,
+                text: path.text,
+                meta: { score: path.score, timestamp: path.timestamp }
+            }));
         } catch (error) {
-            console.log("  ⚠️ Qdrant not available");
+            console.log("  ⚠️ Knowledge graph lookup failed:", error.message);
         }
 
-        // Combine all memory tiers
-        const combinedContext = `
-RECENT CONVERSATION (Hot):
-${recentContext.history || "No recent history"}
+        // TIER 1: Hot Memory (Recent conversation - in-memory), newest first
+        console.log("  ⚡ Checking hot memory...");
+        const hot = (session?.chatHistory || [])
+            .map((item, idx) => ({
+                id: item.id,
+                text: `Human: ${item.input}\nAI: ${item.output}`,
+                turn: { input: item.input, output: item.output },
+                order: idx,
+                meta: { score: null, timestamp: item.timestamp }
+            }))
+            .reverse();
 
-RELEVANT PAST CONVERSATIONS (Warm):
-${warmContext || "No relevant past conversations"}
+        // Time range: explicit since/until, or parsed from the query ("last week")
+        const timeRange = this.resolveTimeRange(userQuery, options);
+        if (timeRange) {
+            console.log(`  🕒 Time filter: ${timeRange.expression || "since/until"} (${new Date(timeRange.since ?? 0).toISOString()} → ${new Date(timeRange.until ?? Date.now()).toISOString()})`);
+        }
 
-HISTORICAL KNOWLEDGE (Cold):
-${coldContext || "No historical data"}
-        `.trim();
+        // TIER 2: Warm Memory (semantic search)
+        console.log(`  🔥 Searching warm memory (${vectorStore.backend?.name})...`);
+        let warm = [];
+        try {
+            const warmResults = await this.preferNewer(await this.searchTier(vectorStore, userQuery, 5, timeRange));
+            warm = await this.withPinned(vectorStore, sessionId, warmResults.map(toContextItem));
+        } catch (error) {
+            console.log("  ⚠️ Warm memory search failed:", error.message);
+        }
 
-        console.log(`✅ Retrieved context from 3 memory tiers\n`);
+        // TIER 3: Cold Storage (historical data)
+        console.log(`  ❄️ Searching cold storage (${this.coldStore.backend.name})...`);
+        let cold = [];
+        try {
+            const coldResults = await this.preferNewer(await this.searchTier(this.coldStore, userQuery, 3, timeRange));
+            cold = await this.withPinned(this.coldStore, sessionId, coldResults.map(toContextItem));
+        } catch (error) {
+            console.log("  ⚠️ Cold storage search failed:", error.message);
+        }
+
+        // Static world data, if a world cache was created
+        const worldCache = cacheManager.getCachedContent("world");
+        const world = worldCache
+            ? [{
+                id: worldCache.name,
+                text: worldCache.content,
+                truncatable: true,
+                meta: { score: null, timestamp: worldCache.createdAt }
+            }]
+            : [];
+
+        // Pack all tiers into the token budget of the target model
+        // With `separateHistory`, recent turns are returned as `history` for the
+        // caller to send as chat turns instead of inside the context
+        const packed = contextPacker.pack({ facts, summary, graph, hot, warm, cold, world }, {
+            model: options.model,
+            budget: options.budget,
+            citations: true,
+            detach: options.separateHistory ? ["hot"] : []
+        });
+
+        console.log(`✅ Packed memory context: ${packed.tokenCount}/${packed.budget} tokens, ${packed.included.length} chunks included, ${packed.dropped.length} dropped\n`);
+
+        // Usage feeds the importance score used by consolidation
+        try {
+            this.accessStats.record(packed.included
+                .filter(item => item.section === "warm" || item.section === "cold")
+                .map(item => item.id));
+        } catch (error) {
+            console.log("⚠️ Could not record memory access:", error.message);
+        }
+
+        const context = packed.included.length > 0
+            ? `${CITATION_INSTRUCTIONS}\n\n${packed.context}`
+            : packed.context;
 
         return {
-            context: combinedContext,
-            tokenCount: Math.ceil(combinedContext.length / 4)
+            context,
+            history: (packed.detached.hot || []).map(item => item.turn),
+            tokenCount: packed.tokenCount,
+            memories: packed.included.map(({ id, ref, section, score, timestamp }) => ({
+                id,
+                ref,
+                tier: section,
+                score,
+                timestamp
+            })),
+            packing: {
+                budget: packed.budget,
+                included: packed.included,
+                dropped: packed.dropped
+            },
+            timeRange
         };
     }
 
+    // The session summary, the segments sharing keywords with the query and,
+    // for the best of those, the source turns that match the query
+    async summaryContext(userQuery, sessionId, { drillDown = true } = {}) {
+        const sessionSummary = this.summaries.getSessionSummary(sessionId);
+        if (!sessionSummary) return [];
+
+        const items = [{
+            id: sessionSummary.id,
+            text: sessionSummary.text,
+            order: 0,
+            truncatable: true,
+            meta: { score: null, timestamp: sessionSummary.updatedAt }
+        }];
+
+        const segments = this.summaries.searchSegments(sessionId, userQuery);
+        for (const segment of segments) {
+            items.push({
+                id: segment.id,
+                text: segment.text,
+                order: segment.from,
+                meta: { score: segment.score, timestamp: segment.to }
+            });
+        }
+
+        if (drillDown && segments.length > 0) {
+            const turns = await this.expandSummary(segments[0].id);
+            const index = new KeywordIndex();
+            turns.forEach(turn => index.add(turn.id, turn.content));
+            const byId = new Map(turns.map(turn => [turn.id, turn]));
+            for (const { id, score } of index.search(userQuery, { limit: 3 })) {
+                const turn = byId.get(id);
+                items.push({
+                    id,
+                    text: turn.content,
+                    order: turn.metadata.timestamp,
+                    meta: { score, timestamp: turn.metadata.timestamp, summaryId: segments[0].id }
+                });
+            }
+        }
+
+        return items;
+    }
+
+    // Source turns of a segment or session summary, oldest first, from the
+    // cold storage archive
+    async expandSummary(id) {
+        const summary = this.summaries.get(id);
+        if (!summary) return [];
+
+        const records = await this.coldStore.get(summary.turnIds);
+        return records
+            .map(record => recordToMemory("cold", record))
+            .sort((a, b) => (a.metadata.timestamp ?? 0) - (b.metadata.timestamp ?? 0));
+    }
+
+    // Rolls the oldest hot turns of a session into summaries once it outgrows
+    // the hot window. Turns are archived to cold storage (keeping their ids)
+    // before they leave hot memory, so nothing is discarded. Summarizing can
+    // be slow, so callers need not wait; a second call while a roll-up of the
+    // session is running returns the running one.
+    rollUp(sessionId) {
+        if (!this.rollups.has(sessionId)) {
+            const rollup = this.rollUpSession(sessionId)
+                .finally(() => this.rollups.delete(sessionId));
+            this.rollups.set(sessionId, rollup);
+        }
+        return this.rollups.get(sessionId);
+    }
+
+    async rollUpSession(sessionId) {
+        const session = sessionMemory.get(sessionId);
+        const segments = [];
+
+        for (let turns = this.summaries.pendingTurns(session.chatHistory); turns.length > 0;
+            turns = this.summaries.pendingTurns(session.chatHistory)) {
+            try {
+                await this.archiveTurns(sessionId, session.userId, turns);
+                const segment = await this.summaries.rollUp(sessionId, turns, { userId: session.userId });
+                session.releaseTurns(segment.turnIds, this.summaries.getSessionSummary(sessionId).text);
+                segments.push(segment);
+                console.log(`📝 Rolled ${turns.length} turns of session ${sessionId} into a summary segment`);
+            } catch (error) {
+                console.log("⚠️ Could not roll up hot memory:", error.message);
+                break;
+            }
+        }
+
+        return segments;
+    }
+
+    async archiveTurns(sessionId, userId, turns) {
+        await this.coldStore.addDocuments(turns.map(turn => ({
+            id: turn.id,
+            pageContent: turnText(turn),
+            metadata: {
+                ...turn.metadata,
+                sessionId,
+                ...(userId && { userId }),
+                timestamp: turn.timestamp,
+                type: "conversation",
+                archived: true,
+                ...(turn.pinned && { pinned: true })
+            }
+        })), { dedupe: false });
+    }
+
+    resolveTimeRange(userQuery, { since, until } = {}) {
+        if (since !== undefined || until !== undefined) {
+            return { since, until, explicit: true };
+        }
+        return parseTimeRange(userQuery);
+    }
+
+    async searchTier(tier, userQuery, limit, timeRange) {
+        if (!timeRange) {
+            return tier.similaritySearch(userQuery, limit);
+        }
+
+        const results = await tier.search(userQuery, {
+            limit,
+            since: timeRange.since,
+            until: timeRange.until
+        });
+
+        // A date parsed from the query may describe an event rather than when
+        // it was discussed ("the check-in on Nov 20"), so fall back to an
+        // unfiltered search when the range matches nothing
+        if (results.length === 0 && !timeRange.explicit) {
+            return tier.similaritySearch(userQuery, limit);
+        }
+        return results;
+    }
+
+    // A memory contradicted by a later statement gives way to that statement,
+    // which takes its place in the results unless it is already there
+    async preferNewer(docs) {
+        const seen = new Set(docs.map(doc => doc.id));
+        const preferred = [];
+        for (const doc of docs) {
+            const newerIds = doc.metadata.contradictedBy || [];
+            if (newerIds.length === 0) {
+                preferred.push(doc);
+                continue;
+            }
+            for (const id of newerIds.filter(id => !seen.has(id))) {
+                const [newer] = await this.locateMemory(id, ["warm", "cold"]);
+                if (!newer) continue;
+                seen.add(id);
+                preferred.push({ id, pageContent: newer.content, metadata: newer.metadata });
+            }
+        }
+        return preferred;
+    }
+
+    // Pinned memories of the session are offered to the packer ahead of the
+    // search results, whatever the query is
+    async withPinned(tier, sessionId, items) {
+        const pinned = (await tier.list({ sessionId, pinned: true }, { limit: 5 }))
+            .map(record => ({
+                id: record.id,
+                text: record.content,
+                meta: { score: null, timestamp: record.metadata.timestamp ?? null, pinned: true }
+            }));
+        const pinnedIds = new Set(pinned.map(item => item.id));
+        return [...pinned, ...items.filter(item => !pinnedIds.has(item.id))];
+    }
+
+    vectorTier(name) {
+        return name === "warm" ? vectorStore : this.coldStore;
+    }
+
+    hotMemories(filter) {
+        const memories = [];
+        for (const { sessionId, turn } of sessionMemory.turns()) {
+            const memory = hotTurnToMemory(sessionId, turn);
+            if (matchesFilter(memory.metadata, filter)) memories.push(memory);
+        }
+        return memories;
+    }
+
+    // Pages run across the tiers in hot → warm → cold order
+    async listMemories({ tier, limit = 20, offset = 0, ...criteria } = {}) {
+        const filter = memoryFilter(criteria);
+        const memories = [];
+        let total = 0;
+        let skip = offset;
+
+        for (const name of tier ? [tier] : MEMORY_TIERS) {
+            const hot = name === "hot" ? this.hotMemories(filter) : null;
+            const count = hot ? hot.length : await this.vectorTier(name).count(filter);
+            total += count;
+
+            const wanted = limit - memories.length;
+            if (wanted > 0 && skip < count) {
+                const page = hot
+                    ? hot.slice(skip, skip + wanted)
+                    : (await this.vectorTier(name).list(filter, { limit: wanted, offset: skip }))
+                        .map(record => recordToMemory(name, record));
+                memories.push(...page);
+            }
+            skip = Math.max(0, skip - count);
+        }
+
+        return { memories, total, limit, offset };
+    }
+
+    // Semantic search over warm and cold, BM25 over hot turns; the per-tier
+    // rankings are fused so a turn held in several tiers is listed once
+    async searchMemories(query, { tier, limit = 10, ...criteria } = {}) {
+        const filter = memoryFilter(criteria);
+        const lists = {};
+        const found = new Map();
+
+        for (const name of tier ? [tier] : MEMORY_TIERS) {
+            let memories;
+            if (name === "hot") {
+                const index = new KeywordIndex();
+                const hot = this.hotMemories(filter);
+                hot.forEach(memory => index.add(memory.id, memory.content));
+                const byId = new Map(hot.map(memory => [memory.id, memory]));
+                memories = index.search(query, { limit }).map(({ id, score }) => ({ ...byId.get(id), score }));
+            } else {
+                const docs = await this.vectorTier(name).search(query, { limit, filter });
+                memories = docs.map(doc => ({ ...recordToMemory(name, doc), score: doc.metadata.retrieval.finalScore }));
+            }
+
+            lists[name] = memories;
+            for (const memory of memories) {
+                const entry = found.get(memory.id);
+                if (entry) {
+                    entry.tiers.push(name);
+                } else {
+                    found.set(memory.id, { ...memory, tiers: [name] });
+                }
+            }
+        }
+
+        return reciprocalRankFusion(lists)
+            .slice(0, limit)
+            .map(({ id, fusedScore }) => {
+                const { score, ...memory } = found.get(id);
+                return { ...memory, score: fusedScore };
+            });
+    }
+
+    // A conversation turn keeps its id in hot and warm memory, so an id can
+    // live in several tiers at once
+    async locateMemory(id, tiers = MEMORY_TIERS) {
+        const found = [];
+        for (const name of tiers) {
+            if (name === "hot") {
+                for (const { sessionId, turn } of sessionMemory.turns()) {
+                    if (turn.id === id) found.push(hotTurnToMemory(sessionId, turn));
+                }
+            } else {
+                const [record] = await this.vectorTier(name).get([id]);
+                if (record) found.push(recordToMemory(name, record));
+            }
+        }
+        return found;
+    }
+
+    async getMemory(id, { tier } = {}) {
+        const found = await this.locateMemory(id, tier ? [tier] : MEMORY_TIERS);
+        if (found.length === 0) return null;
+        return { ...found[0], tiers: found.map(memory => memory.tier) };
+    }
+
+    // New content is re-embedded in warm/cold storage. Returns null when the
+    // id is not held by any of the requested tiers.
+    async updateMemory(id, { content, pinned, tier } = {}) {
+        const tiers = tier ? [tier] : MEMORY_TIERS;
+        const updated = [];
+
+        for (const name of tiers) {
+            if (name === "hot") {
+                for (const { session, turn } of sessionMemory.turns()) {
+                    if (turn.id !== id) continue;
+                    session.updateTurn(id, {
+                        ...(content !== undefined && parseTurnContent(content)),
+                        ...(pinned !== undefined && { pinned })
+                    });
+                    updated.push(name);
+                }
+            } else {
+                const record = await this.vectorTier(name).update(id, {
+                    content,
+                    metadata: pinned !== undefined ? { pinned } : {}
+                });
+                if (record) updated.push(name);
+            }
+        }
+
+        if (updated.length === 0) return null;
+        console.log(`✏️ Updated memory ${id} (${updated.join(", ")})`);
+        return this.getMemory(id, { tier });
+    }
+
+    async pinMemory(id, pinned = true, { tier } = {}) {
+        return this.updateMemory(id, { pinned, tier });
+    }
+
+    // Returns the tiers the memory was removed from
+    async deleteMemory(id, { tier } = {}) {
+        const deleted = [];
+
+        for (const name of tier ? [tier] : MEMORY_TIERS) {
+            if (name === "hot") {
+                for (const session of sessionMemory.sessions.values()) {
+                    if (session.removeTurn(id)) deleted.push(name);
+                }
+            } else {
+                const store = this.vectorTier(name);
+                const [record] = await store.get([id]);
+                if (record) {
+                    await store.delete([id]);
+                    deleted.push(name);
+                }
+            }
+        }
+
+        if (deleted.length > 0) {
+            this.accessStats.forget([id]);
+            this.conflicts.forget({ memoryIds: [id] });
+            this.graph.forgetSources([id]);
+            this.transcripts.forgetTurns([id]);
+            console.log(`🗑️ Deleted memory ${id} (${deleted.join(", ")})`);
+        }
+        return deleted;
+    }
+
+    // Sessions that belong to a user: tagged hot sessions plus every session
+    // id found on the user's warm and cold records
+    async sessionsOfUser(userId, pageSize = 500) {
+        const sessionIds = new Set();
+        for (const [sessionId, session] of sessionMemory.sessions) {
+            if (session.userId === userId) sessionIds.add(sessionId);
+        }
+        for (const tier of [vectorStore, this.coldStore]) {
+            for (let offset = 0; ; offset += pageSize) {
+                const page = await tier.list({ userId }, { limit: pageSize, offset });
+                for (const record of page) {
+                    if (record.metadata.sessionId) sessionIds.add(record.metadata.sessionId);
+                }
+                if (page.length < pageSize) break;
+            }
+        }
+        return Array.from(sessionIds);
+    }
+
+    forgetFilters({ sessionIds, userId }) {
+        return [
+            ...(sessionIds.length > 0 ? [{ sessionId: sessionIds }] : []),
+            ...(userId ? [{ userId }] : [])
+        ];
+    }
+
+    // Removes everything stored for these sessions (and user) from every tier,
+    // the fact store, the embedding cache and the legacy chat log. Storage
+    // files are compacted afterwards so deleted data is not left on disk.
+    async forget({ sessionIds, userId }) {
+        const removed = { hot: 0, warm: [], cold: [], facts: 0, summaries: 0, conflicts: 0, graph: 0, transcript: 0, embeddingCache: 0, legacyHistory: 0 };
+        // A roll-up still running would write summaries back after the purge
+        await Promise.all(sessionIds.map(sessionId => this.rollups.get(sessionId)));
+        // Texts whose embeddings may be cached: stored content and user queries
+        const texts = [];
+
+        for (const [sessionId, session] of Array.from(sessionMemory.sessions)) {
+            if (!sessionIds.includes(sessionId) && !(userId && session.userId === userId)) continue;
+            texts.push(...session.chatHistory.map(turn => turn.input));
+            removed.hot += session.chatHistory.length;
+            sessionMemory.clear(sessionId);
+        }
+        removed.facts = this.factStore.forget({ sessionIds, userId });
+        removed.summaries = this.summaries.forget({ sessionIds, userId });
+        removed.conflicts = this.conflicts.forget({ sessionIds, userId });
+        removed.graph = this.graph.forget({ sessionIds, userId });
+        removed.transcript = this.transcripts.forget({ sessionIds, userId });
+
+        for (const [name, tier] of [["warm", vectorStore], ["cold", this.coldStore]]) {
+            for (const filter of this.forgetFilters({ sessionIds, userId })) {
+                for (const record of await tier.purge(filter)) {
+                    removed[name].push(record.id);
+                    texts.push(record.content, parseTurnContent(record.content).input);
+                }
+            }
+            await tier.compact();
+        }
+
+        removed.accessStats = this.accessStats.forget([...removed.warm, ...removed.cold]);
+        this.accessStats.compact();
+        removed.embeddingCache = this.embeddings.forget(texts);
+        removed.legacyHistory = this.forgetLegacyHistory(sessionIds);
+        // Shred the user's data keys, so any copy left behind stays unreadable
+        if (userId) {
+            removed.dataKeys = memoryEncryption.destroyTenant(userId);
+        }
+        return removed;
+    }
+
+    // What is still stored for the sessions/user after forget()
+    async remainingFor({ sessionIds, userId }) {
+        const remaining = { hot: 0, warm: 0, cold: 0, facts: 0, summaries: 0, conflicts: 0, graph: 0, transcript: 0, legacyHistory: 0 };
+
+        for (const [sessionId, session] of sessionMemory.sessions) {
+            if (sessionIds.includes(sessionId) || (userId && session.userId === userId)) {
+                remaining.hot += session.chatHistory.length;
+            }
+        }
+        for (const [name, tier] of [["warm", vectorStore], ["cold", this.coldStore]]) {
+            for (const filter of this.forgetFilters({ sessionIds, userId })) {
+                remaining[name] += await tier.count(filter);
+            }
+        }
+        remaining.facts = this.factStore.count({ sessionIds, userId });
+        remaining.summaries = this.summaries.count({ sessionIds, userId });
+        remaining.conflicts = this.conflicts.count({ sessionIds, userId });
+        remaining.graph = this.graph.count({ sessionIds, userId });
+        remaining.transcript = this.transcripts.count({ sessionIds, userId });
+        remaining.legacyHistory = this.readLegacyHistory()
+            .filter(entry => sessionIds.includes(entry.sessionId ?? "default")).length;
+        return remaining;
+    }
+
+    readLegacyHistory() {
+        const entries = this.legacyHistory.read();
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    forgetLegacyHistory(sessionIds) {
+        const entries = this.readLegacyHistory();
+        const kept = entries.filter(entry => !sessionIds.includes(entry.sessionId ?? "default"));
+        if (kept.length === entries.length) return 0;
+
+        this.legacyHistory.write(kept);
+        return entries.length - kept.length;
+    }
+
     async embed(text) {
-        const vector = await this.embeddings.embedQuery(text);
+        const { vector } = await this.embeddings.embed(text);
         return vector;
     }
 
     async saveToLongTerm(content, metadata) {
-        // Archive to Qdrant cold storage
-        try {
-            const embedding = await this.embed(content);
-            await this.qdrantClient.upsert(this.collectionName, {
-                points: [{
-                    id: Date.now(),
-                    vector: embedding,
-                    payload: {
-                        content,
-                        ...metadata,
-                        timestamp: Date.now()
-                    }
-                }]
-            });
+        // Archive to cold storage
+        try {
+            await this.coldStore.addDocuments([{
+                pageContent: content,
+                metadata: {
+                    ...metadata,
+                    timestamp: Date.now()
+                }
+            }]);
             console.log("💾 Saved to long-term storage");
         } catch (error) {
             console.log("⚠️ Could not save to long-term storage:", error.message);
         }
     }
 
-    async chat(userQuery) {
+    // Facts are kept per user when the session has one, so they are recalled
+    // in the user's later sessions too
+    learnFacts(sessionId, userMessage, { userId = null } = {}) {
+        try {
+            const subject = this.factStore.subjectOf({ sessionId, userId });
+            const changes = this.factStore.learn(subject, userMessage, { sessionId, userId });
+            for (const change of changes) {
+                if (change.type === "added") {
+                    console.log(`🧾 Learned fact: ${change.attribute} = ${change.value}`);
+                } else if (change.type === "superseded") {
+                    console.log(`🔁 Updated fact: ${change.attribute} ${change.previousValue} → ${change.value}`);
+                }
+            }
+            return changes;
+        } catch (error) {
+            console.log("⚠️ Could not save facts:", error.message);
+            return [];
+        }
+    }
+
+    // Compares the user statement of a new turn with the related warm and cold
+    // memories of the same user (or session), oldest statements only. Every
+    // relation is noted on the new memory (`refines` / `contradicts`); a
+    // contradiction also flags the older memory (`contradictedBy`), so
+    // retrieval prefers the newer one, and opens a conflict for the user to
+    // clarify. Returns the conflicts opened.
+    async detectContradictions(sessionId, turnId) {
+        const { enabled, relatedThreshold, maxCandidates } = this.contradictionPolicy;
+        if (!enabled || !turnId) return [];
+
+        try {
+            // A turn merged into an earlier near-duplicate is checked through
+            // the memory that absorbed it, and against that memory too: the
+            // wording may have changed ("I'm 32" → "I'm 33")
+            const turn = sessionMemory.has(sessionId)
+                ? sessionMemory.get(sessionId).chatHistory.find(item => item.id === turnId)
+                : null;
+            const merged = Boolean(turn?.memoryId) && turn.memoryId !== turnId;
+            const [record] = await vectorStore.get([merged ? turn.memoryId : turnId]);
+            if (!record?.embedding) return [];
+            const statement = merged ? turn.input : parseTurnContent(record.content).input;
+            if (statement.trim().endsWith("?")) return [];
+
+            const { userId, embedder } = record.metadata;
+            const statementHash = merged ? contentHash(turnText(turn)) : record.metadata.contentHash;
+            const timestamp = merged ? turn.timestamp : (record.metadata.timestamp ?? Date.now());
+            const scope = userId ? { userId } : { sessionId };
+
+            // Copies of one statement (a turn and its long-term copy) share a
+            // content hash; they are classified once and flagged together
+            const candidates = new Map();
+            for (const name of ["warm", "cold"]) {
+                const similar = await this.vectorTier(name).backend.search(record.embedding, {
+                    limit: maxCandidates * 2,
+                    filter: { ...scope, embedder }
+                });
+                for (const other of similar) {
+                    if (other.id === turnId || other.metadata.contentHash === statementHash) continue;
+                    if ((other.metadata.timestamp ?? 0) > timestamp) continue;
+
+                    const key = other.metadata.contentHash ?? other.id;
+                    const entry = candidates.get(key);
+                    if (!entry) {
+                        candidates.set(key, { ...other, ids: [other.id] });
+                    } else if (!entry.ids.includes(other.id)) {
+                        entry.ids.push(other.id);
+                        entry.score = Math.max(entry.score, other.score);
+                    }
+                }
+            }
+
+            const opened = [];
+            const ranked = Array.from(candidates.values())
+                .sort((a, b) => b.score - a.score)
+                .slice(0, maxCandidates);
+            for (const other of ranked) {
+                const olderStatement = parseTurnContent(other.content).input;
+                const { relation, reason, terms } = classifyStatements(statement, olderStatement, {
+                    similarity: other.score,
+                    relatedThreshold
+                });
+
+                if (relation === "refinement") {
+                    await this.linkMemory(turnId, "refines", other.id);
+                    console.log(`🔗 Memory ${turnId} refines ${other.id}`);
+                }
+                if (relation !== "contradiction" || this.conflicts.between(turnId, other.id)) continue;
+
+                await this.linkMemory(turnId, "contradicts", other.id);
+                for (const id of other.ids) {
+                    await this.linkMemory(id, "contradictedBy", turnId);
+                }
+                const conflict = this.conflicts.record({
+                    sessionId,
+                    userId,
+                    newer: { id: turnId, sessionId, text: statement, timestamp },
+                    older: {
+                        id: other.id,
+                        ids: other.ids,
+                        sessionId: other.metadata.sessionId,
+                        text: olderStatement,
+                        timestamp: other.metadata.timestamp ?? null
+                    },
+                    reason,
+                    terms,
+                    similarity: Math.round(other.score * 1000) / 1000
+                });
+                console.log(`⚔️ Possible contradiction (${reason}): "${olderStatement}" → "${statement}"`);
+                opened.push(conflict);
+            }
+            return opened;
+        } catch (error) {
+            console.log("⚠️ Contradiction check failed:", error.message);
+            return [];
+        }
+    }
+
+    // Adds (or removes) `linkedId` in a list-valued metadata flag of a memory,
+    // wherever the memory is held. The hot turn is flagged too, so the flag
+    // survives when the turn is archived to cold storage.
+    async linkMemory(id, key, linkedId, { remove = false } = {}) {
+        const change = (metadata = {}) => {
+            const links = (metadata[key] || []).filter(other => other !== linkedId);
+            return { [key]: remove ? links : [...links, linkedId] };
+        };
+
+        for (const { turn } of sessionMemory.turns()) {
+            if (turn.id === id) turn.metadata = { ...turn.metadata, ...change(turn.metadata) };
+        }
+        for (const name of ["warm", "cold"]) {
+            const tier = this.vectorTier(name);
+            const [record] = await tier.get([id]);
+            if (record) await tier.annotate(id, change(record.metadata));
+        }
+    }
+
+    // Settles an open conflict with what the user confirmed: "newer" keeps the
+    // preference as it is, "older" reverses it and "both" clears the flags
+    async resolveConflict(id, keep) {
+        const conflict = this.conflicts.get(id);
+        if (!conflict) return null;
+
+        const { newer, older } = conflict;
+        if (keep === "older" || keep === "both") {
+            for (const olderId of older.ids) {
+                await this.linkMemory(olderId, "contradictedBy", newer.id, { remove: true });
+            }
+        }
+        if (keep === "older") {
+            await this.linkMemory(newer.id, "contradictedBy", older.id);
+        } else if (keep === "both") {
+            await this.linkMemory(newer.id, "contradicts", older.id, { remove: true });
+        }
+
+        console.log(`🤝 Resolved conflict ${id}: kept ${keep}`);
+        return this.conflicts.resolve(id, keep);
+    }
+
+    recordTranscript(sessionId, turn) {
+        try {
+            return this.transcripts.recordTurn(sessionId, turn);
+        } catch (error) {
+            console.log("⚠️ Could not record transcript:", error.message);
+            return null;
+        }
+    }
+
+    learnGraph(sessionId, userMessage, { userId = null, sourceId = null } = {}) {
+        try {
+            const learned = this.graph.learn(userMessage, { sessionId, userId, sourceId });
+            if (learned.length > 0) {
+                console.log(`🕸️ Knowledge graph: ${learned.length} relation(s) from this turn`);
+            }
+            return learned;
+        } catch (error) {
+            console.log("⚠️ Could not update knowledge graph:", error.message);
+            return [];
+        }
+    }
+
+    async chat(userQuery, sessionId = "default") {
         // Get context from all memory tiers
-        const { context } = await this.processQuery(userQuery);
+        const { context } = await this.processQuery(userQuery, sessionId);
         
         // Use memory.chat which handles everything
-        const response = await memory.chat(userQuery);
+        const session = sessionMemory.get(sessionId);
+        const response = await session.chat(userQuery);
+        await this.detectContradictions(sessionId, session.chatHistory.at(-1)?.id);
+        await this.rollUp(sessionId);
         
         return response;
     }
@@ -124,4 +973,4 @@ ${coldContext || "No historical data"}
 // Create and export instance
 const memoryOrch = new MemoryOrchestrator();
 
-export { MemoryOrchestrator, memoryOrch };
\ No newline at end of file
+export { MemoryOrchestrator, memoryOrch, MEMORY_TIERS };
\ No newline at end of file
@@ -1,32 +1,36 @@
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
-import { hfChat } from "./models/huggingface.js";
-import { replicateChat, replicateMistral } from "./models/replicate.js";
+import { providerRegistry } from "./models/registry.js";
+import { buildMessages } from "./models/messages.js";
+import { RoutingPolicy, readConfig } from "./routing_policy.js";
+import { QueryClassifier } from "./query_classifier.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
+// Escalated query analysis must not hold up the reply: one short attempt,
+// then the local classification stands
+const ANALYSIS_TIMEOUT_MS = Number(process.env.QUERY_ANALYSIS_TIMEOUT_MS) || 3000;
+
 class GeminiRouter {
   constructor() {
-    // Google Gemini models (kept for analysis)
-    this.geminiModels = {
-      fast: new ChatGoogleGenerativeAI({
-        model: "gemini-2.5-flash",
-        temperature: 0.7,
-        maxOutputTokens: 8192,
-        apiKey: process.env.GOOGLE_API_KEY
-      }),
-      pro: new ChatGoogleGenerativeAI({
-        model: "gemini-2.5-pro",
-        temperature: 0.7,
-        maxOutputTokens: 8192,
-        apiKey: process.env.GOOGLE_API_KEY
-      })
-    };
+    this.classifier = new QueryClassifier({ escalate: query => this.llmAnalysis(query) });
+
+    // Chat providers from lite_config.yaml; invalid entries stop startup
+    this.providers = providerRegistry;
+    this.providers.configure(readConfig().providers);
+
+    // Rules from lite_config.yaml; an invalid policy stops startup
+    this.policy = new RoutingPolicy({ providers: this.providers.names() });
+    this.policy.load();
+    this.policy.watch();
   }
 
+  // Local heuristics first; Gemini is only asked when they are unsure
   async analyzeQuery(query) {
-    const classifier = this.geminiModels.fast;
-    const analysis = await classifier.invoke(`
+    return await this.classifier.classify(query);
+  }
+
+  async llmAnalysis(query) {
+    const analysis = await this.providers.get("gemini").chat(`
 Analyze this query and return ONLY JSON (no markdown, no backticks):
 {
   "complexity": "simple|medium|complex",
@@ -37,91 +41,68 @@ Analyze this query and return ONLY JSON (no markdown, no backticks):
 }
 
 Query: ${query}
-    `);
-
-    try {
-      const cleaned = analysis.content.replace(/```json|```/g, '').trim();
-      return JSON.parse(cleaned);
-    } catch {
-      return {
-        complexity: "medium",
-        type: "dialogue",
-        requiresMemory: true,
-        estimatedTokens: 500,
-        requiresReasoning: false
-      };
-    }
+    `, { model: "gemini-2.5-flash", maxTokens: 512, retries: 0, timeoutMs: ANALYSIS_TIMEOUT_MS });
+
+    const cleaned = analysis.content.replace(/```json|```/g, '').trim();
+    return JSON.parse(cleaned);
   }
 
-  async routeQuery(query, context = "") {
+  // The rule and models to try for a query. `model` is the first of them
+  // that would be called right now (by label when the entry leaves the
+  // model to the provider), so the memory context can be packed to its budget
+  async planRoute(query) {
     const analysis = await this.analyzeQuery(query);
-    
-    let modelName;
-    let response;
-    let provider;
-
-    const fullPrompt = context 
-      ? `CONTEXT:\n${context}\n\nUSER QUERY: ${query}` 
-      : query;
-
-    // Route based on complexity
-    if (analysis.requiresReasoning || analysis.complexity === "complex") {
-      
-      // Use Replicate DeepSeek for reasoning
-      modelName = "Mistral-7B (Replicate)";
-      console.log(`🧠 Routing to: ${modelName} (deep reasoning)`);
-      provider = "Replicate";
-      response = await replicateMistral(fullPrompt);
-
-      // Fallback to HuggingFace if Replicate fails
-      if (!response) {
-        console.log("⚠️ Replicate failed, trying HuggingFace...");
-        modelName = "Llama-3.3-70B (HuggingFace)";
-        provider = "HuggingFace";
-        response = await hfChat(fullPrompt);
-      }
+    const { rule, attempts } = this.policy.plan(analysis);
+    const first = attempts.find(attempt => this.providers.get(attempt.provider).isAvailable(attempt.model));
+    return { query, analysis, rule, attempts, model: first ? first.model || first.label || first.name : null };
+  }
 
-    } else if (analysis.type === "technical" || analysis.complexity === "medium") {
-      
-      // Use HuggingFace for technical/medium queries
-      modelName = "Llama-3.3-70B (HuggingFace)";
-      console.log(`💻 Routing to: ${modelName}`);
-      provider = "HuggingFace";
-      response = await hfChat(fullPrompt);
-
-      // Fallback to Replicate if HF fails
-      if (!response) {
-        console.log("⚠️ HuggingFace failed, trying Replicate...");
-        modelName = "Llama-2-70B (Replicate)";
-        provider = "Replicate";
-        response = await replicateChat(fullPrompt);
-      }
+  // `conversation` is the message list ending with the query (see
+  // models/messages.js), or a memory context sent as a system message.
+  // `route` is a planRoute() result for the same query, when already made.
+  async routeQuery(query, conversation = "", route = null) {
+    const { analysis, rule, attempts } = route?.query === query ? route : await this.planRoute(query);
 
-    } else {
-      
-      // Use Gemini Flash for simple queries
-      modelName = "Gemini Flash";
-      console.log(`📱 Routing to: ${modelName} (fastest)`);
-      provider = "Google Gemini";
-      const result = await this.geminiModels.fast.invoke(fullPrompt);
-      response = result.content;
-    }
+    const messages = Array.isArray(conversation)
+      ? conversation
+      : buildMessages({ context: conversation, query });
 
-    // Final fallback to Gemini if everything fails
-    if (!response) {
-      console.log("⚠️ All external models failed, using Gemini Pro...");
-      modelName = "Gemini Pro (Fallback)";
-      provider = "Google Gemini";
-      const result = await this.geminiModels.pro.invoke(fullPrompt);
-      response = result.content;
+    // Walk the rule's chain until a model answers, skipping providers whose
+    // circuit is open
+    let lastError = null;
+    let previous = null;
+    for (const attempt of attempts) {
+      const provider = this.providers.get(attempt.provider);
+      const name = attempt.label || attempt.name;
+      const modelName = attempt.fallback ? `${name} (Fallback)` : name;
+      if (!provider.isAvailable(attempt.model)) {
+        console.log(`⏭️ Skipping ${modelName}: ${provider.configured ? "circuit open" : "not configured"}`);
+        continue;
+      }
+      if (previous) {
+        console.log(`⚠️ ${previous} failed, trying ${modelName}...`);
+      } else {
+        console.log(`🧭 Routing to: ${modelName} (rule: ${rule})`);
+      }
+      previous = name;
+
+      try {
+        const result = await provider.chat(messages, { model: attempt.model, ...attempt.params });
+        return {
+          response: result.content,
+          model: modelName,
+          analysis,
+          provider: provider.label,
+          usage: result.usage,
+          rule
+        };
+      } catch (error) {
+        console.log(`⚠️ ${provider.label} error: ${error.message}`);
+        lastError = error;
+      }
     }
 
-    return {
-      response,
-      model: modelName,
-      analysis,
-      provider
-    };
+    throw lastError || new Error(`No available model for rule ${rule}: every provider is unconfigured or has an open circuit`);
   }
 }
 
@@ -0,0 +1,68 @@
+import Anthropic from "@anthropic-ai/sdk";
+import { ChatProvider } from "./provider.js";
+import { splitSystem } from "./messages.js";
+
+class AnthropicProvider extends ChatProvider {
+  constructor({
+    name = "anthropic",
+    apiKey = process.env.ANTHROPIC_API_KEY,
+    defaultModel = "claude-3-5-haiku-latest",
+    ...rest
+  } = {}) {
+    super({
+      name,
+      type: "anthropic",
+      label: "Anthropic",
+      apiKey,
+      keyEnv: "ANTHROPIC_API_KEY",
+      defaultModel,
+      defaults: { maxTokens: 1024 },
+      capabilities: { contextWindow: 200000, vision: true, tools: true },
+      ...rest
+    });
+    this.sdk = null;
+  }
+
+  client() {
+    if (!this.sdk) {
+      this.sdk = new Anthropic({ apiKey: this.apiKey, maxRetries: 0 });
+    }
+    return this.sdk;
+  }
+
+  // The system prompt is a separate parameter; turns must alternate
+  request(messages, { model, temperature, maxTokens }) {
+    const { system, turns } = splitSystem(messages);
+    return {
+      model,
+      ...(system && { system }),
+      messages: turns,
+      max_tokens: maxTokens,
+      temperature
+    };
+  }
+
+  async complete(messages, options) {
+    const response = await this.client().messages.create(this.request(messages, options));
+    return {
+      content: response.content.filter(block => block.type === "text").map(block => block.text).join(""),
+      model: response.model,
+      usage: { inputTokens: response.usage.input_tokens, outputTokens: response.usage.output_tokens }
+    };
+  }
+
+  async *streamCompletion(messages, options) {
+    const stream = this.client().messages.stream(this.request(messages, options));
+    for await (const event of stream) {
+      if (event.type === "content_block_delta" && event.delta.type === "text_delta") yield event.delta.text;
+    }
+    const { usage } = await stream.finalMessage();
+    yield { usage: { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens } };
+  }
+
+  async ping() {
+    await this.client().models.list({ limit: 1 });
+  }
+}
+
+export { AnthropicProvider };
@@ -0,0 +1,78 @@
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { ChatProvider } from "./provider.js";
+import { splitSystem } from "./messages.js";
+
+const GEMINI_CAPABILITIES = {
+  "gemini-2.5-flash": { contextWindow: 1048576 },
+  "gemini-2.5-pro": { contextWindow: 1048576 }
+};
+
+// Google Gemini through LangChain, one client per model and parameters
+class GeminiProvider extends ChatProvider {
+  constructor({ name = "gemini", apiKey = process.env.GOOGLE_API_KEY, defaultModel = "gemini-2.5-flash", ...rest } = {}) {
+    super({
+      name,
+      type: "gemini",
+      label: "Google Gemini",
+      apiKey,
+      keyEnv: "GOOGLE_API_KEY",
+      defaultModel,
+      defaults: { maxTokens: 8192 },
+      capabilities: { contextWindow: 1048576, vision: true, tools: true },
+      modelCapabilities: GEMINI_CAPABILITIES,
+      ...rest
+    });
+    this.clients = new Map();
+  }
+
+  client({ model, temperature, maxTokens }) {
+    const key = `${model}:${temperature}:${maxTokens}`;
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new ChatGoogleGenerativeAI({
+        model,
+        temperature,
+        maxOutputTokens: maxTokens,
+        apiKey: this.apiKey,
+        maxRetries: 0
+      }));
+    }
+    return this.clients.get(key);
+  }
+
+  usageOf(message) {
+    const usage = message.usage_metadata;
+    return usage ? { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens } : undefined;
+  }
+
+  // One system instruction, then alternating human / ai turns
+  render(messages) {
+    const { system, turns } = splitSystem(messages);
+    return [
+      ...(system ? [["system", system]] : []),
+      ...turns.map(({ role, content }) => [role === "assistant" ? "ai" : "human", content])
+    ];
+  }
+
+  async complete(messages, options) {
+    const result = await this.client(options).invoke(this.render(messages));
+    return { content: result.content, usage: this.usageOf(result) };
+  }
+
+  async *streamCompletion(messages, options) {
+    let usage;
+    for await (const chunk of await this.client(options).stream(this.render(messages))) {
+      if (chunk.content) yield chunk.content;
+      usage = this.usageOf(chunk) || usage;
+    }
+    if (usage) yield { usage };
+  }
+
+  async ping() {
+    const response = await fetch("https://generativelanguage.googleapis.com/v1beta/models?pageSize=1", {
+      headers: { "x-goog-api-key": this.apiKey }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+export { GeminiProvider };
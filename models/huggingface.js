@@ -1,38 +1,76 @@
 import { HfInference } from '@huggingface/inference';
+import { ChatProvider } from './provider.js';
+import { withSingleSystem } from './messages.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
-const hf = new HfInference(process.env.HUGGINGFACE_API_KEY);
-
-export async function hfChat(message) {
-  try {
-    // Try multiple models as fallback
-    const models = [
-      'microsoft/Phi-3-mini-4k-instruct',
-      'meta-llama/Llama-3.2-3B-Instruct',
-      'HuggingFaceH4/zephyr-7b-beta'
-    ];
-
-    for (const model of models) {
-      try {
-        const response = await hf.chatCompletion({
-          model: model,
-          messages: [{ role: 'user', content: message }],
-          max_tokens: 500,
-          temperature: 0.7,
-        });
-        
-        console.log(`✅ HuggingFace success with: ${model}`);
-        return response.choices[0].message.content;
-      } catch (err) {
-        console.log(`⚠️ ${model} failed, trying next...`);
-        continue;
-      }
+// Tried in order when no model is given
+const FALLBACK_MODELS = [
+  'microsoft/Phi-3-mini-4k-instruct',
+  'meta-llama/Llama-3.2-3B-Instruct',
+  'HuggingFaceH4/zephyr-7b-beta'
+];
+
+class HuggingFaceProvider extends ChatProvider {
+  constructor({ name = 'huggingface', apiKey = process.env.HUGGINGFACE_API_KEY, defaultModel = null, ...rest } = {}) {
+    super({
+      name,
+      type: 'huggingface',
+      label: 'HuggingFace',
+      apiKey,
+      keyEnv: 'HUGGINGFACE_API_KEY',
+      defaultModel,
+      capabilities: { contextWindow: 4096 },
+      modelCapabilities: {
+        'meta-llama/Llama-3.2-3B-Instruct': { contextWindow: 131072 },
+        'HuggingFaceH4/zephyr-7b-beta': { contextWindow: 32768 }
+      },
+      ...rest
+    });
+    this.hf = new HfInference(apiKey);
+  }
+
+  // The chat template of each model is applied by the inference API
+  request({ model, temperature, maxTokens }, messages) {
+    return {
+      model,
+      messages: withSingleSystem(messages),
+      max_tokens: maxTokens,
+      temperature
+    };
+  }
+
+  // Each fallback model has its own circuit breaker
+  candidateModels({ model }) {
+    return model ? [model] : FALLBACK_MODELS;
+  }
+
+  async complete(messages, options) {
+    const model = options.model || FALLBACK_MODELS[0];
+    const response = await this.hf.chatCompletion(this.request({ ...options, model }, messages));
+    console.log(`✅ HuggingFace success with: ${model}`);
+    return {
+      content: response.choices[0].message.content,
+      model,
+      usage: response.usage && { inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens }
+    };
+  }
+
+  async *streamCompletion(messages, options) {
+    const model = options.model || FALLBACK_MODELS[0];
+    for await (const chunk of this.hf.chatCompletionStream(this.request({ ...options, model }, messages))) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield text;
+      if (chunk.usage) yield { usage: { inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens } };
     }
+  }
 
-    return null;
-  } catch (error) {
-    console.error('❌ HuggingFace error:', error.message);
-    return null;
+  async ping() {
+    const response = await fetch('https://huggingface.co/api/whoami-v2', {
+      headers: { Authorization: `Bearer ${this.apiKey}` }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
   }
-}
\ No newline at end of file
+}
+
+export { HuggingFaceProvider };
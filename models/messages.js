@@ -0,0 +1,114 @@
+// Conversations are passed to providers as a list of
+//   { role: "system" | "user" | "assistant", content }
+// ending with the user turn to answer. Adapters render the list in their
+// provider's native format; these helpers cover the common shapes.
+
+const ROLES = ["system", "user", "assistant"];
+
+// A plain string is a single user turn
+function toMessages(input) {
+  const messages = typeof input === "string" ? [{ role: "user", content: input }] : input;
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error("messages must be a non-empty list");
+  }
+  for (const message of messages) {
+    if (!ROLES.includes(message?.role) || typeof message.content !== "string") {
+      throw new Error(`Invalid message: expected { role: ${ROLES.join(" | ")}, content: string }`);
+    }
+  }
+  return messages;
+}
+
+// System prompt, memory context, earlier turns, then the current query.
+// `history` is a list of { input, output } turns, oldest first.
+function buildMessages({ system = null, context = null, history = [], query }) {
+  return [
+    ...(system ? [{ role: "system", content: system }] : []),
+    ...(context ? [{ role: "system", content: context }] : []),
+    ...history.flatMap(turn => [
+      { role: "user", content: turn.input },
+      { role: "assistant", content: turn.output }
+    ]),
+    { role: "user", content: query }
+  ];
+}
+
+// For APIs that take one system instruction apart from the turns. Consecutive
+// turns of the same role are joined, so user and assistant alternate.
+function splitSystem(messages) {
+  const system = messages
+    .filter(message => message.role === "system")
+    .map(message => message.content)
+    .join("\n\n");
+
+  const turns = [];
+  for (const { role, content } of messages.filter(message => message.role !== "system")) {
+    const last = turns[turns.length - 1];
+    if (last?.role === role) {
+      last.content += `\n\n${content}`;
+    } else {
+      turns.push({ role, content });
+    }
+  }
+  return { system: system || null, turns };
+}
+
+// For OpenAI-style chat APIs: one leading system message, then the turns
+function withSingleSystem(messages) {
+  const { system, turns } = splitSystem(messages);
+  return [...(system ? [{ role: "system", content: system }] : []), ...turns];
+}
+
+// Chat templates for models that take a raw prompt, ending where the
+// assistant's reply begins
+const PROMPT_TEMPLATES = {
+  llama3: {
+    begin: "<|begin_of_text|>",
+    system: text => `<|start_header_id|>system<|end_header_id|>\n\n${text}<|eot_id|>`,
+    user: text => `<|start_header_id|>user<|end_header_id|>\n\n${text}<|eot_id|>`,
+    assistant: text => `<|start_header_id|>assistant<|end_header_id|>\n\n${text}<|eot_id|>`,
+    reply: "<|start_header_id|>assistant<|end_header_id|>\n\n"
+  },
+  // No system role: the system text opens the first instruction
+  mistral: {
+    begin: "<s>",
+    user: (text, system) => `[INST] ${system ? `${system}\n\n` : ""}${text} [/INST]`,
+    assistant: text => ` ${text}</s>`,
+    reply: ""
+  },
+  plain: {
+    begin: "",
+    system: text => `${text}\n\n`,
+    user: text => `User: ${text}\n`,
+    assistant: text => `Assistant: ${text}\n`,
+    reply: "Assistant:"
+  }
+};
+
+function renderPrompt(messages, templateName = "plain") {
+  const template = PROMPT_TEMPLATES[templateName];
+  const { system, turns } = splitSystem(messages);
+  let prompt = template.begin;
+  let pendingSystem = system;
+
+  if (system && template.system) {
+    prompt += template.system(system);
+    pendingSystem = null;
+  }
+  for (const { role, content } of turns) {
+    if (role === "user") {
+      prompt += template.user(content, pendingSystem);
+      pendingSystem = null;
+    } else {
+      prompt += template.assistant(content);
+    }
+  }
+  return prompt + template.reply;
+}
+
+// Plain text of a conversation, for token estimates
+function messagesText(messages) {
+  return messages.map(message => message.content).join("\n");
+}
+
+export { toMessages, buildMessages, splitSystem, withSingleSystem, renderPrompt, messagesText, PROMPT_TEMPLATES };
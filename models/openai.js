@@ -0,0 +1,111 @@
+import OpenAI from "openai";
+import { ChatProvider } from "./provider.js";
+import { withSingleSystem } from "./messages.js";
+
+const OPENAI_CAPABILITIES = {
+  "gpt-4o": { contextWindow: 128000, vision: true },
+  "gpt-4o-mini": { contextWindow: 128000, vision: true },
+  "gpt-4.1": { contextWindow: 1047576, vision: true },
+  "gpt-4.1-mini": { contextWindow: 1047576, vision: true }
+};
+
+// OpenAI, and any server speaking its chat completions API (Ollama, vLLM,
+// LM Studio, DeepSeek...) when given a `baseURL`
+class OpenAIProvider extends ChatProvider {
+  constructor({
+    name = "openai",
+    type = "openai",
+    label = "OpenAI",
+    apiKey = process.env.OPENAI_API_KEY,
+    keyEnv = "OPENAI_API_KEY",
+    baseURL = null,
+    defaultModel = "gpt-4o-mini",
+    capabilities = { contextWindow: 128000, tools: true },
+    modelCapabilities = OPENAI_CAPABILITIES,
+    ...rest
+  } = {}) {
+    super({ name, type, label, apiKey, keyEnv, defaultModel, capabilities, modelCapabilities, ...rest });
+    this.baseURL = baseURL;
+    this.sdk = null;
+  }
+
+  // Created on first use: the SDK refuses to construct without a key
+  client() {
+    if (!this.sdk) {
+      this.sdk = new OpenAI({
+        apiKey: this.apiKey || "none",
+        // Retries are handled by ChatProvider
+        maxRetries: 0,
+        ...(this.baseURL && { baseURL: this.baseURL })
+      });
+    }
+    return this.sdk;
+  }
+
+  // One leading system message: not every compatible server accepts more
+  request(messages, { model, temperature, maxTokens }) {
+    return {
+      model,
+      messages: withSingleSystem(messages),
+      max_tokens: maxTokens,
+      temperature
+    };
+  }
+
+  usageOf(usage) {
+    return usage ? { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens } : undefined;
+  }
+
+  async complete(messages, options) {
+    const response = await this.client().chat.completions.create(this.request(messages, options));
+    return {
+      content: response.choices[0]?.message?.content,
+      model: response.model || options.model,
+      usage: this.usageOf(response.usage)
+    };
+  }
+
+  async *streamCompletion(messages, options) {
+    const stream = await this.client().chat.completions.create({
+      ...this.request(messages, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield text;
+      if (chunk.usage) yield { usage: this.usageOf(chunk.usage) };
+    }
+  }
+
+  async ping() {
+    await this.client().models.list();
+  }
+}
+
+// A local Ollama server through its OpenAI-compatible endpoint; no key needed
+class OllamaProvider extends OpenAIProvider {
+  constructor({
+    name = "ollama",
+    apiKey = null,
+    baseURL = process.env.OLLAMA_BASE_URL || "http://localhost:11434/v1",
+    defaultModel = process.env.OLLAMA_MODEL || "llama3.2",
+    ...rest
+  } = {}) {
+    super({
+      name,
+      type: "ollama",
+      label: "Ollama",
+      apiKey,
+      requiresKey: false,
+      keyEnv: null,
+      baseURL,
+      defaultModel,
+      capabilities: { contextWindow: 8192 },
+      modelCapabilities: {},
+      ...rest
+    });
+  }
+}
+
+export { OpenAIProvider, OllamaProvider };
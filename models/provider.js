@@ -0,0 +1,248 @@
+import { estimateTokens } from "../memory/context_packer.js";
+import { toMessages, messagesText } from "./messages.js";
+import { CircuitBreaker, retry, withTimeout, circuitOpenError, RETRIES, TIMEOUT_MS } from "./resilience.js";
+
+// What every chat provider adapter offers:
+//   chat(messages, options)   -> { content, model, provider, usage: { inputTokens, outputTokens, estimated? } }
+//   stream(messages, options) -> async iterator of text chunks
+//   capabilities(model)     -> { contextWindow, vision, tools, streaming }
+//   healthCheck()           -> { ok, configured, latencyMs, error?, checkedAt }
+//   getUsage()              -> request, failure and token totals since startup
+//   health()                -> circuit breaker state, error rate and latency, per model too
+// `messages` is a list of { role, content } (see messages.js) or a string for
+// a single user turn. `options` are { model, temperature, maxTokens }; the
+// adapter's defaults fill in the rest. `chat` also takes `retries` and
+// `timeoutMs` for calls that must answer quickly. A failed call throws.
+//
+// Adapters implement `complete()`, rendering the messages in their provider's
+// native format, and `streamCompletion()` when the API can
+// stream (yielding text chunks, then optionally `{ usage }`), plus `ping()` as
+// a cheap request for health checks.
+//
+// Calls time out after PROVIDER_TIMEOUT_MS and transient failures are retried
+// with backoff. Each provider and each of its models has a circuit breaker;
+// while one is open, calls to it fail fast with a "circuit_open" error.
+class ChatProvider {
+  constructor({
+    name,
+    type,
+    label,
+    apiKey = null,
+    requiresKey = true,
+    keyEnv = null,
+    defaultModel,
+    defaults = {},
+    capabilities = {},
+    modelCapabilities = {},
+    capabilityOverrides = {}
+  }) {
+    this.name = name;
+    this.type = type;
+    this.label = label;
+    this.apiKey = apiKey;
+    this.requiresKey = requiresKey;
+    this.keyEnv = keyEnv;
+    this.defaultModel = defaultModel;
+    this.defaults = { temperature: 0.7, maxTokens: 500, ...defaults };
+    this.defaultCapabilities = { contextWindow: 8192, vision: false, tools: false, streaming: true, ...capabilities };
+    this.modelCapabilities = modelCapabilities;
+    // Set in lite_config.yaml; wins over the built-in values
+    this.capabilityOverrides = capabilityOverrides;
+    this.usage = { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0 };
+    this.retries = RETRIES;
+    this.timeoutMs = TIMEOUT_MS;
+    this.breaker = new CircuitBreaker({ name: this.name });
+    this.modelBreakers = new Map();
+  }
+
+  get configured() {
+    return !this.requiresKey || Boolean(this.apiKey);
+  }
+
+  capabilities(model = this.defaultModel) {
+    return { ...this.defaultCapabilities, ...this.modelCapabilities[model], ...this.capabilityOverrides };
+  }
+
+  options({ model, temperature, maxTokens } = {}) {
+    return {
+      model: model || this.defaultModel,
+      temperature: temperature ?? this.defaults.temperature,
+      maxTokens: maxTokens ?? this.defaults.maxTokens
+    };
+  }
+
+  assertConfigured() {
+    if (!this.configured) {
+      throw new Error(`${this.label} is not configured${this.keyEnv ? ` (set ${this.keyEnv})` : ""}`);
+    }
+  }
+
+  breakerFor(model) {
+    const key = model || "default";
+    if (!this.modelBreakers.has(key)) {
+      this.modelBreakers.set(key, new CircuitBreaker({ name: `${this.name}/${key}` }));
+    }
+    return this.modelBreakers.get(key);
+  }
+
+  // Models to try, in order, for a request; adapters with a fallback list
+  // override this
+  candidateModels({ model }) {
+    return [model];
+  }
+
+  // Whether a call for `model` would be attempted right now
+  isAvailable(model) {
+    return this.configured
+      && this.breaker.isAvailable()
+      && this.candidateModels(this.options({ model })).some(candidate => this.breakerFor(candidate).isAvailable());
+  }
+
+  async chat(input, options = {}) {
+    this.assertConfigured();
+    const messages = toMessages(input);
+    const resolved = this.options(options);
+    const { retries = this.retries, timeoutMs = this.timeoutMs } = options;
+    if (!this.breaker.allow()) throw circuitOpenError(this.label);
+
+    const startedAt = Date.now();
+    const candidates = this.candidateModels(resolved);
+    let attempted = false;
+    let lastError = null;
+    for (const model of candidates) {
+      const breaker = this.breakerFor(model);
+      if (!breaker.allow()) {
+        lastError = circuitOpenError(`${this.label} ${model || "default"}`);
+        continue;
+      }
+      attempted = true;
+      const modelStartedAt = Date.now();
+      try {
+        const result = await retry(async () => {
+          const reply = await withTimeout(this.complete(messages, { ...resolved, model }), timeoutMs, this.label);
+          if (!reply.content) throw new Error(`${this.label} returned an empty response`);
+          return reply;
+        }, {
+          retries,
+          onRetry: (error, attempt, delay) => console.log(`🔁 Retrying ${this.label} in ${delay}ms (attempt ${attempt}): ${error.message}`)
+        });
+        breaker.success(Date.now() - modelStartedAt);
+        this.breaker.success(Date.now() - startedAt);
+        const counted = this.record(messages, result.content, result.usage);
+        return { content: result.content, model: result.model || model, provider: this.name, usage: counted };
+      } catch (error) {
+        breaker.failure(Date.now() - modelStartedAt, error);
+        lastError = error;
+        if (candidates.length > 1) console.log(`⚠️ ${this.label} ${model} failed: ${error.message}`);
+      }
+    }
+
+    this.usage.failures++;
+    if (attempted) {
+      this.breaker.failure(Date.now() - startedAt, lastError);
+    } else {
+      this.breaker.release();
+    }
+    throw lastError;
+  }
+
+  // Streams are not retried: chunks may already have reached the caller
+  async *stream(input, options) {
+    this.assertConfigured();
+    const messages = toMessages(input);
+    const resolved = this.options(options);
+    if (!this.streamCompletion) {
+      yield (await this.chat(messages, resolved)).content;
+      return;
+    }
+
+    const [model] = this.candidateModels(resolved);
+    const breaker = this.breakerFor(model);
+    if (!this.breaker.allow()) throw circuitOpenError(this.label);
+    if (!breaker.allow()) {
+      this.breaker.release();
+      throw circuitOpenError(`${this.label} ${model || "default"}`);
+    }
+
+    const startedAt = Date.now();
+    let content = "";
+    let usage = null;
+    try {
+      for await (const chunk of this.streamCompletion(messages, { ...resolved, model })) {
+        if (typeof chunk === "string") {
+          content += chunk;
+          yield chunk;
+        } else if (chunk?.usage) {
+          usage = chunk.usage;
+        }
+      }
+    } catch (error) {
+      this.usage.failures++;
+      breaker.failure(Date.now() - startedAt, error);
+      this.breaker.failure(Date.now() - startedAt, error);
+      throw error;
+    }
+    breaker.success(Date.now() - startedAt);
+    this.breaker.success(Date.now() - startedAt);
+    this.record(messages, content, usage);
+  }
+
+  // Providers that do not report token counts are estimated
+  record(messages, content, usage) {
+    const counted = usage?.inputTokens !== undefined
+      ? usage
+      : { inputTokens: estimateTokens(messagesText(messages)), outputTokens: estimateTokens(content), estimated: true };
+    this.usage.requests++;
+    this.usage.inputTokens += counted.inputTokens || 0;
+    this.usage.outputTokens += counted.outputTokens || 0;
+    return counted;
+  }
+
+  async complete() {
+    throw new Error(`${this.label} does not implement complete()`);
+  }
+
+  async ping() {
+    await this.complete(toMessages("ping"), this.options({ maxTokens: 1 }));
+  }
+
+  async healthCheck() {
+    const startedAt = Date.now();
+    if (!this.configured) {
+      return { ok: false, configured: false, latencyMs: 0, error: "not configured", checkedAt: startedAt };
+    }
+    try {
+      await this.ping();
+      return { ok: true, configured: true, latencyMs: Date.now() - startedAt, checkedAt: startedAt };
+    } catch (error) {
+      return { ok: false, configured: true, latencyMs: Date.now() - startedAt, error: error.message, checkedAt: startedAt };
+    }
+  }
+
+  getUsage() {
+    return { ...this.usage };
+  }
+
+  health() {
+    return {
+      configured: this.configured,
+      ...this.breaker.describe(),
+      models: Object.fromEntries([...this.modelBreakers].map(([model, breaker]) => [model, breaker.describe()]))
+    };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      label: this.label,
+      configured: this.configured,
+      defaultModel: this.defaultModel,
+      capabilities: this.capabilities(),
+      circuit: this.breaker.state,
+      usage: this.getUsage()
+    };
+  }
+}
+
+export { ChatProvider };
@@ -0,0 +1,130 @@
+import { GeminiProvider } from "./gemini.js";
+import { HuggingFaceProvider } from "./huggingface.js";
+import { ReplicateProvider } from "./replicate.js";
+import { TogetherProvider } from "./together.js";
+import { OpenAIProvider, OllamaProvider } from "./openai.js";
+import { AnthropicProvider } from "./anthropic.js";
+
+const PROVIDER_TYPES = {
+  gemini: GeminiProvider,
+  huggingface: HuggingFaceProvider,
+  replicate: ReplicateProvider,
+  together: TogetherProvider,
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  openai_compatible: OpenAIProvider
+};
+// Registered under their type name, with keys from the environment
+const BUILT_IN = ["gemini", "huggingface", "replicate", "together", "openai", "anthropic", "ollama"];
+const ENTRY_KEYS = ["type", "model", "label", "api_key", "api_key_env", "base_url", "context_window", "vision", "tools"];
+
+// Checks the `providers` section of lite_config.yaml; every problem found is
+// listed in the error thrown
+function validateProviderConfig(entries) {
+  const problems = [];
+  for (const [name, entry] of Object.entries(entries || {})) {
+    const where = `providers.${name}`;
+    if (!entry || typeof entry !== "object") {
+      problems.push(`${where}: must be a map`);
+      continue;
+    }
+    if (!PROVIDER_TYPES[entry.type]) {
+      problems.push(`${where}.type: expected one of: ${Object.keys(PROVIDER_TYPES).join(", ")}`);
+    }
+    if (entry.type === "openai_compatible" && !entry.base_url) {
+      problems.push(`${where}.base_url: required for openai_compatible`);
+    }
+    for (const key of Object.keys(entry)) {
+      if (!ENTRY_KEYS.includes(key)) problems.push(`${where}.${key}: unknown setting, expected one of: ${ENTRY_KEYS.join(", ")}`);
+    }
+    if (entry.context_window !== undefined && !(Number.isInteger(entry.context_window) && entry.context_window > 0)) {
+      problems.push(`${where}.context_window: must be a positive integer`);
+    }
+    for (const key of ["vision", "tools"]) {
+      if (entry[key] !== undefined && typeof entry[key] !== "boolean") problems.push(`${where}.${key}: must be true or false`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid provider config:\n  - ${problems.join("\n  - ")}`);
+  }
+}
+
+function createProvider(name, entry) {
+  const apiKey = entry.api_key_env ? process.env[entry.api_key_env] : entry.api_key;
+  return new PROVIDER_TYPES[entry.type]({
+    name,
+    ...(entry.type === "openai_compatible" && {
+      type: "openai_compatible",
+      label: name,
+      requiresKey: Boolean(entry.api_key || entry.api_key_env)
+    }),
+    ...(apiKey !== undefined && { apiKey }),
+    ...(entry.api_key_env && { keyEnv: entry.api_key_env }),
+    ...(entry.model && { defaultModel: entry.model }),
+    ...(entry.label && { label: entry.label }),
+    ...(entry.base_url && { baseURL: entry.base_url }),
+    capabilityOverrides: {
+      ...(entry.context_window !== undefined && { contextWindow: entry.context_window }),
+      ...(entry.vision !== undefined && { vision: entry.vision }),
+      ...(entry.tools !== undefined && { tools: entry.tools })
+    }
+  });
+}
+
+// Every chat provider the router can call, by name: the built-in adapters
+// plus the entries of the `providers` section of lite_config.yaml (which
+// replace a built-in of the same name).
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    for (const type of BUILT_IN) {
+      this.register(new PROVIDER_TYPES[type]());
+    }
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  configure(entries = {}) {
+    validateProviderConfig(entries);
+    for (const [name, entry] of Object.entries(entries || {})) {
+      this.register(createProvider(name, entry));
+    }
+    console.log(`✅ Chat providers: ${this.names().map(name => `${name}${this.providers.get(name).configured ? "" : " (not configured)"}`).join(", ")}`);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Unknown provider "${name}"`);
+    return provider;
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  describe() {
+    return Array.from(this.providers.values()).map(provider => provider.describe());
+  }
+
+  // Circuit breaker state of every provider, from calls already made
+  health() {
+    return Object.fromEntries(this.names().map(name => [name, this.get(name).health()]));
+  }
+
+  async healthCheck(names = this.names()) {
+    const results = await Promise.all(names.map(async name => [name, await this.get(name).healthCheck()]));
+    return Object.fromEntries(results);
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+export { ProviderRegistry, providerRegistry, validateProviderConfig, PROVIDER_TYPES };
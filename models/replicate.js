@@ -2,36 +2,66 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import Replicate from "replicate";
+import { ChatProvider } from "./provider.js";
+import { renderPrompt } from "./messages.js";
 
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_KEY,
-});
-
-export async function replicateChat(message, model = "meta/meta-llama-3-8b-instruct") {
-  try {
-    const output = await replicate.run(model, {
-      input: {
-        prompt: message,
-        max_new_tokens: 500,
-        temperature: 0.7,
-      }
+// Prompt template per model family, matched against the model name
+const TEMPLATES = [
+  [/llama-3/i, "llama3"],
+  [/mistral|mixtral/i, "mistral"]
+];
+
+// Replicate runs a model by name on a raw prompt, so the conversation is
+// rendered with the model's chat template here (and Replicate's own template
+// is switched off). Token counts are not reported, so usage is estimated.
+class ReplicateProvider extends ChatProvider {
+  constructor({ name = "replicate", apiKey = process.env.REPLICATE_API_KEY, defaultModel = "meta/meta-llama-3-8b-instruct", ...rest } = {}) {
+    super({
+      name,
+      type: "replicate",
+      label: "Replicate",
+      apiKey,
+      keyEnv: "REPLICATE_API_KEY",
+      defaultModel,
+      capabilities: { contextWindow: 8192 },
+      modelCapabilities: {
+        "mistralai/mistral-7b-instruct-v0.2": { contextWindow: 32768 }
+      },
+      ...rest
     });
+    this.replicate = new Replicate({ auth: apiKey });
+  }
+
+  input(messages, { model, temperature, maxTokens }) {
+    const template = TEMPLATES.find(([pattern]) => pattern.test(model))?.[1];
+    return {
+      prompt: renderPrompt(messages, template),
+      ...(template && { prompt_template: "{prompt}" }),
+      max_new_tokens: maxTokens,
+      temperature
+    };
+  }
 
-    // Output is an async iterator
+  async complete(messages, options) {
+    const output = await this.replicate.run(options.model, { input: this.input(messages, options) });
+
+    // Output is an async iterator (or a list) of text chunks
     let fullText = "";
     for await (const chunk of output) {
       fullText += chunk;
     }
+    return { content: fullText.trim() };
+  }
 
-    return fullText.trim();
+  async *streamCompletion(messages, options) {
+    for await (const event of this.replicate.stream(options.model, { input: this.input(messages, options) })) {
+      if (event.event === "output") yield event.data;
+    }
+  }
 
-  } catch (error) {
-    console.error("❌ Replicate error:", error.message);
-    return null;
+  async ping() {
+    await this.replicate.accounts.current();
   }
 }
 
-// Alternative: Use Mistral on Replicate (free tier friendly)
-export async function replicateMistral(message) {
-  return await replicateChat(message, "mistralai/mistral-7b-instruct-v0.2");
-}
\ No newline at end of file
+export { ReplicateProvider };
@@ -0,0 +1,187 @@
+const RETRIES = Number(process.env.PROVIDER_RETRIES ?? 2);
+const TIMEOUT_MS = Number(process.env.PROVIDER_TIMEOUT_MS) || 30000;
+const FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURE_THRESHOLD) || 5;
+const ERROR_RATE = Number(process.env.BREAKER_ERROR_RATE) || 0.5;
+const COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS) || 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rejects when `promise` has not settled within `ms`
+function withTimeout(promise, ms, label = "Request") {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.code = "timeout";
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Timeouts, rate limits, server errors and network failures are worth
+// another try; bad requests, auth errors and open circuits are not
+function isRetryable(error) {
+  if (error?.code === "circuit_open") return false;
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  if (typeof status === "number") return status === 408 || status === 429 || status >= 500;
+  return !/not configured|invalid|unauthori[sz]ed|forbidden|api key/i.test(error?.message || "");
+}
+
+// Exponential backoff with full jitter: attempt n waits a random time up to
+// baseDelayMs * 2^n, capped at maxDelayMs
+async function retry(fn, { retries = RETRIES, baseDelayMs = 250, maxDelayMs = 4000, shouldRetry = isRetryable, random = Math.random, onRetry = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      const delay = Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// Outcomes and latencies of the calls in the last `windowMs`
+class RollingStats {
+  constructor({ windowMs = 60000, maxSamples = 500, now = Date.now } = {}) {
+    this.windowMs = windowMs;
+    this.maxSamples = maxSamples;
+    this.now = now;
+    this.samples = [];
+  }
+
+  record(ok, latencyMs) {
+    this.samples.push({ at: this.now(), ok, latencyMs });
+    this.prune();
+  }
+
+  prune() {
+    const since = this.now() - this.windowMs;
+    while (this.samples.length > 0 && (this.samples[0].at < since || this.samples.length > this.maxSamples)) {
+      this.samples.shift();
+    }
+  }
+
+  summary() {
+    this.prune();
+    const latencies = this.samples.map(sample => sample.latencyMs).sort((a, b) => a - b);
+    const percentile = p => (latencies.length > 0 ? latencies[Math.min(latencies.length - 1, Math.floor(p * latencies.length))] : null);
+    const failures = this.samples.filter(sample => !sample.ok).length;
+    return {
+      requests: this.samples.length,
+      failures,
+      errorRate: this.samples.length > 0 ? Math.round((failures / this.samples.length) * 1000) / 1000 : 0,
+      latencyMs: { p50: percentile(0.5), p95: percentile(0.95) }
+    };
+  }
+}
+
+// closed    - calls go through; opens after `failureThreshold` failures in a
+//             row, or when at least `minimumRequests` calls in the window
+//             failed at `errorRateThreshold` or more
+// open      - calls are refused until `cooldownMs` has passed
+// half_open - one trial call goes through: success closes the breaker,
+//             failure opens it again
+class CircuitBreaker {
+  constructor({
+    name,
+    failureThreshold = FAILURE_THRESHOLD,
+    errorRateThreshold = ERROR_RATE,
+    minimumRequests = 10,
+    cooldownMs = COOLDOWN_MS,
+    windowMs = 60000,
+    now = Date.now
+  }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.errorRateThreshold = errorRateThreshold;
+    this.minimumRequests = minimumRequests;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.stats = new RollingStats({ windowMs, now });
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  // Whether a call would be let through, without taking the half-open trial
+  isAvailable() {
+    if (this.state === "closed") return true;
+    if (this.state === "half_open") return !this.trialInFlight;
+    return this.now() - this.openedAt >= this.cooldownMs;
+  }
+
+  // Asks to make a call; after the cooldown the first caller gets the trial
+  allow() {
+    if (this.state === "open" && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half_open";
+      this.trialInFlight = false;
+    }
+    if (this.state === "closed") return true;
+    if (this.state === "half_open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // Hands back a half-open trial that ended without a call
+  release() {
+    this.trialInFlight = false;
+  }
+
+  success(latencyMs) {
+    this.stats.record(true, latencyMs);
+    this.consecutiveFailures = 0;
+    if (this.state !== "closed") {
+      console.log(`✅ Circuit closed: ${this.name}`);
+      this.state = "closed";
+      this.openedAt = null;
+      this.trialInFlight = false;
+    }
+  }
+
+  failure(latencyMs, error) {
+    this.stats.record(false, latencyMs);
+    this.consecutiveFailures++;
+    this.lastError = { message: error?.message || String(error), at: this.now() };
+
+    const { requests, errorRate } = this.stats.summary();
+    if (this.state === "half_open"
+      || this.consecutiveFailures >= this.failureThreshold
+      || (requests >= this.minimumRequests && errorRate >= this.errorRateThreshold)) {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.state !== "open") {
+      console.log(`🚫 Circuit open: ${this.name} (${this.consecutiveFailures} failures in a row, retry in ${Math.round(this.cooldownMs / 1000)}s)`);
+    }
+    this.state = "open";
+    this.openedAt = this.now();
+    this.trialInFlight = false;
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      ...(this.openedAt && { openedAt: this.openedAt, retryAt: this.openedAt + this.cooldownMs }),
+      ...this.stats.summary(),
+      ...(this.lastError && { lastError: this.lastError })
+    };
+  }
+}
+
+function circuitOpenError(name) {
+  const error = new Error(`Circuit open for ${name}`);
+  error.code = "circuit_open";
+  return error;
+}
+
+export { CircuitBreaker, RollingStats, retry, withTimeout, isRetryable, circuitOpenError, RETRIES, TIMEOUT_MS };
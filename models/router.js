@@ -1,21 +1,22 @@
-import { togetherChat } from "./together.js";
-import { hfChat } from "./huggingface.js";
-import { askTogether } from "./together.js";
+import { providerRegistry } from "./registry.js";
 
+// Tried in order; the DeepSeek step only runs when `deepseek_r1` is in lite_config.yaml
+const CHAIN = [
+  ["together", "Together AI"],
+  ["huggingface", "HuggingFace"],
+  ["deepseek_r1", "DeepSeek"]
+];
 
 export async function getBestResponse(message) {
-
-  // 1. Try Together
-  const together = await togetherChat(message);
-  if (together) return { reply: together, model: "Together AI" };
-
-  // 2. Try HuggingFace
-  const hf = await hfChat(message);
-  if (hf) return { reply: hf, model: "HuggingFace" };
-
-  // 3. Fallback to DeepSeek
-  const deepseek = await askDeepSeek(message);
-  if (deepseek) return { reply: deepseek, model: "DeepSeek" };
+  for (const [name, model] of CHAIN) {
+    if (!providerRegistry.has(name)) continue;
+    try {
+      const { content } = await providerRegistry.get(name).chat(message);
+      return { reply: content, model };
+    } catch (error) {
+      console.log(`⚠️ ${model} failed: ${error.message}`);
+    }
+  }
 
   return { reply: "All models failed", model: "None" };
 }
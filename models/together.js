@@ -0,0 +1,33 @@
+import Together from "together-ai";
+import { OpenAIProvider } from "./openai.js";
+
+// Together's chat completions API has the OpenAI shape, so only the client differs
+class TogetherProvider extends OpenAIProvider {
+  constructor({
+    name = "together",
+    apiKey = process.env.TOGETHER_API_KEY,
+    defaultModel = "meta-llama/Llama-3.3-70B-Instruct-Turbo",
+    ...rest
+  } = {}) {
+    super({
+      name,
+      type: "together",
+      label: "Together AI",
+      apiKey,
+      keyEnv: "TOGETHER_API_KEY",
+      defaultModel,
+      capabilities: { contextWindow: 131072, tools: true },
+      modelCapabilities: {},
+      ...rest
+    });
+  }
+
+  client() {
+    if (!this.sdk) {
+      this.sdk = new Together({ apiKey: this.apiKey, maxRetries: 0 });
+    }
+    return this.sdk;
+  }
+}
+
+export { TogetherProvider };
@@ -1,30 +1,22 @@
-import { model } from "../gemini_memory_system.js";
+import { memoryOrch } from "../memory_orchestrator.js";
 
+// Deprecated: the engine now rolls older turns into segment and session
+// summaries itself (memory/summary_tree.js, see memoryOrch.rollUp), so this
+// plugin no longer calls the model or appends summaries to saved turns. It
+// is kept so existing registrations keep working, and reads the summary tree.
 export const autoSummarizerPlugin = {
   name: "Auto Summarizer",
-  messageCount: 0,
-  summaryInterval: 20,
+  deprecated: true,
+  warned: false,
 
-  onMemorySave: async (conversation) => {
-    autoSummarizerPlugin.messageCount++;
-
-    if (autoSummarizerPlugin.messageCount >= autoSummarizerPlugin.summaryInterval) {
-      console.log("\n📝 Auto-summarizing last 20 messages...");
-      
-      try {
-        const summary = await model.invoke(
-          `Create a concise summary preserving key facts, relationships, and events:\n\n${conversation}`
-        );
-
-        autoSummarizerPlugin.messageCount = 0;
-
-        console.log("✅ Summary created");
-        return conversation + `\n\n[SUMMARY: ${summary.content}]`;
-      } catch (error) {
-        console.log("⚠️ Summarization failed:", error.message);
-      }
+  onMemorySave: async (memory) => {
+    if (!autoSummarizerPlugin.warned) {
+      autoSummarizerPlugin.warned = true;
+      console.log("⚠️ The auto-summarizer plugin is deprecated: sessions are summarized by the summary tree, so it can be unregistered");
     }
+    return memory;
+  },
 
-    return conversation;
-  }
-};
\ No newline at end of file
+  // Running summary of a session, or null before its first roll-up
+  getSummary: (sessionId) => memoryOrch.summaries.getSessionSummary(sessionId)?.text ?? null
+};
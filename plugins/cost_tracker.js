@@ -5,6 +5,8 @@ export const costTrackerPlugin = {
   afterQuery: async (result) => {
     costTrackerPlugin.costs.push({
       timestamp: Date.now(),
+      sessionId: result.metadata?.sessionId,
+      userId: result.metadata?.userId,
       model: result.model,
       tokens: result.metadata?.tokens || 0,
       cached: result.metadata?.cached || false
@@ -13,6 +15,19 @@ export const costTrackerPlugin = {
     return result;
   },
 
+  // Drops the cost records of forgotten sessions/users
+  onForget: async (request) => {
+    const before = costTrackerPlugin.costs.length;
+    costTrackerPlugin.costs = costTrackerPlugin.costs.filter(c =>
+      !request.sessionIds.includes(c.sessionId) && !(request.userId && c.userId === request.userId)
+    );
+
+    return {
+      ...request,
+      removed: { ...request.removed, costRecords: before - costTrackerPlugin.costs.length }
+    };
+  },
+
   getStats: () => {
     const total = costTrackerPlugin.costs.length;
     if (total === 0) {
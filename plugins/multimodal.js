@@ -1,13 +1,35 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import fs from "fs";
+import path from "path";
 import dotenv from "dotenv";
 dotenv.config();
 
 const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
 
+// Formats Gemini accepts inline, by file extension
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".heic": "image/heic",
+  ".heif": "image/heif",
+  ".mp3": "audio/mp3",
+  ".wav": "audio/wav",
+  ".aac": "audio/aac",
+  ".ogg": "audio/ogg",
+  ".flac": "audio/flac",
+  ".aiff": "audio/aiff"
+};
+
 export const multimodalPlugin = {
   name: "Multimodal",
 
+  // MIME type of a media file from its extension, `fallback` when unknown
+  mimeTypeOf(filePath, fallback) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || fallback;
+  },
+
   async processImage(imagePath, prompt) {
     const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash"});
     
@@ -17,7 +39,7 @@ export const multimodalPlugin = {
     const result = await model.generateContent([
       {
         inlineData: {
-          mimeType: "image/jpeg",
+          mimeType: multimodalPlugin.mimeTypeOf(imagePath, "image/jpeg"),
           data: base64Image
         }
       },
@@ -36,7 +58,7 @@ export const multimodalPlugin = {
     const result = await model.generateContent([
       {
         inlineData: {
-          mimeType: "audio/mp3",
+          mimeType: multimodalPlugin.mimeTypeOf(audioPath, "audio/mp3"),
           data: base64Audio
         }
       },
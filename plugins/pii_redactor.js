@@ -0,0 +1,94 @@
+import { DETECTORS, DEFAULT_POLICIES, redactText, summarizeRedactions } from "../memory/pii.js";
+import { PiiVault } from "../memory/pii_vault.js";
+import { AppendOnlyLog } from "../memory/append_only_log.js";
+import { DATA_DIR, piiConfig } from "../memory/config.js";
+
+const POLICIES = ["drop", "mask", "hash", "vault"];
+const config = piiConfig();
+
+function resolvePolicies(overrides) {
+  const policies = { ...DEFAULT_POLICIES, ...overrides };
+  for (const [type, policy] of Object.entries(policies)) {
+    if (!POLICIES.includes(policy)) {
+      console.log(`⚠️ Unknown PII policy "${policy}" for ${type}, using drop`);
+      policies[type] = "drop";
+    }
+  }
+  return policies;
+}
+
+// Redacts emails, phone numbers, card numbers, IBANs, SSNs and API keys from
+// a turn before it is written to any memory tier. Must be registered before
+// any other plugin with an onMemorySave hook, so those only see redacted text.
+export const piiRedactorPlugin = {
+  name: "PII Redactor",
+  enabled: config.enabled,
+  detectors: config.detectors
+    ? DETECTORS.filter(detector => config.detectors.includes(detector.type))
+    : [...DETECTORS],
+  policies: resolvePolicies(config.policies),
+  hashSecret: config.hashSecret,
+  vault: null,
+
+  usesVault: () => Object.values(piiRedactorPlugin.policies).includes("vault"),
+
+  getVault: () => {
+    if (!piiRedactorPlugin.vault) {
+      piiRedactorPlugin.vault = new PiiVault({ directory: DATA_DIR, key: config.vaultKey });
+      piiRedactorPlugin.vault.load();
+    }
+    return piiRedactorPlugin.vault;
+  },
+
+  // Custom detectors ({ type, pattern, validate?, group? }) run after the built-in ones
+  addDetector: (detector, policy = "drop") => {
+    piiRedactorPlugin.detectors.push(detector);
+    piiRedactorPlugin.policies = resolvePolicies({ ...piiRedactorPlugin.policies, [detector.type]: policy });
+  },
+
+  onMemorySave: async (memory) => {
+    if (!piiRedactorPlugin.enabled) return memory;
+
+    const usesVault = piiRedactorPlugin.usesVault();
+    const options = {
+      detectors: piiRedactorPlugin.detectors,
+      policies: piiRedactorPlugin.policies,
+      hashSecret: piiRedactorPlugin.hashSecret,
+      vault: usesVault ? piiRedactorPlugin.getVault() : null,
+      vaultContext: { sessionId: memory.sessionId, userId: memory.userId },
+      memo: new Map()
+    };
+
+    const input = redactText(memory.input, options);
+    const output = redactText(memory.output, options);
+    const text = redactText(memory.text, options);
+    const report = summarizeRedactions([
+      ...input.items.map(item => ({ ...item, field: "input" })),
+      ...output.items.map(item => ({ ...item, field: "output" }))
+    ]);
+
+    if (report.count > 0) {
+      const types = Object.entries(report.types).map(([type, count]) => `${type} ×${count}`).join(", ");
+      console.log(`🛡️ Redacted PII before saving: ${types}`);
+    }
+
+    return {
+      ...memory,
+      input: input.text,
+      output: output.text,
+      text: text.text,
+      metadata: { ...memory.metadata, redaction: report }
+    };
+  },
+
+  onForget: async (request) => {
+    // Without a vault policy there is nothing to forget, unless an earlier
+    // configuration left a vault on disk
+    if (!piiRedactorPlugin.usesVault() && !piiRedactorPlugin.vault
+      && !new AppendOnlyLog(DATA_DIR, "pii_vault").exists()) {
+      return request;
+    }
+    const removed = piiRedactorPlugin.getVault().forget(request);
+    return { ...request, removed: { ...request.removed, piiVault: removed } };
+  }
+};
@@ -1,3 +1,18 @@
+// onMemorySave hooks get the turn about to be stored as { sessionId, userId,
+// input, output, text, metadata } and return it, changed or not. Hooks
+// written when they got and returned the "User: ...\nAssistant: ..." text
+// may still return a string: it replaces `text`, and `input` and `output`
+// are taken from it.
+function memoryFromText(memory, text) {
+  const match = text.match(/^User: ([\s\S]*?)\nAssistant: ([\s\S]*)$/);
+  return {
+    ...memory,
+    input: match ? match[1] : text,
+    output: match ? match[2] : "",
+    text
+  };
+}
+
 class PluginSystem {
   constructor() {
     this.plugins = new Map();
@@ -5,7 +20,8 @@ class PluginSystem {
       beforeQuery: [],
       afterQuery: [],
       onMemorySave: [],
-      onModelRoute: []
+      onModelRoute: [],
+      onForget: []
     };
   }
 
@@ -16,6 +32,7 @@ class PluginSystem {
     if (plugin.afterQuery) this.hooks.afterQuery.push(plugin.afterQuery);
     if (plugin.onMemorySave) this.hooks.onMemorySave.push(plugin.onMemorySave);
     if (plugin.onModelRoute) this.hooks.onModelRoute.push(plugin.onModelRoute);
+    if (plugin.onForget) this.hooks.onForget.push(plugin.onForget);
     
     console.log(`🔌 Plugin registered: ${name}`);
   }
@@ -25,7 +42,10 @@ class PluginSystem {
     let result = data;
     
     for (const hook of hooks) {
-      result = await hook(result);
+      const returned = await hook(result);
+      result = hookName === "onMemorySave" && typeof returned === "string"
+        ? memoryFromText(result, returned)
+        : returned;
     }
     
     return result;
@@ -0,0 +1,199 @@
+const MIN_CONFIDENCE = Number(process.env.QUERY_CLASSIFIER_MIN_CONFIDENCE ?? 0.6);
+const CACHE_SIZE = Number(process.env.QUERY_CLASSIFIER_CACHE_SIZE) || 1000;
+
+const COMPLEXITIES = ["simple", "medium", "complex"];
+const TYPES = ["dialogue", "creative", "technical", "retrieval", "reasoning"];
+
+const CODE_BLOCK = /```/;
+const INLINE_CODE = /`[^`\n]+`/;
+const CODE_SYNTAX = /=>|\b\w+\([^)]*\)|[{};]\s*$|<\/?\w+>/m;
+const CODE_KEYWORDS = /\b(?:function|const|let|var|def|class|import|export|return|async|await|select|insert|npm|pip|git|null|undefined)\b/i;
+const TECH_TERMS = /\b(?:code|bug|error|exception|stack ?trace|compile|debug|regex|api|endpoint|database|sql|docker|server|deploy|script|library|framework|javascript|typescript|python|java|node|react|json|yaml|http)\b|\.(?:js|ts|py|java|go|rs|sql|json|ya?ml)\b/i;
+const MATH_EXPRESSION = /\d+\s*[-+*/^=×÷]\s*\d+|[∑∫√π]/;
+const MATH_WORDS = /\b(?:solve|calculate|compute|equation|integral|derivative|prove|probability|percent(?:age)?|average)\b/i;
+const REASONING = /\b(?:why|explain|compare|analy[sz]e|evaluate|trade-?offs?|pros and cons|step by step|reason(?:ing)?|implications?|should i|which is better|difference between|what if|strategy|plan)\b/i;
+const DEPTH = /\b(?:in detail|detailed|comprehensive|thorough|step by step|design|architecture|in depth|end to end)\b/i;
+const CREATIVE = /\b(?:write|compose|draft|make up)\b.*\b(?:poem|story|song|lyrics|haiku|essay|script|joke|tweet|post|email|letter|slogan)s?\b|\b(?:imagine|creative|brainstorm|invent|fiction|rhyme)\b/i;
+const RETRIEVAL = /^(?:what|who|when|where|which)\b|\b(?:define|definition of|look up|tell me about|list (?:the|all)|what is|who is)\b/i;
+const STATEMENT = /^(?:i|i'm|i am|i've|my|we|we're)\b/i;
+const GREETING = /^(?:hi|hello|hey|yo|thanks|thank you|good (?:morning|afternoon|evening|night)|how are you|ok(?:ay)?|cool|nice|great|bye|goodbye|lol|yes|no|sure)\b/i;
+const MEMORY = /\b(?:remember|recall|remind me|earlier|last time|previously|you said|told you|(?:did|have) i (?:tell|say|mention)|i (?:said|mentioned)|we (?:discussed|talked about)|again|about me|do you know (?:me|my))\b/i;
+// Things the user says about themselves ("I am 33 now", "I moved to Berlin")
+const SELF_STATEMENT = /^(?:(?:by the way|btw|also|actually|fyi),? )?i(?:'m| am|'ve| have| was| live| work| like| love| hate| prefer| moved| turned| got| just)\b/i;
+const PERSONAL = /\b(?:my|mine)\b/i;
+// Plainly worded requests and how-to questions
+const REQUEST = /^(?:please,? )?(?:how (?:do|does|did|can|could|should|would|is|are)\b|how to|(?:can|could|would|will) you|help me|summari[sz]e|translate|rewrite|rephrase|proofread)\b/i;
+
+// [pattern, weight] cues for each query type
+const TYPE_CUES = {
+  dialogue: [[GREETING, 3], [STATEMENT, 1.5]],
+  creative: [[CREATIVE, 3]],
+  technical: [[CODE_BLOCK, 3], [INLINE_CODE, 1.5], [CODE_SYNTAX, 1.5], [CODE_KEYWORDS, 1], [TECH_TERMS, 1.5]],
+  retrieval: [[RETRIEVAL, 2], [MEMORY, 2]],
+  reasoning: [[REASONING, 2], [MATH_EXPRESSION, 3], [MATH_WORDS, 2]]
+};
+// A query without cues leans towards conversation, but not confidently,
+// unless it is a plain request ("How do I cook rice?", "Can you help me?")
+const TYPE_PRIOR = { dialogue: 0.5 };
+const REQUEST_PRIOR = { dialogue: 1.5 };
+// Expected answer length per type, scaled by complexity
+const ANSWER_TOKENS = { dialogue: 100, retrieval: 250, creative: 600, technical: 700, reasoning: 800 };
+const LENGTH_SCALE = { simple: 0.6, medium: 1, complex: 1.6 };
+
+// Confidence from how far a score clears the runner-up or a threshold
+const confidenceFrom = margin => Math.round((1 - Math.exp(-Math.max(0, margin))) * 100) / 100;
+
+function normalizeQuery(query) {
+  return String(query).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function extractFeatures(query) {
+  const text = String(query).trim();
+  const words = text.match(/[\p{L}\p{N}']+/gu) || [];
+  return {
+    text,
+    words: words.length,
+    questions: (text.match(/\?/g) || []).length,
+    sentences: text.split(/[.!?]+(?:\s|$)/).filter(part => part.trim()).length,
+    codeBlock: CODE_BLOCK.test(text),
+    math: MATH_EXPRESSION.test(text) || MATH_WORDS.test(text),
+    mathWords: MATH_WORDS.test(text),
+    reasoning: REASONING.test(text),
+    depth: DEPTH.test(text),
+    memory: MEMORY.test(text),
+    selfStatement: SELF_STATEMENT.test(text) && !text.endsWith("?"),
+    personal: PERSONAL.test(text)
+  };
+}
+
+function classifyType(features) {
+  const cues = TYPES.map(type => [
+    type,
+    TYPE_CUES[type].reduce((sum, [pattern, weight]) => sum + (pattern.test(features.text) ? weight : 0), 0)
+  ]);
+  const prior = cues.every(([, score]) => score === 0) && REQUEST.test(features.text) ? REQUEST_PRIOR : TYPE_PRIOR;
+  const scores = Object.fromEntries(cues.map(([type, score]) => [type, (prior[type] || 0) + score]));
+  const [[type, top], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return { type, confidence: confidenceFrom(top - second), scores };
+}
+
+// Points for length, reasoning and depth cues; under 1 is simple, 3 and up
+// complex. Confidence grows with the distance to the nearest boundary. Bare
+// arithmetic ("What is 2+2?") adds nothing; worded math problems do.
+function classifyComplexity(features) {
+  const score = (features.words > 40 ? 2 : features.words > 15 ? 1 : 0)
+    + (features.reasoning ? 1.5 : 0)
+    + (features.mathWords ? 1 : 0)
+    + (features.codeBlock ? 1.5 : 0)
+    + (features.depth ? 1.5 : 0)
+    + (features.sentences > 2 || features.questions > 1 ? 1 : 0);
+
+  const complexity = score < 1 ? "simple" : score < 3 ? "medium" : "complex";
+  const distance = complexity === "simple" ? 1 - score
+    : complexity === "medium" ? Math.min(score - 1, 3 - score)
+    : score - 3;
+  return { complexity, confidence: confidenceFrom(distance + 0.5), score };
+}
+
+// Heuristic analysis of a query in the schema the router matches on, with a
+// confidence in [0, 1] per field; `overall` is the lowest of them.
+function classifyQuery(query) {
+  const features = extractFeatures(query);
+  const { type, confidence: typeConfidence } = classifyType(features);
+  const { complexity, confidence: complexityConfidence } = classifyComplexity(features);
+
+  const requiresReasoning = features.reasoning || features.mathWords || complexity === "complex";
+  const requiresMemory = features.memory || features.selfStatement || features.personal;
+  const confidence = {
+    complexity: complexityConfidence,
+    type: typeConfidence,
+    requiresMemory: features.memory ? 0.9 : features.selfStatement ? 0.8 : features.personal ? 0.7 : 0.8,
+    requiresReasoning: features.reasoning || features.mathWords ? 0.9 : 0.8
+  };
+  confidence.overall = Math.min(...Object.values(confidence));
+
+  return {
+    complexity,
+    type,
+    requiresMemory,
+    estimatedTokens: Math.round(ANSWER_TOKENS[type] * LENGTH_SCALE[complexity]),
+    requiresReasoning,
+    confidence
+  };
+}
+
+// The fields of an LLM analysis that fit the schema
+function validFields(analysis) {
+  return {
+    ...(COMPLEXITIES.includes(analysis?.complexity) && { complexity: analysis.complexity }),
+    ...(TYPES.includes(analysis?.type) && { type: analysis.type }),
+    ...(typeof analysis?.requiresMemory === "boolean" && { requiresMemory: analysis.requiresMemory }),
+    ...(Number.isFinite(analysis?.estimatedTokens) && analysis.estimatedTokens > 0 && { estimatedTokens: Math.round(analysis.estimatedTokens) }),
+    ...(typeof analysis?.requiresReasoning === "boolean" && { requiresReasoning: analysis.requiresReasoning })
+  };
+}
+
+// Classifies queries locally and only asks the LLM (`escalate`) when the
+// local result is less confident than `minConfidence`. The LLM's fields
+// replace the local ones they cover; when it fails, the local result
+// stands. Results are kept in an LRU keyed by the normalized query.
+class QueryClassifier {
+  constructor({ escalate = null, minConfidence = MIN_CONFIDENCE, maxEntries = CACHE_SIZE } = {}) {
+    this.escalate = escalate;
+    this.minConfidence = minConfidence;
+    this.maxEntries = maxEntries;
+    this.cache = new Map();
+    this.stats = { hits: 0, misses: 0, local: 0, escalated: 0, escalationFailures: 0 };
+  }
+
+  async classify(query) {
+    const key = normalizeQuery(query);
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.stats.hits++;
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return { ...cached, cached: true };
+    }
+    this.stats.misses++;
+
+    const local = classifyQuery(query);
+    if (!this.escalate || local.confidence.overall >= this.minConfidence) {
+      this.stats.local++;
+      return this.remember(key, { ...local, source: "local" });
+    }
+
+    try {
+      const fields = validFields(await this.escalate(query));
+      if (Object.keys(fields).length === 0) throw new Error("no usable fields in the analysis");
+      this.stats.escalated++;
+      return this.remember(key, { ...local, ...fields, source: "llm" });
+    } catch (error) {
+      // Not cached, so the next identical query tries the LLM again
+      this.stats.escalationFailures++;
+      console.log(`⚠️ Query analysis escalation failed, using local classification: ${error.message}`);
+      return { ...local, source: "local", cached: false };
+    }
+  }
+
+  remember(key, analysis) {
+    this.cache.set(key, analysis);
+    while (this.cache.size > this.maxEntries) {
+      const [oldest] = this.cache.keys();
+      this.cache.delete(oldest);
+    }
+    return { ...analysis, cached: false };
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.cache.size,
+      minConfidence: this.minConfidence,
+      hitRate: lookups === 0 ? "0%" : `${((this.stats.hits / lookups) * 100).toFixed(1)}%`
+    };
+  }
+}
+
+export { QueryClassifier, classifyQuery, normalizeQuery };
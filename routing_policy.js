@@ -0,0 +1,247 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CONFIG_PATH = process.env.ROUTING_CONFIG || path.join(__dirname, "lite_config.yaml");
+
+// Query analysis fields a rule can match on, and the values they take
+const FIELDS = {
+  complexity: ["simple", "medium", "complex"],
+  type: ["dialogue", "creative", "technical", "retrieval", "reasoning"],
+  requiresReasoning: "boolean",
+  requiresMemory: "boolean",
+  estimatedTokens: "number"
+};
+const RANGE_KEYS = ["gt", "gte", "lt", "lte"];
+const PARAMS = { temperature: [0, 2], maxTokens: [1, 200000] };
+
+// `when` is a map of field conditions that must all hold. A condition is a
+// value, a list of allowed values, or a range ({ gte: 2000 }) for numbers.
+// `any` / `all` take lists of such maps. A rule without `when` matches
+// every query.
+function matchesCondition(condition, analysis) {
+  if (!condition) return true;
+
+  return Object.entries(condition).every(([key, expected]) => {
+    if (key === "any") return expected.some(inner => matchesCondition(inner, analysis));
+    if (key === "all") return expected.every(inner => matchesCondition(inner, analysis));
+
+    const actual = analysis[key];
+    if (Array.isArray(expected)) return expected.includes(actual);
+    if (expected !== null && typeof expected === "object") {
+      return typeof actual === "number"
+        && (expected.gt === undefined || actual > expected.gt)
+        && (expected.gte === undefined || actual >= expected.gte)
+        && (expected.lt === undefined || actual < expected.lt)
+        && (expected.lte === undefined || actual <= expected.lte);
+    }
+    return actual === expected;
+  });
+}
+
+function validateCondition(condition, where, problems) {
+  if (condition === null || typeof condition !== "object" || Array.isArray(condition)) {
+    problems.push(`${where}: must be a map of conditions`);
+    return;
+  }
+
+  for (const [key, expected] of Object.entries(condition)) {
+    if (key === "any" || key === "all") {
+      if (!Array.isArray(expected) || expected.length === 0) {
+        problems.push(`${where}.${key}: must be a non-empty list`);
+      } else {
+        expected.forEach((inner, idx) => validateCondition(inner, `${where}.${key}[${idx}]`, problems));
+      }
+      continue;
+    }
+
+    const allowed = FIELDS[key];
+    if (!allowed) {
+      problems.push(`${where}.${key}: unknown field, expected one of: ${Object.keys(FIELDS).join(", ")}, any, all`);
+      continue;
+    }
+
+    const values = Array.isArray(expected) ? expected : [expected];
+    for (const value of values) {
+      if (allowed === "number" && value !== null && typeof value === "object" && !Array.isArray(expected)) {
+        const keys = Object.keys(value);
+        if (keys.length === 0 || keys.some(k => !RANGE_KEYS.includes(k) || typeof value[k] !== "number")) {
+          problems.push(`${where}.${key}: a range takes numeric ${RANGE_KEYS.join("/")}`);
+        }
+      } else if (Array.isArray(allowed) ? !allowed.includes(value) : typeof value !== allowed) {
+        problems.push(`${where}.${key}: ${JSON.stringify(value)} is not ${Array.isArray(allowed) ? `one of ${allowed.join(", ")}` : `a ${allowed}`}`);
+      }
+    }
+  }
+}
+
+function validateParams(params, where, problems) {
+  if (params === undefined) return;
+  if (params === null || typeof params !== "object" || Array.isArray(params)) {
+    problems.push(`${where}: must be a map`);
+    return;
+  }
+  for (const [key, value] of Object.entries(params)) {
+    const range = PARAMS[key];
+    if (!range) {
+      problems.push(`${where}.${key}: unknown parameter, expected one of: ${Object.keys(PARAMS).join(", ")}`);
+    } else if (typeof value !== "number" || value < range[0] || value > range[1]) {
+      problems.push(`${where}.${key}: must be a number from ${range[0]} to ${range[1]}`);
+    }
+  }
+}
+
+// Checks the `routing` section of the config and returns it normalized:
+//   { models, rules: [{ name, when, chain: [{ model, weight, params }], params }], fallback }
+// Every problem found is listed in the error thrown.
+function validateRoutingPolicy(routing, { providers }) {
+  const problems = [];
+  if (!routing || typeof routing !== "object") {
+    throw new Error("Invalid routing policy: missing `routing` section");
+  }
+
+  const models = routing.models || {};
+  for (const [name, model] of Object.entries(models)) {
+    if (!model || !providers.includes(model.provider)) {
+      problems.push(`routing.models.${name}.provider: expected one of: ${providers.join(", ")}`);
+    }
+    validateParams(model?.params, `routing.models.${name}.params`, problems);
+  }
+  const knownModel = (name, where) => {
+    if (!models[name]) problems.push(`${where}: unknown model "${name}"`);
+  };
+
+  const rules = Array.isArray(routing.rules) ? routing.rules : [];
+  if (rules.length === 0) problems.push("routing.rules: must be a non-empty list");
+
+  const names = new Set();
+  const normalized = rules.map((rule, idx) => {
+    const where = `routing.rules[${idx}]`;
+    if (!rule?.name) problems.push(`${where}.name: required`);
+    if (names.has(rule?.name)) problems.push(`${where}.name: duplicate rule "${rule.name}"`);
+    names.add(rule?.name);
+    if (rule?.when !== undefined) validateCondition(rule.when, `${where}.when`, problems);
+    validateParams(rule?.params, `${where}.params`, problems);
+
+    const chain = (Array.isArray(rule?.chain) ? rule.chain : []).map((entry, step) => {
+      const target = typeof entry === "string" ? { model: entry } : entry || {};
+      knownModel(target.model, `${where}.chain[${step}]`);
+      if (target.weight !== undefined && !(typeof target.weight === "number" && target.weight > 0)) {
+        problems.push(`${where}.chain[${step}].weight: must be a positive number`);
+      }
+      validateParams(target.params, `${where}.chain[${step}].params`, problems);
+      return { model: target.model, weight: target.weight ?? null, params: target.params || {} };
+    });
+    if (chain.length === 0) problems.push(`${where}.chain: must list at least one model`);
+
+    return { name: rule?.name, when: rule?.when ?? null, chain, params: rule?.params || {} };
+  });
+
+  if (routing.fallback !== undefined) knownModel(routing.fallback, "routing.fallback");
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid routing policy:\n  - ${problems.join("\n  - ")}`);
+  }
+  return { models, rules: normalized, fallback: routing.fallback ?? null };
+}
+
+function readConfig(configPath = CONFIG_PATH) {
+  return YAML.parse(fs.readFileSync(configPath, "utf-8")) || {};
+}
+
+// Routing rules from the `routing` section of lite_config.yaml. The first
+// rule whose `when` matches the query analysis picks the chain of models to
+// try in order; `fallback` is tried when the whole chain fails. Weights split
+// traffic for the first attempt: one model is drawn by weight and the others
+// follow in listed order. Model `params` are overridden by rule `params`,
+// which are overridden by chain entry `params`.
+//
+// The file is validated when loaded and watched afterwards. An edit that
+// does not validate is logged and ignored, so the last good policy stays
+// in effect.
+class RoutingPolicy {
+  constructor({ configPath = CONFIG_PATH, providers, watchIntervalMs = 2000, random = Math.random } = {}) {
+    this.configPath = configPath;
+    this.providers = providers;
+    this.watchIntervalMs = watchIntervalMs;
+    this.random = random;
+    this.policy = null;
+    this.loadedAt = null;
+    this.watching = false;
+  }
+
+  // Throws when the file is missing or invalid
+  load() {
+    const config = readConfig(this.configPath);
+    this.policy = validateRoutingPolicy(config.routing, { providers: this.providers });
+    this.loadedAt = Date.now();
+    console.log(`✅ Routing policy loaded (${this.policy.rules.length} rules from ${path.basename(this.configPath)})`);
+    return this.policy;
+  }
+
+  reload() {
+    try {
+      this.load();
+      return true;
+    } catch (error) {
+      console.log(`⚠️ Routing policy not reloaded, keeping the previous one: ${error.message}`);
+      return false;
+    }
+  }
+
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.configPath, { interval: this.watchIntervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.reload();
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.configPath);
+    this.watching = false;
+  }
+
+  // The rule for a query analysis and the models to try, in order, each
+  // with its merged parameters
+  plan(analysis) {
+    if (!this.policy) this.load();
+    const { models, rules, fallback } = this.policy;
+
+    const rule = rules.find(candidate => matchesCondition(candidate.when, analysis)) || null;
+    const chain = rule ? this.order(rule.chain) : [];
+    const attempts = chain.map(entry => ({
+      name: entry.model,
+      ...models[entry.model],
+      params: { ...models[entry.model].params, ...rule.params, ...entry.params }
+    }));
+    if (fallback && !attempts.some(attempt => attempt.name === fallback)) {
+      attempts.push({ name: fallback, ...models[fallback], params: { ...models[fallback].params }, fallback: true });
+    }
+    return { rule: rule?.name ?? null, attempts };
+  }
+
+  order(chain) {
+    const weighted = chain.filter(entry => entry.weight !== null);
+    if (weighted.length === 0) return chain;
+
+    const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+    let draw = this.random() * total;
+    const first = weighted.find(entry => (draw -= entry.weight) < 0) || weighted[weighted.length - 1];
+    return [first, ...chain.filter(entry => entry !== first)];
+  }
+
+  describe() {
+    return {
+      configPath: this.configPath,
+      loadedAt: this.loadedAt,
+      ...this.policy
+    };
+  }
+}
+
+export { RoutingPolicy, validateRoutingPolicy, matchesCondition, readConfig, CONFIG_PATH };
@@ -3,11 +3,15 @@ import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
 import { engine } from "./conversation_engine.js";
+import { router } from "./model_router.js";
+import { memoryOrch, MEMORY_TIERS } from "./memory_orchestrator.js";
+import { embeddingCache } from "./memory/embeddings.js";
+import { toTimestamp } from "./memory/temporal.js";
+import { memoryEncryption } from "./memory/encryption.js";
 import { plugins } from "./plugins/plugin_system.js";
 import { costTrackerPlugin } from "./plugins/cost_tracker.js";
+import { piiRedactorPlugin } from "./plugins/pii_redactor.js";
 import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
-import { hfChat } from "./models/huggingface.js";
-import { replicateChat, replicateMistral } from "./models/replicate.js";
 import fs from "fs";
 
 process.on('uncaughtException', (error) => {
@@ -28,8 +32,8 @@ const app = express();
 // CORS
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-session-id'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-session-id', 'x-user-id'],
   credentials: true
 }));
 
@@ -45,6 +49,7 @@ if (fs.existsSync("./game_world.json")) {
 }
 
 // Initialize
+plugins.registerPlugin("pii-redactor", piiRedactorPlugin);
 plugins.registerPlugin("cost-tracker", costTrackerPlugin);
 await engine.initialize(worldData);
 
@@ -53,40 +58,20 @@ app.post("/chat", async (req, res) => {
   const { message, model = "auto" } = req.body;
   if (!message) return res.status(400).json({ error: "Message missing" });
 
-  let reply = null;
-  let usedModel = "";
+  // model -> [provider, model, label]; any provider name also works
+  const choices = {
+    "huggingface": ["huggingface", undefined, "HuggingFace Llama-3.3-70B"],
+    "replicate": ["replicate", "meta/meta-llama-3-8b-instruct", "Replicate Llama-3-8B"],
+    "replicate-mistral": ["replicate", "mistralai/mistral-7b-instruct-v0.2", "Replicate Mistral-7B"],
+    // AUTO MODE: Use Gemini (fast & reliable)
+    "auto": ["gemini", "gemini-2.5-flash", "Gemini Flash"]
+  };
+  const [providerName, modelId, usedModel] = choices[model]
+    || (router.providers.has(model) ? [model, undefined, router.providers.get(model).label] : choices.auto);
 
   try {
-    if (model === "huggingface") {
-      console.log("🤗 Testing HuggingFace...");
-      reply = await hfChat(message);
-      usedModel = "HuggingFace Llama-3.3-70B";
-
-    } else if (model === "replicate") {
-      console.log("🔄 Testing Replicate Llama-3-8B...");
-      reply = await replicateChat(message);
-      usedModel = "Replicate Llama-3-8B";
-
-    } else if (model === "replicate-mistral") {
-      console.log("🔄 Testing Replicate Mistral-7B...");
-      reply = await replicateMistral(message);
-      usedModel = "Replicate Mistral-7B";
-
-    } else {
-      // AUTO MODE: Use Gemini (fast & reliable)
-      console.log("🤖 AUTO mode: Using Gemini Flash...");
-      const gemini = new ChatGoogleGenerativeAI({
-        model: "gemini-2.5-flash",
-        apiKey: process.env.GOOGLE_API_KEY
-      });
-      const result = await gemini.invoke(message);
-      reply = result.content;
-      usedModel = "Gemini Flash";
-    }
-
-    if (!reply) {
-      throw new Error("All models failed");
-    }
+    console.log(`🤖 Testing ${usedModel}...`);
+    const { content: reply } = await router.providers.get(providerName).chat(message, { model: modelId });
 
     console.log(`✅ Response from: ${usedModel}`);
 
@@ -107,10 +92,16 @@ app.post("/chat", async (req, res) => {
 });
 
 // Health check
+// "degraded" while any configured provider or model has a circuit that is
+// not closed
 app.get("/api/health", (req, res) => {
-  res.json({ 
-    status: "ok", 
-    timestamp: new Date().toISOString() 
+  const providers = router.providers.health();
+  const degraded = Object.values(providers).some(provider => provider.configured
+    && (provider.state !== "closed" || Object.values(provider.models).some(model => model.state !== "closed")));
+  res.json({
+    status: degraded ? "degraded" : "ok",
+    timestamp: new Date().toISOString(),
+    providers
   });
 });
 
@@ -127,7 +118,17 @@ app.get("/api/info", (req, res) => {
       apiChat: "/v1/chat/completions",
       compare: "/api/compare",
       benchmark: "/api/benchmark",
-      stats: "/api/stats"
+      stats: "/api/stats",
+      memories: "/api/memories",
+      forget: "/api/forget",
+      messages: "/api/sessions/:id/messages",
+      summaries: "/api/sessions/:id/summaries",
+      conflicts: "/api/conflicts",
+      graph: "/api/graph",
+      providers: "/api/providers",
+      routing: "/api/routing",
+      consolidation: "/api/consolidation",
+      encryption: "/api/encryption"
     }
   });
 });
@@ -150,7 +151,7 @@ app.get("/v1/models", (req, res) => {
 // OpenAI-compatible chat completions
 app.post("/v1/chat/completions", async (req, res) => {
   try {
-    const { messages, model } = req.body;
+    const { messages, model, user } = req.body;
     
     if (!messages || messages.length === 0) {
       return res.status(400).json({
@@ -164,10 +165,11 @@ app.post("/v1/chat/completions", async (req, res) => {
     
     const lastMessage = messages[messages.length - 1].content;
     const sessionId = req.headers['x-session-id'] || 'lobechat-' + Date.now();
+    const userId = req.headers['x-user-id'] || user;
     
     console.log("📨 LobeChat Request:", lastMessage);
     
-    const result = await engine.chat(lastMessage, sessionId);
+    const result = await engine.chat(lastMessage, sessionId, { userId });
     
     res.json({
       id: "chatcmpl-" + Date.now(),
@@ -186,7 +188,8 @@ app.post("/v1/chat/completions", async (req, res) => {
         prompt_tokens: result.metadata?.memoryTokens || 0,
         completion_tokens: result.metadata?.tokens || 0,
         total_tokens: (result.metadata?.memoryTokens || 0) + (result.metadata?.tokens || 0)
-      }
+      },
+      memories_used: result.memories_used || []
     });
     
   } catch (error) {
@@ -204,9 +207,22 @@ app.post("/v1/chat/completions", async (req, res) => {
 // Regular chat endpoint with memory
 app.post("/api/chat", async (req, res) => {
   try {
-    const { message, sessionId = "default" } = req.body;
+    const { message, sessionId = "default", userId, since, until, attachments = [] } = req.body;
     if (!message) return res.status(400).json({ error: "Message is required" });
-    const result = await engine.chat(message, sessionId);
+    // Recorded in the transcript by reference: { type, name?, mimeType?, size?, url? }
+    if (!Array.isArray(attachments) || attachments.some(attachment => typeof attachment?.type !== "string")) {
+      return res.status(400).json({ error: "attachments must be an array of objects with a type" });
+    }
+
+    // Optional retrieval window for warm/cold memory (ISO date or epoch ms)
+    let timeRange;
+    try {
+      timeRange = { since: toTimestamp(since), until: toTimestamp(until) };
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const result = await engine.chat(message, sessionId, { ...timeRange, userId, attachments });
     res.json(result);
   } catch (error) {
     console.error("Chat error:", error);
@@ -214,6 +230,357 @@ app.post("/api/chat", async (req, res) => {
   }
 });
 
+// Memory management: query/body options shared by the /api/memories routes.
+// Throws on invalid values so routes can answer 400.
+function parseMemoryOptions(source) {
+  const { tier, sessionId, type, since, until, pinned, limit, offset } = source;
+  if (tier !== undefined && !MEMORY_TIERS.includes(tier)) {
+    throw new Error(`Unknown tier "${tier}", expected one of: ${MEMORY_TIERS.join(", ")}`);
+  }
+
+  const options = {
+    tier,
+    sessionId,
+    type,
+    since: toTimestamp(since),
+    until: toTimestamp(until),
+    pinned: pinned === true || pinned === "true"
+  };
+  for (const [key, value] of Object.entries({ limit, offset })) {
+    if (value === undefined) continue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${key} must be a non-negative integer`);
+    }
+    options[key] = key === "limit" ? Math.min(number, 200) : number;
+  }
+  return options;
+}
+
+// List memories across tiers (paginated, filterable)
+app.get("/api/memories", async (req, res) => {
+  let options;
+  try {
+    options = parseMemoryOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await memoryOrch.listMemories(options));
+  } catch (error) {
+    console.error("Memory list error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Semantic search across tiers
+app.get("/api/memories/search", async (req, res) => {
+  const { q } = req.query;
+  if (!q) return res.status(400).json({ error: "Query parameter q is required" });
+
+  let options;
+  try {
+    options = parseMemoryOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { offset, ...searchOptions } = options;
+    res.json({ query: q, results: await memoryOrch.searchMemories(q, searchOptions) });
+  } catch (error) {
+    console.error("Memory search error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/memories/:id", async (req, res) => {
+  let options;
+  try {
+    options = parseMemoryOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const memory = await memoryOrch.getMemory(req.params.id, { tier: options.tier });
+    if (!memory) return res.status(404).json({ error: "Memory not found" });
+    res.json(memory);
+  } catch (error) {
+    console.error("Memory fetch error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit content (re-embedded) and/or the pinned flag
+app.patch("/api/memories/:id", async (req, res) => {
+  const { content, pinned } = req.body;
+  if (content !== undefined && (typeof content !== "string" || !content.trim())) {
+    return res.status(400).json({ error: "content must be a non-empty string" });
+  }
+  if (pinned !== undefined && typeof pinned !== "boolean") {
+    return res.status(400).json({ error: "pinned must be a boolean" });
+  }
+  if (content === undefined && pinned === undefined) {
+    return res.status(400).json({ error: "Nothing to update, expected content or pinned" });
+  }
+
+  let options;
+  try {
+    options = parseMemoryOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const memory = await memoryOrch.updateMemory(req.params.id, { content, pinned, tier: options.tier });
+    if (!memory) return res.status(404).json({ error: "Memory not found" });
+    res.json(memory);
+  } catch (error) {
+    console.error("Memory update error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/memories/:id/pin", (req, res) => setPinned(req, res, true));
+app.delete("/api/memories/:id/pin", (req, res) => setPinned(req, res, false));
+
+async function setPinned(req, res, pinned) {
+  let options;
+  try {
+    options = parseMemoryOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const memory = await memoryOrch.pinMemory(req.params.id, pinned, { tier: options.tier });
+    if (!memory) return res.status(404).json({ error: "Memory not found" });
+    res.json(memory);
+  } catch (error) {
+    console.error("Memory pin error:", error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.delete("/api/memories/:id", async (req, res) => {
+  let options;
+  try {
+    options = parseMemoryOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const tiers = await memoryOrch.deleteMemory(req.params.id, { tier: options.tier });
+    if (tiers.length === 0) return res.status(404).json({ error: "Memory not found" });
+    res.json({ deleted: true, id: req.params.id, tiers });
+  } catch (error) {
+    console.error("Memory delete error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Right to be forgotten: delete all data of a session or user
+app.post("/api/forget", async (req, res) => {
+  const { sessionId, userId } = req.body;
+  if (!sessionId && !userId) {
+    return res.status(400).json({ error: "sessionId or userId is required" });
+  }
+
+  try {
+    const receipt = await engine.forget({ sessionId, userId });
+    res.json({ receipt });
+  } catch (error) {
+    console.error("Forget error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/forget/receipts/:id", (req, res) => {
+  const receipt = memoryOrch.receipts.get(req.params.id);
+  if (!receipt) return res.status(404).json({ error: "Receipt not found" });
+  res.json({ receipt, verification: memoryOrch.receipts.verify(receipt) });
+});
+
+// Consolidation: policy and recent reports, and on-demand (or dry) runs
+app.get("/api/consolidation", (req, res) => {
+  res.json({
+    policy: memoryOrch.consolidation.policy(),
+    reports: memoryOrch.consolidation.getReports()
+  });
+});
+
+app.post("/api/consolidation/run", async (req, res) => {
+  const { dryRun = false } = req.body || {};
+  if (typeof dryRun !== "boolean") {
+    return res.status(400).json({ error: "dryRun must be a boolean" });
+  }
+
+  try {
+    res.json(await memoryOrch.consolidation.run({ dryRun }));
+  } catch (error) {
+    console.error("Consolidation error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The session transcript in order, a page at a time. Pass the returned
+// nextCursor back as ?cursor= for the next page.
+app.get("/api/sessions/:id/messages", (req, res) => {
+  const { cursor, order = "asc", limit = "50" } = req.query;
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+
+  try {
+    res.json(engine.getSessionHistory(req.params.id, { limit: Math.min(pageSize, 200), cursor, order }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Knowledge graph of a user (or of an anonymous session)
+app.get("/api/graph", (req, res) => {
+  const { sessionId, userId } = req.query;
+  if (!sessionId && !userId) {
+    return res.status(400).json({ error: "sessionId or userId is required" });
+  }
+  res.json(memoryOrch.graph.snapshot({ sessionId, userId }));
+});
+
+app.get("/api/graph/query", (req, res) => {
+  const { q, sessionId, userId, limit = "8" } = req.query;
+  if (!q || (!sessionId && !userId)) {
+    return res.status(400).json({ error: "q and a sessionId or userId are required" });
+  }
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+  res.json({ query: q, paths: memoryOrch.graph.query(q, { sessionId, userId }, { limit: Math.min(pageSize, 50) }) });
+});
+
+// Contradictions between what a user said and what memory already held.
+// Open conflicts are the ones the assistant should ask the user about.
+const CONFLICT_STATUSES = ["open", "resolved"];
+const CONFLICT_RESOLUTIONS = ["newer", "older", "both"];
+
+app.get("/api/conflicts", (req, res) => {
+  const { status = "open", sessionId, userId, limit = "50", offset = "0" } = req.query;
+  if (!CONFLICT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${CONFLICT_STATUSES.join(", ")}` });
+  }
+  const [pageSize, skip] = [Number(limit), Number(offset)];
+  if (!Number.isInteger(pageSize) || pageSize < 0 || !Number.isInteger(skip) || skip < 0) {
+    return res.status(400).json({ error: "limit and offset must be non-negative integers" });
+  }
+
+  res.json(memoryOrch.conflicts.list({ status, sessionId, userId, limit: Math.min(pageSize, 200), offset: skip }));
+});
+
+app.get("/api/conflicts/:id", (req, res) => {
+  const conflict = memoryOrch.conflicts.get(req.params.id);
+  if (!conflict) {
+    return res.status(404).json({ error: "Conflict not found" });
+  }
+  res.json(conflict);
+});
+
+app.post("/api/conflicts/:id/resolve", async (req, res) => {
+  const { keep } = req.body || {};
+  if (!CONFLICT_RESOLUTIONS.includes(keep)) {
+    return res.status(400).json({ error: `keep must be one of: ${CONFLICT_RESOLUTIONS.join(", ")}` });
+  }
+  const conflict = memoryOrch.conflicts.get(req.params.id);
+  if (!conflict) {
+    return res.status(404).json({ error: "Conflict not found" });
+  }
+  if (conflict.status !== "open") {
+    return res.status(409).json({ error: "Conflict is already resolved", conflict });
+  }
+
+  try {
+    res.json(await memoryOrch.resolveConflict(req.params.id, keep));
+  } catch (error) {
+    console.error("Conflict resolution error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rolled-up history of a session: its summary and the segments it is built from
+app.get("/api/sessions/:id/summaries", (req, res) => {
+  res.json({
+    summary: memoryOrch.summaries.getSessionSummary(req.params.id),
+    segments: memoryOrch.summaries.getSegments(req.params.id)
+  });
+});
+
+// Source turns of a summary, from the cold storage archive
+app.get("/api/summaries/:id/turns", async (req, res) => {
+  const summary = memoryOrch.summaries.get(req.params.id);
+  if (!summary) return res.status(404).json({ error: "Summary not found" });
+
+  try {
+    res.json({ summary, turns: await memoryOrch.expandSummary(summary.id) });
+  } catch (error) {
+    console.error("Summary expansion error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Chat providers: capabilities and usage since startup, and live health checks
+app.get("/api/providers", (req, res) => {
+  res.json({ providers: router.providers.describe() });
+});
+
+app.get("/api/providers/:name/health", async (req, res) => {
+  if (!router.providers.has(req.params.name)) {
+    return res.status(404).json({ error: "Provider not found" });
+  }
+  res.json(await router.providers.get(req.params.name).healthCheck());
+});
+
+// Model routing policy from lite_config.yaml. The file is reloaded on change;
+// a reload can also be forced, and an invalid file keeps the current policy.
+app.get("/api/routing", (req, res) => {
+  res.json(router.policy.describe());
+});
+
+app.post("/api/routing/reload", (req, res) => {
+  try {
+    router.policy.load();
+    res.json(router.policy.describe());
+  } catch (error) {
+    res.status(422).json({ error: error.message, policy: router.policy.describe() });
+  }
+});
+
+// Encryption at rest: key status and manual data key rotation
+app.get("/api/encryption", (req, res) => {
+  res.json(memoryEncryption.getStatus());
+});
+
+app.post("/api/encryption/rotate", (req, res) => {
+  const { tenants } = req.body || {};
+  if (tenants !== undefined && (!Array.isArray(tenants) || tenants.some(t => typeof t !== "string"))) {
+    return res.status(400).json({ error: "tenants must be an array of strings" });
+  }
+  if (!memoryEncryption.enabled) {
+    return res.status(409).json({ error: "Memory encryption is not enabled" });
+  }
+
+  try {
+    const rotated = memoryEncryption.rotate(tenants);
+    res.status(202).json({ rotated, status: memoryEncryption.getStatus() });
+  } catch (error) {
+    console.error("Key rotation error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Comparison endpoint
 app.post("/api/compare", async (req, res) => {
   try {
@@ -296,7 +663,15 @@ app.post("/api/benchmark", async (req, res) => {
 app.get("/api/stats", (req, res) => {
   try {
     const stats = costTrackerPlugin.getStats();
-    res.json(stats);
+    res.json({
+      ...stats,
+      embeddingCache: embeddingCache.getStats(),
+      queryClassifier: router.classifier.getStats(),
+      dedupe: {
+        warm: memoryOrch.vectorTier("warm").dedupeStats,
+        cold: memoryOrch.vectorTier("cold").dedupeStats
+      }
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -316,7 +691,15 @@ Endpoints:
   POST   /chat                - Simple chat (HF/Replicate)
   POST   /api/chat            - Chat with memory
   POST   /v1/chat/completions - OpenAI-compatible
-  GET    /api/health          - Health check
+  GET    /api/memories        - List memories (hot/warm/cold)
+  GET    /api/memories/search - Search memories
+  PATCH  /api/memories/:id    - Edit or pin a memory
+  DELETE /api/memories/:id    - Delete a memory
+  POST   /api/forget          - Forget a session or user
+  GET    /api/providers       - Chat providers and usage
+  GET    /api/routing         - Model routing policy
+  GET    /api/encryption      - Encryption key status
+  GET    /api/health          - Health and circuit breaker state
   GET    /api/info            - API info
 
 Models Available:
@@ -1,7 +1,6 @@
 import { engine } from "./conversation_engine.js";
 import { plugins } from "./plugins/plugin_system.js";
 import { costTrackerPlugin } from "./plugins/cost_tracker.js";
-import { autoSummarizerPlugin } from "./plugins/auto_summarizer.js";
 import { multimodalPlugin } from "./plugins/multimodal.js";
 import { toolsPlugin } from "./plugins/tools.js";
 
@@ -10,7 +9,6 @@ async function testSystem() {
 
   // Register all plugins
   plugins.registerPlugin("costTracker", costTrackerPlugin);
-  plugins.registerPlugin("autoSummarizer", autoSummarizerPlugin);
   plugins.registerPlugin("multimodal", multimodalPlugin);
   plugins.registerPlugin("tools", toolsPlugin);
 
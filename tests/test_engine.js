@@ -0,0 +1,100 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Offline tests for hot memory, the memory orchestrator and the conversation
+// engine. The environment is set before those modules load: a scratch data
+// directory, the local embedder, a placeholder Gemini key (no test sends a
+// request to Gemini) and a routing policy with a single local model.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "engine-test-"));
+process.env.MEMORY_DATA_DIR = tmpDir;
+process.env.EMBEDDING_PROVIDER = "local";
+process.env.DUPLICATE_SIMILARITY = "0.8";
+process.env.GOOGLE_API_KEY ||= "offline-test";
+// One rule that sends everything to a small-context model
+process.env.ROUTING_CONFIG = path.join(tmpDir, "routing.yaml");
+fs.writeFileSync(process.env.ROUTING_CONFIG, `
+routing:
+  models:
+    small: { provider: ollama, model: "phi-3-mini-4k", label: "Phi-3 Mini" }
+  rules:
+    - name: everything
+      chain: [small]
+`);
+
+const { SessionMemoryStore, sessionMemory, vectorStore } = await import("../gemini_memory_system.js");
+const { memoryOrch } = await import("../memory_orchestrator.js");
+const { engine } = await import("../conversation_engine.js");
+const { router } = await import("../model_router.js");
+const { MODEL_BUDGETS } = await import("../memory/context_packer.js");
+
+await vectorStore.initialize();
+await memoryOrch.initialize();
+
+console.log("🧪 Running engine tests...\n");
+
+// Test 1: A changed statement merged into its near-duplicate is still checked
+console.log("Test 1: Contradictions Through Merged Duplicates");
+const firstTurn = await sessionMemory.get("merge").saveContext({ input: "I love sushi" }, { response: "Noted." });
+const changedTurn = await sessionMemory.get("merge").saveContext({ input: "I hate sushi" }, { response: "Noted." });
+const merged = sessionMemory.get("merge").chatHistory.find(turn => turn.id === changedTurn);
+assert.strictEqual(merged.memoryId, firstTurn);
+const [opened] = await memoryOrch.detectContradictions("merge", changedTurn);
+assert.ok(opened, "the merged statement should be compared with the memory it merged into");
+assert.strictEqual(opened.newer.id, changedTurn);
+assert.strictEqual(opened.older.id, firstTurn);
+assert.deepStrictEqual((await vectorStore.get([firstTurn]))[0].metadata.contradictedBy, [changedTurn]);
+assert.deepStrictEqual(merged.metadata.contradicts, [firstTurn]);
+console.log("✅ PASSED\n");
+
+// Test 2: Hot memory is kept per session, with LRU and idle eviction
+console.log("Test 2: Per-Session Hot Memory");
+await sessionMemory.get("alice").saveContext({ input: "My name is Alice" }, { response: "Hi Alice" });
+await sessionMemory.get("bob").saveContext({ input: "My name is Bob" }, { response: "Hi Bob" });
+const bobView = await memoryOrch.processQuery("What is my name?", "bob", { separateHistory: true });
+assert.deepStrictEqual(bobView.history.map(turn => turn.input), ["My name is Bob"]);
+assert.strictEqual(sessionMemory.clear("bob"), true);
+assert.strictEqual(sessionMemory.has("bob"), false);
+assert.strictEqual(sessionMemory.get("alice").chatHistory.length, 1);
+// Read-only lookups do not create hot sessions
+await memoryOrch.processQuery("What is my name?", "nobody", { separateHistory: true });
+assert.strictEqual(sessionMemory.has("nobody"), false);
+
+const sessions = new SessionMemoryStore({ maxSessions: 2, idleTimeoutMs: 1000 });
+const first = sessions.get("s1");
+await first.saveContext({ input: "I live in Lisbon" }, { response: "Nice" });
+sessions.get("s2");
+sessions.get("s1");
+sessions.get("s3");
+// s2 was the least recently used
+assert.deepStrictEqual(Array.from(sessions.sessions.keys()), ["s1", "s3"]);
+sessions.evictIdle(first.lastAccessed + 500);
+assert.strictEqual(sessions.has("s1"), true);
+sessions.evictIdle(Date.now() + 5000);
+assert.strictEqual(sessions.sessions.size, 0);
+// Evicted hot turns are dropped, not archived: a returning session starts
+// empty, and the turn survives only in warm memory where saveContext put it
+assert.strictEqual(sessions.get("s1").chatHistory.length, 0);
+assert.strictEqual((await vectorStore.get([first.chatHistory[0].id])).length, 1);
+console.log("✅ PASSED\n");
+
+// Test 3: Chat packs memory to the budget of the model it is routed to
+console.log("Test 3: Context Budget Follows the Route");
+const ollama = router.providers.get("ollama");
+const prompts = [];
+ollama.complete = async messages => {
+  prompts.push(messages);
+  return { content: "Rinse it, then simmer it covered." };
+};
+await engine.initialize();
+const reply = await engine.chat("How do I cook rice?", "budget");
+assert.strictEqual(reply.rule, "everything");
+assert.strictEqual(reply.metadata.contextPacking.budget, MODEL_BUDGETS["phi-3-mini-4k"]);
+assert.strictEqual(prompts.length, 1);
+console.log("✅ PASSED\n");
+
+await memoryOrch.coldStore.flush();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log("🎉 All engine tests passed!");
@@ -0,0 +1,807 @@
+import { VectorTier } from "../memory/vector_tier.js";
+import { InProcessBackend, SqliteBackend } from "../memory/backends/index.js";
+import { FallbackEmbeddings, LocalHashEmbeddings } from "../memory/embeddings.js";
+import { EmbeddingCache } from "../memory/embedding_cache.js";
+import { FactStore, extractFacts } from "../memory/fact_store.js";
+import { ContextPacker } from "../memory/context_packer.js";
+import { parseTimeRange } from "../memory/temporal.js";
+import { DeletionReceiptStore } from "../memory/deletion_receipts.js";
+import { detectPii, redactText, luhnValid } from "../memory/pii.js";
+import { PiiVault } from "../memory/pii_vault.js";
+import { AppendOnlyLog } from "../memory/append_only_log.js";
+import { SummaryTree } from "../memory/summary_tree.js";
+import { AccessStats } from "../memory/access_stats.js";
+import { ConsolidationWorker, importanceOf } from "../memory/consolidation.js";
+import { ConflictStore, classifyStatements } from "../memory/contradictions.js";
+import { KnowledgeGraph } from "../memory/knowledge_graph.js";
+import { TranscriptStore } from "../memory/transcript_store.js";
+import { MemoryEncryption } from "../memory/encryption.js";
+import { RoutingPolicy, validateRoutingPolicy } from "../routing_policy.js";
+import { QueryClassifier, classifyQuery } from "../query_classifier.js";
+import { ChatProvider } from "../models/provider.js";
+import { ProviderRegistry } from "../models/registry.js";
+import { buildMessages, splitSystem, renderPrompt } from "../models/messages.js";
+import { CircuitBreaker, retry } from "../models/resilience.js";
+import { PluginSystem } from "../plugins/plugin_system.js";
+import assert from "assert";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Offline tests for the memory building blocks. Everything runs against the
+// in-process (or local SQLite) backend, so no API keys or servers are needed.
+
+const localEmbedder = new LocalHashEmbeddings({ dimension: 256 });
+const fakeEmbeddings = new FallbackEmbeddings([localEmbedder]);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "memory-test-"));
+
+console.log("🧪 Running memory tests...\n");
+
+// Test 1: In-process backend search and metadata filters
+console.log("Test 1: In-Process Backend");
+const warm = new VectorTier("Warm", new InProcessBackend(), fakeEmbeddings);
+await warm.initialize();
+await warm.addDocuments([
+  { pageContent: "My favorite color is blue", metadata: { sessionId: "a", timestamp: 1 } },
+  { pageContent: "DataFlow burn rate is up", metadata: { sessionId: "b", timestamp: 2 } }
+]);
+const [hit] = await warm.similaritySearch("favorite color blue", 1);
+assert.strictEqual(hit.pageContent, "My favorite color is blue");
+assert.strictEqual(await warm.count({ sessionId: "b" }), 1);
+assert.strictEqual((await warm.list({ timestamp: { gte: 2 } })).length, 1);
+console.log("✅ PASSED\n");
+
+// Test 2: Persistence survives a restart and a torn write
+console.log("Test 2: Warm Store Persistence");
+const persisted = new VectorTier("Warm", new InProcessBackend({ directory: tmpDir, name: "warm" }), fakeEmbeddings);
+await persisted.initialize();
+const [savedId] = await persisted.addDocuments([{ pageContent: "remember me", metadata: {} }]);
+fs.appendFileSync(path.join(tmpDir, "warm.log"), '{"op":"put","id":"torn"');
+const reloaded = new VectorTier("Warm", new InProcessBackend({ directory: tmpDir, name: "warm" }), fakeEmbeddings);
+assert.strictEqual(await reloaded.initialize(), 1);
+assert.strictEqual((await reloaded.list())[0].id, savedId);
+// The log is folded into the snapshot every `compactEvery` changes; deletes
+// and changes made after the snapshot are replayed over it on load
+const logDir = path.join(tmpDir, "log");
+const log = new AppendOnlyLog(logDir, "docs", { compactEvery: 3 });
+log.load();
+log.put("a", { text: "one" });
+log.put("b", { text: "two" });
+log.put("c", { text: "three" });
+assert.strictEqual(fs.readFileSync(path.join(logDir, "docs.log"), "utf-8"), "");
+log.delete("a");
+log.put("b", { text: "two, edited" });
+const replayed = new AppendOnlyLog(logDir, "docs", { compactEvery: 3 });
+assert.deepStrictEqual(Array.from(replayed.load()), [["b", { text: "two, edited" }], ["c", { text: "three" }]]);
+// A crash during compaction leaves a temp file that is never read
+fs.writeFileSync(path.join(logDir, "docs.snapshot.json.tmp"), "{\"records\": [[\"partial");
+assert.strictEqual(new AppendOnlyLog(logDir, "docs").load().size, 2);
+console.log("✅ PASSED\n");
+
+// Test 3: SQLite file backend
+console.log("Test 3: SQLite Backend");
+const cold = new VectorTier("Cold", new SqliteBackend({ file: path.join(tmpDir, "cold.sqlite") }), fakeEmbeddings);
+await cold.initialize();
+const ids = await cold.addDocuments([{ pageContent: "archived turn", metadata: { sessionId: "a" } }]);
+assert.strictEqual(await cold.count({ sessionId: "a" }), 1);
+assert.strictEqual(await cold.delete(ids), 1);
+assert.strictEqual(await cold.count(), 0);
+await cold.flush();
+// Writes are batched until flush(); filters on indexed keys run in SQL, the rest in JS
+const coldFile = path.join(tmpDir, "batched.sqlite");
+const batched = new SqliteBackend({ file: coldFile, flushDelayMs: 60000 });
+await batched.initialize();
+await batched.upsert([
+  { id: "m1", content: "one", embedding: [1, 0], metadata: { sessionId: "a", timestamp: 100, mood: "calm" } },
+  { id: "m2", content: "two", embedding: [0, 1], metadata: { sessionId: "b", timestamp: 200, pinned: true } },
+  { id: "m3", content: "three", embedding: [1, 1], metadata: { sessionId: "a", timestamp: 300, mood: "calm" } }
+]);
+await batched.delete(["m3"]);
+assert.strictEqual(fs.existsSync(coldFile), false);
+assert.deepStrictEqual(batched.where({ sessionId: ["a", "b"], timestamp: { gte: 150 }, mood: "calm" }).rest, { mood: "calm" });
+assert.strictEqual(await batched.count({ sessionId: ["a", "b"], timestamp: { gte: 150 } }), 1);
+assert.strictEqual(await batched.count({ sessionId: "a", mood: "calm" }), 1);
+assert.deepStrictEqual((await batched.filter({ pinned: true })).map(record => record.id), ["m2"]);
+assert.deepStrictEqual((await batched.filter(undefined, { limit: 1, offset: 1 })).map(record => record.id), ["m2"]);
+batched.flush();
+const reopenedCold = new SqliteBackend({ file: coldFile });
+await reopenedCold.initialize();
+assert.deepStrictEqual((await reopenedCold.search([1, 0], { filter: { sessionId: "a" } })).map(record => record.id), ["m1"]);
+// A process stopped by a signal right after a write still leaves the row on
+// disk: written at once by default, and by the SIGTERM handler when batched
+for (const flushDelayMs of [0, 60000]) {
+  const killedFile = path.join(tmpDir, `killed-${flushDelayMs}.sqlite`);
+  const child = spawnSync(process.execPath, ["--input-type=module", "-e", `
+    import { SqliteBackend } from ${JSON.stringify(new URL("../memory/backends/sqlite.js", import.meta.url).href)};
+    const backend = new SqliteBackend({ file: ${JSON.stringify(killedFile)}, flushDelayMs: ${flushDelayMs} });
+    await backend.initialize();
+    await backend.upsert([{ id: "kept", content: "archived turn", embedding: [1], metadata: {} }]);
+    process.kill(process.pid, "SIGTERM");
+    await new Promise(resolve => setTimeout(resolve, 10000));
+  `], { env: { ...process.env, MEMORY_DATA_DIR: tmpDir }, timeout: 30000 });
+  assert(child.signal === "SIGTERM" || child.status === 143, `child exited with ${child.status ?? child.signal}`);
+  const survivor = new SqliteBackend({ file: killedFile });
+  await survivor.initialize();
+  assert.deepStrictEqual((await survivor.get(["kept"])).map(record => record.content), ["archived turn"]);
+}
+console.log("✅ PASSED\n");
+
+// Test 4: Local embedder fallback and embedder tagging
+console.log("Test 4: Embedding Fallback");
+const failing = {
+  id: "remote:broken",
+  embedQuery: async () => { throw new Error("offline"); },
+  embedDocuments: async () => { throw new Error("offline"); }
+};
+const chain = new FallbackEmbeddings([failing, localEmbedder]);
+const first = await chain.embed("Sarah Chen pitched Series A");
+const second = await localEmbedder.embedQuery("Sarah Chen pitched Series A");
+assert.strictEqual(first.embedder, localEmbedder.id);
+assert.deepStrictEqual(first.vector, second);
+const tagged = new VectorTier("Warm", new InProcessBackend(), chain);
+await tagged.addDocuments([{ pageContent: "tagged memory", metadata: {} }]);
+assert.strictEqual((await tagged.list())[0].metadata.embedder, localEmbedder.id);
+assert.strictEqual((await tagged.similaritySearch("tagged memory", 1)).length, 1);
+console.log("✅ PASSED\n");
+
+// Test 5: Embedding cache reuses vectors across calls and restarts
+console.log("Test 5: Embedding Cache");
+let remoteCalls = 0;
+const counting = {
+  id: "remote:counting",
+  embedQuery: async (text) => { remoteCalls++; return localEmbedder.embedQuery(text); },
+  embedDocuments: async (texts) => { remoteCalls += texts.length; return localEmbedder.embedDocuments(texts); }
+};
+const cache = new EmbeddingCache({ maxEntries: 10, directory: tmpDir });
+const cached = new FallbackEmbeddings([counting], { cache });
+await cached.embedMany(["User: hi\nAssistant: hello", "second"]);
+await cached.embed("User: hi\nAssistant: hello");
+assert.strictEqual(remoteCalls, 2);
+assert.strictEqual(cache.getStats().hits, 1);
+const restored = new EmbeddingCache({ maxEntries: 10, directory: tmpDir });
+assert.strictEqual(restored.load(), 2);
+console.log("✅ PASSED\n");
+
+// Test 6: Fact extraction and superseding
+console.log("Test 6: User Facts");
+assert.deepStrictEqual(
+  extractFacts("My name is John and I am 32 years old.").map(f => [f.attribute, f.value]),
+  [["name", "John"], ["age", "32"]]
+);
+assert.deepStrictEqual(extractFacts("What is my favorite color?"), []);
+assert.deepStrictEqual(extractFacts("My question is whether I should refinance. My point is it depends."), []);
+assert.deepStrictEqual(extractFacts("My dog is Rex. My job is a long story about moving cities twice last year.").map(f => [f.attribute, f.value]), [["dog", "Rex"]]);
+// Casual phrases are not names, ages or employers
+for (const casual of ["call me later please", "I am 100% sure", "I am 5 minutes late", "I'm 2 steps ahead", "I work at night mostly"]) {
+  assert.deepStrictEqual(extractFacts(casual), [], casual);
+}
+assert.deepStrictEqual(extractFacts("Call me Alex please. I'm 29.").map(f => [f.attribute, f.value]), [["name", "Alex"], ["age", "29"]]);
+assert.deepStrictEqual(extractFacts("just call me alex").map(f => f.value), ["alex"]);
+const facts = new FactStore({ directory: tmpDir });
+facts.learn("test2", "My favorite color is blue. I'm 32");
+const [change] = facts.learn("test2", "I'm 33 now");
+assert.strictEqual(change.type, "superseded");
+const reloadedFacts = new FactStore({ directory: tmpDir });
+reloadedFacts.load();
+assert.match(reloadedFacts.formatProfile("test2"), /favorite color: blue/);
+assert.deepStrictEqual(reloadedFacts.getHistory("test2", "age").map(h => h.value), ["32", "33"]);
+// A known user's facts follow them into a new session
+const userFacts = new FactStore();
+userFacts.learn(userFacts.subjectOf({ sessionId: "lobechat-1", userId: "malik" }), "My name is Malik", { sessionId: "lobechat-1", userId: "malik" });
+userFacts.learn(userFacts.subjectOf({ sessionId: "lobechat-2", userId: "malik" }), "I'm 32", { sessionId: "lobechat-2", userId: "malik" });
+userFacts.learn(userFacts.subjectOf({ sessionId: "lobechat-3", userId: "malik" }), "I'm 33 now", { sessionId: "lobechat-3", userId: "malik" });
+assert.match(userFacts.formatProfile(userFacts.subjectOf({ sessionId: "lobechat-4", userId: "malik" })), /name: Malik/);
+assert.strictEqual(userFacts.getFacts(userFacts.subjectOf({ sessionId: "lobechat-4" })).length, 0);
+// Forgetting one session removes only what was said there
+assert.strictEqual(userFacts.forget({ sessionIds: ["lobechat-3"] }), 1);
+assert.deepStrictEqual(userFacts.getHistory("user:malik", "age").map(h => h.value), ["32"]);
+assert.strictEqual(userFacts.count({ sessionIds: ["lobechat-1"] }), 1);
+assert.strictEqual(userFacts.forget({ userId: "malik" }), 2);
+assert.strictEqual(userFacts.facts.size, 0);
+console.log("✅ PASSED\n");
+
+// Test 7: Context packing under a token budget
+console.log("Test 7: Context Packing");
+const packer = new ContextPacker();
+const turn = "Human: My favorite color is blue\nAI: Got it, blue it is.";
+const packed = packer.pack({
+  facts: [{ id: "fact:color", text: "- favorite color: blue" }],
+  hot: [{ id: "hot:1", text: turn }],
+  warm: [{ id: "warm:1", text: turn }, { id: "warm:2", text: "word ".repeat(400) }],
+  cold: []
+}, { budget: 200 });
+assert.deepStrictEqual(packed.included.map(i => i.id), ["fact:color", "hot:1"]);
+assert.deepStrictEqual(packed.dropped.map(d => [d.id, d.reason]), [
+  ["warm:1", "duplicate of hot:1"],
+  ["warm:2", "over budget"]
+]);
+assert(packed.tokenCount <= 200);
+assert.strictEqual(packer.budgetFor("gemini-2.5-pro"), 32000);
+console.log("✅ PASSED\n");
+
+// Test 8: Hybrid retrieval finds exact tokens and reports its scores
+console.log("Test 8: Hybrid Retrieval");
+const hybrid = new VectorTier("Cold", new InProcessBackend(), fakeEmbeddings);
+await hybrid.initialize();
+await hybrid.addDocuments([
+  { pageContent: "Q4 check-in schedule: DataFlow (Nov 20, 2PM EST), CloudMetrics (Nov 27)", metadata: {} },
+  { pageContent: "Portfolio risks: burn rate up 40% without revenue growth", metadata: {} },
+  { pageContent: "Schedule a check-in call about portfolio companies", metadata: {} }
+]);
+const [best] = await hybrid.search("When is the DataFlow check-in?", { limit: 2 });
+assert.match(best.pageContent, /DataFlow/);
+assert.strictEqual(best.metadata.retrieval.keywordRank, 1);
+assert(best.metadata.retrieval.fusedScore > 0);
+console.log("✅ PASSED\n");
+
+// Test 9: Time expressions become timestamp filters
+console.log("Test 9: Temporal Retrieval");
+const monday = new Date(2025, 10, 24, 12, 0);
+const lastWeek = parseTimeRange("What did I tell you last week?", monday);
+assert.strictEqual(lastWeek.since, new Date(2025, 10, 17).getTime());
+assert.strictEqual(lastWeek.until, new Date(2025, 10, 24).getTime() - 1);
+assert.strictEqual(parseTimeRange("what changed since Monday?", monday).since, new Date(2025, 10, 17).getTime());
+assert.strictEqual(parseTimeRange("What is my favorite color?", monday), null);
+const timed = new VectorTier("Warm", new InProcessBackend(), fakeEmbeddings);
+await timed.initialize();
+await timed.addDocuments([
+  { pageContent: "Met DataFlow about the burn rate", metadata: { timestamp: lastWeek.since + 1000 } },
+  { pageContent: "Met DataFlow about the launch", metadata: { timestamp: lastWeek.until + 1000 } }
+]);
+const inRange = await timed.search("DataFlow meeting", { limit: 5, since: lastWeek.since, until: lastWeek.until });
+assert.deepStrictEqual(inRange.map(d => d.pageContent), ["Met DataFlow about the burn rate"]);
+console.log("✅ PASSED\n");
+
+// Test 10: Editing a memory re-embeds it and keeps its id
+console.log("Test 10: Memory Editing");
+const editable = new VectorTier("Warm", new InProcessBackend(), fakeEmbeddings);
+await editable.initialize();
+const [editId] = await editable.addDocuments([{ pageContent: "My favorite database is Postgres", metadata: { sessionId: "a" } }]);
+const edited = await editable.update(editId, { content: "My favorite database is SQLite", metadata: { pinned: true } });
+assert.strictEqual(edited.metadata.sessionId, "a");
+assert.strictEqual(await editable.count({ pinned: true }), 1);
+const [found] = await editable.search("SQLite database", { limit: 1 });
+assert.strictEqual(found.id, editId);
+assert.strictEqual(found.metadata.retrieval.keywordRank, 1);
+assert.strictEqual(await editable.update("missing", { content: "x" }), null);
+console.log("✅ PASSED\n");
+
+// Test 11: Forgetting a session purges records and facts and issues a receipt
+console.log("Test 11: Forget Session");
+const forgetDir = path.join(tmpDir, "forget");
+const forgetTier = new VectorTier("Warm", new InProcessBackend({ directory: forgetDir, name: "warm" }), fakeEmbeddings);
+await forgetTier.initialize();
+await forgetTier.addDocuments([
+  { pageContent: "User: my secret is swordfish", metadata: { sessionId: "s1" } },
+  { pageContent: "User: keep this one", metadata: { sessionId: "s2" } }
+]);
+const purged = await forgetTier.purge({ sessionId: ["s1"] });
+await forgetTier.compact();
+assert.strictEqual(purged.length, 1);
+assert.deepStrictEqual((await forgetTier.list()).map(r => r.metadata.sessionId), ["s2"]);
+assert.strictEqual((await forgetTier.search("swordfish", { limit: 5 })).some(d => d.metadata.sessionId === "s1"), false);
+const onDisk = fs.readdirSync(forgetDir).map(file => fs.readFileSync(path.join(forgetDir, file), "utf-8")).join("");
+assert(!onDisk.includes("swordfish"));
+const forgetFacts = new FactStore();
+forgetFacts.learn("s1", "My name is Malik");
+forgetFacts.learn("s2", "My name is Sara");
+assert.strictEqual(forgetFacts.forget({ sessionIds: ["s1"] }), 1);
+assert.strictEqual(forgetFacts.getFacts("s2").length, 1);
+const receipts = new DeletionReceiptStore({ directory: forgetDir, secret: "test-secret" });
+const receipt = receipts.issue({
+  subject: { type: "session", id: "s1" },
+  sessionIds: ["s1"],
+  removed: { warm: purged.map(r => r.id), facts: 1 },
+  remaining: { warm: 0, facts: 0 }
+});
+assert.strictEqual(receipt.complete, true);
+assert(!JSON.stringify(receipt).includes("\"s1\""));
+assert.deepStrictEqual(receipts.verify(receipt), { digestValid: true, signatureValid: true });
+assert.strictEqual(receipts.verify({ ...receipt, removed: { warm: [], facts: 0 } }).digestValid, false);
+const reloadedReceipts = new DeletionReceiptStore({ directory: forgetDir, secret: "test-secret" });
+reloadedReceipts.load();
+assert.strictEqual(reloadedReceipts.get(receipt.id).digest, receipt.digest);
+console.log("✅ PASSED\n");
+
+// Test 12: PII is detected with checksums and redacted per policy
+console.log("Test 12: PII Redaction");
+assert.strictEqual(luhnValid("4242424242424242"), true);
+assert.strictEqual(luhnValid("4242424242424241"), false);
+const piiText = "Mail jane@acme.com, card 4242 4242 4242 4242 (not 4242 4242 4242 4241), IBAN DE89 3704 0044 0532 0130 00, call +1 (415) 555-0134. Raised $1,500,000 on 2025-11-20.";
+assert.deepStrictEqual(detectPii(piiText).map(d => d.type), ["email", "credit_card", "iban", "phone"]);
+const vault = new PiiVault({ directory: path.join(tmpDir, "vault"), key: "ab".repeat(32) });
+vault.load();
+const { text: redacted, items } = redactText(piiText, {
+  policies: { email: "hash", credit_card: "vault", iban: "mask", phone: "drop" },
+  vault,
+  vaultContext: { sessionId: "s1" }
+});
+assert(!redacted.includes("jane@acme.com") && !redacted.includes("4242 4242 4242 4242") && !redacted.includes("555-0134"));
+assert.match(redacted, /\[EMAIL#[0-9a-f]{12}\]/);
+assert.match(redacted, /DE\*\* \*\*\*\* 3000/);
+assert.match(redacted, /\$1,500,000 on 2025-11-20/);
+const vaultId = redacted.match(/vault:([0-9a-f-]+)/)[1];
+assert.strictEqual(vault.reveal(vaultId), "4242 4242 4242 4242");
+assert(items.every(item => !JSON.stringify(item).includes("jane@acme.com")));
+const noKey = redactText("card 4242 4242 4242 4242", { policies: { credit_card: "vault" }, vault: new PiiVault() });
+assert.strictEqual(noKey.text, "card [CREDIT_CARD REDACTED]");
+assert.strictEqual(noKey.items[0].requestedPolicy, "vault");
+assert.strictEqual(vault.forget({ sessionIds: ["s1"] }), 1);
+// An onMemorySave hook that returns the turn text, as hooks used to, still
+// changes what is stored, and later hooks get the turn object
+const hooks = new PluginSystem();
+hooks.registerPlugin("legacy", { onMemorySave: memory => memory.text.replace(/Rex/g, "[PET]") });
+hooks.registerPlugin("tagger", { onMemorySave: memory => ({ ...memory, metadata: { ...memory.metadata, tagged: true } }) });
+const saved = await hooks.executeHook("onMemorySave", {
+  sessionId: "s1", input: "My dog is Rex", output: "Hi Rex!", text: "User: My dog is Rex\nAssistant: Hi Rex!", metadata: {}
+});
+assert.deepStrictEqual(
+  { input: saved.input, output: saved.output, sessionId: saved.sessionId, metadata: saved.metadata },
+  { input: "My dog is [PET]", output: "Hi [PET]!", sessionId: "s1", metadata: { tagged: true } }
+);
+console.log("✅ PASSED\n");
+
+// Test 13: Persisted memory is sealed per tenant and survives key rotation
+console.log("Test 13: Encryption at Rest");
+const encDir = path.join(tmpDir, "encrypted");
+const encryptionConfig = { mode: "auto", key: "cd".repeat(32), keyringFile: path.join(encDir, "keyring.json"), rotationDays: 90 };
+const encryption = new MemoryEncryption(encryptionConfig);
+encryption.initialize();
+const plainLog = new AppendOnlyLog(encDir, "notes", { encryption: new MemoryEncryption({ mode: "off" }) });
+plainLog.load();
+plainLog.put("n1", { text: "written before encryption was enabled" });
+const notes = new AppendOnlyLog(encDir, "notes", { encryption });
+notes.load();
+notes.put("n2", { text: "the vault code is 0451", userId: "u1" });
+assert.strictEqual(notes.needsReencryption(), true);
+const sealedTier = new VectorTier("Sealed", new SqliteBackend({ file: path.join(encDir, "cold.sqlite"), encryption }), fakeEmbeddings);
+await sealedTier.initialize();
+await sealedTier.addDocuments([{ pageContent: "Project Nightjar ships in March", metadata: { userId: "u1" } }]);
+await encryption.reencryptInBackground();
+const sealedOnDisk = fs.readdirSync(encDir).map(file => fs.readFileSync(path.join(encDir, file), "latin1")).join("");
+assert(!sealedOnDisk.includes("0451") && !sealedOnDisk.includes("before encryption") && !sealedOnDisk.includes("Nightjar"));
+assert.deepStrictEqual(encryption.rotate(["u1"]), ["u1#2"]);
+await encryption.job.promise;
+const reopened = new MemoryEncryption(encryptionConfig);
+reopened.initialize();
+const reloadedNotes = new AppendOnlyLog(encDir, "notes", { encryption: reopened });
+reloadedNotes.load();
+assert.strictEqual(reloadedNotes.get("n2").text, "the vault code is 0451");
+assert.strictEqual(reloadedNotes.keyIds.get("n2"), "u1#2");
+assert.strictEqual(reloadedNotes.needsReencryption(), false);
+assert.throws(() => new MemoryEncryption({ ...encryptionConfig, key: null }).initialize(), /key missing/);
+assert.throws(() => new MemoryEncryption({ ...encryptionConfig, key: "ef".repeat(32) }).initialize(), /does not match/);
+assert.strictEqual(reopened.destroyTenant("u1"), 2);
+assert.throws(() => new AppendOnlyLog(encDir, "notes", { encryption: reopened }).load(), /destroyed/);
+console.log("✅ PASSED\n");
+
+// Test 14: Old turns roll into segment and session summaries that link back to them
+console.log("Test 14: Rolling Summaries");
+const summaryDir = path.join(tmpDir, "summaries");
+const prompts = [];
+const tree = new SummaryTree({
+  directory: summaryDir,
+  summarize: async prompt => {
+    prompts.push(prompt);
+    if (prompts.length === 3) throw new Error("quota exceeded");
+    return `summary ${prompts.length}`;
+  },
+  segmentTurns: 3,
+  hotTurns: 2
+});
+tree.load();
+const rollTurns = Array.from({ length: 8 }, (_, i) => ({
+  id: `t${i}`,
+  input: i === 1 ? "The launch is moved to March. Tell the team." : `Question ${i}`,
+  output: `Answer ${i}`,
+  timestamp: 1000 + i
+}));
+assert.strictEqual(tree.pendingTurns(rollTurns.slice(0, 4)).length, 0);
+const firstBatch = tree.pendingTurns(rollTurns.slice(0, 5));
+assert.deepStrictEqual(firstBatch.map(t => t.id), ["t0", "t1", "t2"]);
+const firstSegment = await tree.rollUp("s1", firstBatch, { userId: "u1" });
+assert.strictEqual(tree.getSessionSummary("s1").text, "summary 1");
+assert.strictEqual(prompts.length, 1);
+const secondSegment = await tree.rollUp("s1", rollTurns.slice(3, 6));
+assert.strictEqual(secondSegment.text, "summary 2");
+assert.strictEqual(secondSegment.method, "model");
+const sessionSummary = tree.getSessionSummary("s1");
+assert.strictEqual(sessionSummary.method, "extractive");
+assert.match(sessionSummary.text, /summary 1\nsummary 2/);
+assert.deepStrictEqual(sessionSummary.segmentIds, [firstSegment.id, secondSegment.id]);
+assert.deepStrictEqual(sessionSummary.turnIds, ["t0", "t1", "t2", "t3", "t4", "t5"]);
+assert.match(prompts[2], /SUMMARY SO FAR:\nsummary 1/);
+assert.deepStrictEqual(tree.searchSegments("s1", "summary 1").map(s => s.id)[0], firstSegment.id);
+const reloadedTree = new SummaryTree({ directory: summaryDir });
+reloadedTree.load();
+assert.deepStrictEqual(reloadedTree.getSegments("s1").map(s => s.turnIds.length), [3, 3]);
+const offline = await new SummaryTree().rollUp("s2", rollTurns.slice(0, 3));
+assert.strictEqual(offline.text.split("\n")[2], "User: The launch is moved to March.");
+assert.strictEqual(reloadedTree.getSessionSummary("s1").userId, "u1");
+assert.strictEqual(reloadedTree.forget({ userId: "u1" }), 2);
+assert.strictEqual(reloadedTree.count({ sessionIds: ["s1"] }), 1);
+console.log("✅ PASSED\n");
+
+// Test 15: Consolidation merges duplicates, ages warm into cold and applies retention
+console.log("Test 15: Memory Consolidation");
+const day = 24 * 60 * 60 * 1000;
+const consolidationWarm = new VectorTier("Warm", new InProcessBackend(), fakeEmbeddings);
+const consolidationCold = new VectorTier("Cold", new InProcessBackend(), fakeEmbeddings);
+await consolidationWarm.initialize();
+await consolidationCold.initialize();
+await consolidationWarm.addDocuments([
+  { id: "dup1", pageContent: "User: My name is John", metadata: { sessionId: "s1", timestamp: Date.now() - 2000 } },
+  { id: "dup2", pageContent: "User: My name is John", metadata: { sessionId: "s1", timestamp: Date.now() - 1000 } },
+  { id: "other", pageContent: "User: My name is John", metadata: { sessionId: "s2", timestamp: Date.now() } },
+  { id: "stale", pageContent: "User: the boiler was serviced", metadata: { sessionId: "s1", timestamp: Date.now() - 10 * day } },
+  { id: "pinnedOld", pageContent: "User: wifi password rotates monthly", metadata: { sessionId: "s1", timestamp: Date.now() - 10 * day, pinned: true } }
+]);
+await consolidationCold.addDocuments([
+  { id: "ancient", pageContent: "User: lunch was pasta", metadata: { sessionId: "s1", timestamp: Date.now() - 400 * day } },
+  { id: "usedAncient", pageContent: "User: the VAT number is GB123", metadata: { sessionId: "s1", timestamp: Date.now() - 400 * day } }
+]);
+const access = new AccessStats();
+access.record(["dup1", "usedAncient"]);
+access.record(["usedAncient"]);
+assert(importanceOf({ metadata: { pinned: true } }) === 1);
+assert(importanceOf({ id: "dup1", metadata: { timestamp: Date.now() } }, access.get("dup1")) > importanceOf({ metadata: { timestamp: Date.now() } }, null));
+const worker = new ConsolidationWorker({
+  warm: consolidationWarm,
+  cold: consolidationCold,
+  access,
+  directory: path.join(tmpDir, "consolidation"),
+  coldRetentionDays: 365,
+  minImportance: 0.1
+});
+worker.load();
+const dryReport = await worker.run({ dryRun: true });
+assert.deepStrictEqual(dryReport.merged.map(m => [m.keptId, m.mergedIds]), [["dup1", ["dup2"]]]);
+assert.deepStrictEqual(dryReport.migrated.map(m => [m.id, m.reason]), [["stale", "age"]]);
+assert.deepStrictEqual(dryReport.evicted.map(e => e.id), ["ancient"]);
+assert.strictEqual(dryReport.exempt, 1);
+assert.deepStrictEqual([dryReport.warm.after, dryReport.cold.after], [3, 2]);
+assert.strictEqual(await consolidationWarm.count(), 5);
+const report = await worker.run();
+assert.deepStrictEqual([report.warm.after, report.cold.after], [3, 2]);
+const [kept] = await consolidationWarm.get(["dup1"]);
+assert.strictEqual(kept.metadata.count, 2);
+assert.deepStrictEqual(kept.metadata.mergedIds, ["dup2"]);
+assert.strictEqual(access.get("dup1").count, 1);
+assert.deepStrictEqual((await consolidationCold.list()).map(r => r.id).sort(), ["stale", "usedAncient"]);
+assert.strictEqual((await consolidationWarm.get(["pinnedOld"])).length, 1);
+const rerun = await worker.run({ dryRun: true });
+assert.strictEqual(rerun.merged.length + rerun.migrated.length + rerun.evicted.length, 0);
+console.log("✅ PASSED\n");
+
+// Test 16: Near-duplicate writes are merged into the existing memory
+console.log("Test 16: Write-time Deduplication");
+const dedupeTier = new VectorTier("Warm", new InProcessBackend(), fakeEmbeddings, { dedupeThreshold: 0.95 });
+await dedupeTier.initialize();
+const [firstId, secondId] = await dedupeTier.addDocuments([
+  { id: "name1", pageContent: "User: My name is John", metadata: { sessionId: "s1", timestamp: 1 } },
+  { id: "name2", pageContent: "user: my name is JOHN!", metadata: { sessionId: "s1", timestamp: 2 } }
+]);
+const [thirdId] = await dedupeTier.addDocuments([{ id: "name3", pageContent: "User: My name is John", metadata: { sessionId: "s1", timestamp: 3 } }]);
+assert.deepStrictEqual([firstId, secondId, thirdId], ["name1", "name1", "name1"]);
+const [merged] = await dedupeTier.get(["name1"]);
+assert.strictEqual(merged.metadata.count, 3);
+assert.strictEqual(merged.metadata.lastSeen, 3);
+assert.deepStrictEqual(merged.metadata.mergedIds, ["name2", "name3"]);
+assert.deepStrictEqual(await dedupeTier.addDocuments([{ id: "name4", pageContent: "User: My name is John", metadata: { sessionId: "s2" } }]), ["name4"]);
+assert.deepStrictEqual(await dedupeTier.addDocuments([{ id: "name5", pageContent: "User: My name is John", metadata: { sessionId: "s1" } }], { dedupe: false }), ["name5"]);
+assert.strictEqual(await dedupeTier.count(), 3);
+assert.deepStrictEqual(dedupeTier.dedupeStats, { stored: 2, merged: 2 });
+console.log("✅ PASSED\n");
+
+// Test 17: New statements are classified against older ones and conflicts tracked
+console.log("Test 17: Contradiction Detection");
+assert.strictEqual(classifyStatements("I only invest in B2C startups now", "I prefer B2B startups").relation, "contradiction");
+assert.strictEqual(classifyStatements("I don't drink coffee", "I drink coffee every morning").reason, "negation");
+assert.strictEqual(classifyStatements("I hate sushi", "I love sushi").reason, "opposite preference");
+assert.strictEqual(classifyStatements("I prefer B2B SaaS startups in Europe", "I prefer B2B SaaS startups").relation, "refinement");
+assert.strictEqual(classifyStatements("I prefer B2B startups", "I prefer B2B startups too").relation, "consistent");
+assert.strictEqual(classifyStatements("I moved to Lisbon", "My dog is called Rex").reason, "unrelated");
+assert.strictEqual(classifyStatements("I only invest in B2C now", "I prefer B2B", { similarity: 0.8 }).relation, "contradiction");
+assert.strictEqual(classifyStatements("Do I still prefer B2B?", "I prefer B2B").relation, "consistent");
+const conflicts = new ConflictStore({ directory: path.join(tmpDir, "conflicts") });
+conflicts.load();
+const conflict = conflicts.record({
+  sessionId: "s2",
+  userId: "u1",
+  newer: { id: "t2", sessionId: "s2", text: "I only invest in B2C startups now" },
+  older: { id: "t1", ids: ["t1", "lt1"], sessionId: "s1", text: "I prefer B2B startups" },
+  reason: "changed value"
+});
+assert.strictEqual(conflicts.between("lt1", "t2").id, conflict.id);
+assert.strictEqual(conflicts.list({ status: "open", sessionId: "s1" }).total, 1);
+conflicts.resolve(conflict.id, "newer");
+const reloadedConflicts = new ConflictStore({ directory: path.join(tmpDir, "conflicts") });
+reloadedConflicts.load();
+assert.strictEqual(reloadedConflicts.get(conflict.id).resolution, "newer");
+assert.strictEqual(reloadedConflicts.list({ status: "open" }).total, 0);
+assert.strictEqual(reloadedConflicts.forget({ memoryIds: ["lt1"] }), 1);
+console.log("✅ PASSED\n");
+
+// Test 18: Knowledge graph extracts relations and answers multi-hop lookups
+console.log("Test 18: Knowledge Graph");
+const graph = new KnowledgeGraph({ directory: path.join(tmpDir, "graph") });
+graph.load();
+graph.learn("Portfolio includes DataFlow, CloudMetrics, FinStack.", { sessionId: "s1", userId: "u1", sourceId: "t1" });
+graph.learn("FinStack product launch delayed to Q1 2025. Acme launch was delayed to March.", { sessionId: "s2", userId: "u1", sourceId: "t2" });
+graph.learn("Sarah Chen pitched Series A last week.", { sessionId: "s2", userId: "u1", sourceId: "t3" });
+graph.learn("Portfolio includes Globex.", { sessionId: "s9", userId: "u2", sourceId: "t9" });
+const delayed = graph.query("Which of my portfolio companies have delayed launches?", { userId: "u1" });
+assert.deepStrictEqual(delayed.map(p => p.text), ["You —has portfolio company→ FinStack —launch delayed to→ Q1 2025"]);
+assert.deepStrictEqual(graph.query("Draft an intro email to Sarah Chen", { userId: "u1" }).map(p => p.text), ["Sarah Chen —pitched→ Series A"]);
+assert.deepStrictEqual(graph.query("Which of my portfolio companies have delayed launches?", { userId: "u2" }).map(p => p.text), ["You —has portfolio company→ Globex"]);
+const reloadedGraph = new KnowledgeGraph({ directory: path.join(tmpDir, "graph") });
+reloadedGraph.load();
+assert.strictEqual(reloadedGraph.query("who pitched?", { userId: "u1" })[0].text, "Sarah Chen —pitched→ Series A");
+assert.strictEqual(reloadedGraph.forgetSources(["t3"]), 1);
+assert.strictEqual(reloadedGraph.entities("user:u1").some(e => e.name === "Sarah Chen"), false);
+reloadedGraph.forget({ sessionIds: ["s2"] });
+assert.strictEqual(reloadedGraph.query("delayed launches", { userId: "u1" }).length, 0);
+assert.strictEqual(reloadedGraph.relations("user:u1").length, 3);
+assert.strictEqual(reloadedGraph.forget({ sessionIds: [], userId: "u1" }) > 0, true);
+assert.strictEqual(reloadedGraph.count({ userId: "u1" }), 0);
+assert.strictEqual(reloadedGraph.relations("user:u2").length, 1);
+console.log("✅ PASSED\n");
+
+// Test 19: Transcripts keep every session in order with cursor pagination
+console.log("Test 19: Transcript Store");
+const transcripts = new TranscriptStore({ directory: path.join(tmpDir, "transcripts") });
+transcripts.load();
+for (let i = 1; i <= 3; i++) {
+  transcripts.recordTurn("s1", { turnId: `turn${i}`, userId: "u1", input: `question ${i}`, output: `answer ${i}`, model: "Fake", contextTokens: 10 });
+}
+transcripts.recordTurn("s2", { turnId: "other", input: "hi", output: "hello", attachments: [{ type: "image", name: "chart.png", data: "ignored" }] });
+const firstPage = transcripts.list("s1", { limit: 4 });
+assert.deepStrictEqual(firstPage.messages.map(m => m.content), ["question 1", "answer 1", "question 2", "answer 2"]);
+assert.strictEqual(firstPage.total, 6);
+const secondPage = transcripts.list("s1", { limit: 4, cursor: firstPage.nextCursor });
+assert.deepStrictEqual(secondPage.messages.map(m => [m.seq, m.role]), [[5, "user"], [6, "assistant"]]);
+assert.strictEqual(secondPage.nextCursor, null);
+assert.deepStrictEqual(secondPage.messages[1].tokens, { content: 3, context: 10 });
+assert.strictEqual(secondPage.messages[1].model, "Fake");
+const latest = transcripts.list("s1", { limit: 2, order: "desc" });
+assert.deepStrictEqual(latest.messages.map(m => m.seq), [6, 5]);
+assert.throws(() => transcripts.list("s1", { cursor: latest.nextCursor }), /Invalid cursor/);
+const reloadedTranscripts = new TranscriptStore({ directory: path.join(tmpDir, "transcripts") });
+reloadedTranscripts.load();
+assert.deepStrictEqual(reloadedTranscripts.list("s2").messages[0].attachments, [{ type: "image", name: "chart.png" }]);
+assert.strictEqual(reloadedTranscripts.forgetTurns(["turn2"]), 2);
+assert.strictEqual(reloadedTranscripts.forget({ userId: "u1" }), 4);
+assert.strictEqual(reloadedTranscripts.count({ sessionIds: ["s1"] }), 0);
+assert.strictEqual(reloadedTranscripts.list("s2").total, 2);
+console.log("✅ PASSED\n");
+
+// Test 20: Routing policy matches rules in order and rejects invalid configs
+console.log("Test 20: Routing Policy");
+const routingFile = path.join(tmpDir, "routing.yaml");
+fs.writeFileSync(routingFile, `
+routing:
+  models:
+    fast: { provider: gemini, params: { temperature: 0.7, maxTokens: 1000 } }
+    big: { provider: gemini, params: { temperature: 0.7, maxTokens: 8000 } }
+    hf: { provider: huggingface }
+  rules:
+    - name: long
+      when: { estimatedTokens: { gte: 2000 } }
+      params: { maxTokens: 4000 }
+      chain: [{ model: big, params: { temperature: 0.2 } }, hf]
+    - name: reasoning
+      when: { any: [{ requiresReasoning: true }, { complexity: [medium, complex] }] }
+      chain: [{ model: hf, weight: 1 }, { model: big, weight: 3 }]
+    - name: default
+      chain: [fast]
+  fallback: big
+`);
+const routing = new RoutingPolicy({ configPath: routingFile, providers: ["gemini", "huggingface"], random: () => 0.5 });
+routing.load();
+const longPlan = routing.plan({ complexity: "simple", estimatedTokens: 2500 });
+assert.strictEqual(longPlan.rule, "long");
+assert.deepStrictEqual(longPlan.attempts.map(a => a.name), ["big", "hf"]);
+assert.deepStrictEqual(longPlan.attempts[0].params, { temperature: 0.2, maxTokens: 4000 });
+const weightedPlan = routing.plan({ complexity: "complex", estimatedTokens: 100 });
+assert.deepStrictEqual(weightedPlan.attempts.map(a => a.name), ["big", "hf"]);
+assert.deepStrictEqual(routing.plan({ complexity: "simple" }).attempts.map(a => [a.name, Boolean(a.fallback)]), [["fast", false], ["big", true]]);
+assert.throws(
+  () => validateRoutingPolicy({ models: { a: { provider: "gemini" } }, rules: [{ name: "r", when: { complexity: "huge" }, chain: ["b"] }] }, { providers: ["gemini"] }),
+  error => /complexity: "huge"/.test(error.message) && /unknown model "b"/.test(error.message)
+);
+fs.writeFileSync(routingFile, "routing:\n  rules: []\n");
+assert.strictEqual(routing.reload(), false);
+assert.strictEqual(routing.plan({ complexity: "simple" }).rule, "default");
+console.log("✅ PASSED\n");
+
+// Test 21: Query classifier answers locally and escalates only when unsure
+console.log("Test 21: Query Classifier");
+assert.deepStrictEqual(
+  (({ complexity, type, requiresMemory, requiresReasoning }) => ({ complexity, type, requiresMemory, requiresReasoning }))(classifyQuery("hi there")),
+  { complexity: "simple", type: "dialogue", requiresMemory: false, requiresReasoning: false }
+);
+assert.strictEqual(classifyQuery("Fix this:\n```js\nconst x = foo(;\n```").type, "technical");
+assert.strictEqual(classifyQuery("Write a poem about the sea").type, "creative");
+assert.strictEqual(classifyQuery("Do you remember what I told you about my portfolio?").requiresMemory, true);
+assert.strictEqual(classifyQuery("What did I tell you last week about Rex?").requiresMemory, true);
+assert.strictEqual(classifyQuery("Did I mention the Berlin trip?").requiresMemory, true);
+assert.strictEqual(classifyQuery("I am 33 now").requiresMemory, true);
+assert.strictEqual(classifyQuery("What is the capital of France?").requiresMemory, false);
+const arithmetic = classifyQuery("What is 2+2?");
+assert.strictEqual(arithmetic.complexity, "simple");
+assert.ok(arithmetic.confidence.overall >= 0.6);
+assert.strictEqual(arithmetic.requiresReasoning, false);
+// With the shipped lite_config.yaml, bare arithmetic goes to the simple (Gemini Flash) rule
+const shipped = new RoutingPolicy({ providers: ["gemini", "huggingface", "replicate"] });
+assert.strictEqual(shipped.plan(arithmetic).rule, "simple");
+assert.strictEqual(shipped.plan(classifyQuery("Solve the equation 3x + 5 = 20")).rule, "deep_reasoning");
+const deep = classifyQuery("Compare the trade-offs of Postgres and MongoDB for analytics, in detail, with a migration plan.");
+assert.strictEqual(deep.complexity, "complex");
+assert.strictEqual(deep.requiresReasoning, true);
+const escalations = [];
+const classifier = new QueryClassifier({
+  minConfidence: 0.6,
+  escalate: async query => {
+    escalations.push(query);
+    if (query.includes("fail")) throw new Error("offline");
+    return { complexity: "medium", type: "technical", estimatedTokens: "lots" };
+  }
+});
+const greeting = await classifier.classify("Hello!");
+assert.strictEqual(greeting.source, "local");
+assert.strictEqual((await classifier.classify("What is 2+2?")).source, "local");
+// Ordinary requests without other cues are answered locally too
+for (const query of ["How do I cook rice?", "Summarize our meeting notes", "Can you help me?", "How does a refrigerator work?"]) {
+  assert.strictEqual((await classifier.classify(query)).source, "local", query);
+}
+assert.ok(greeting.confidence.overall >= 0.6);
+const unsure = await classifier.classify("Tell me something interesting");
+assert.strictEqual(unsure.source, "llm");
+assert.strictEqual(unsure.type, "technical");
+assert.strictEqual(unsure.estimatedTokens, classifyQuery("Tell me something interesting").estimatedTokens);
+assert.strictEqual((await classifier.classify("  tell me SOMETHING   interesting ")).cached, true);
+assert.strictEqual((await classifier.classify("tell me something that will fail")).source, "local");
+assert.strictEqual((await classifier.classify("tell me something that will fail")).cached, false);
+assert.strictEqual(escalations.length, 3);
+assert.deepStrictEqual(
+  (({ hits, escalated, escalationFailures }) => ({ hits, escalated, escalationFailures }))(classifier.getStats()),
+  { hits: 1, escalated: 1, escalationFailures: 2 }
+);
+console.log("✅ PASSED\n");
+
+// Test 22: Provider adapters share one contract and are configured by name
+console.log("Test 22: Provider Registry");
+class EchoProvider extends ChatProvider {
+  constructor() {
+    super({ name: "echo", type: "echo", label: "Echo", requiresKey: false, defaultModel: "echo-1", modelCapabilities: { "echo-2": { contextWindow: 32000 } } });
+  }
+  async complete(messages, { model, maxTokens }) {
+    const prompt = messages.at(-1).content;
+    return { content: prompt ? `${model}:${maxTokens}:${prompt}` : "" };
+  }
+  async *streamCompletion(messages) {
+    yield* messages.at(-1).content.split(" ");
+    yield { usage: { inputTokens: 2, outputTokens: 2 } };
+  }
+}
+const echo = new EchoProvider();
+const echoed = await echo.chat("hello world", { maxTokens: 5 });
+assert.strictEqual(echoed.content, "echo-1:5:hello world");
+assert.strictEqual(echoed.usage.estimated, true);
+const streamed = [];
+for await (const chunk of echo.stream("a b c")) streamed.push(chunk);
+assert.deepStrictEqual(streamed, ["a", "b", "c"]);
+await assert.rejects(echo.chat(""), /empty response/);
+assert.deepStrictEqual(echo.getUsage(), { requests: 2, failures: 1, inputTokens: echoed.usage.inputTokens + 2, outputTokens: echoed.usage.outputTokens + 2 });
+assert.strictEqual(echo.capabilities("echo-2").contextWindow, 32000);
+assert.strictEqual((await echo.healthCheck()).ok, true);
+const registry = new ProviderRegistry();
+assert.deepStrictEqual(registry.names(), ["gemini", "huggingface", "replicate", "together", "openai", "anthropic", "ollama"]);
+registry.configure({ local: { type: "openai_compatible", base_url: "http://localhost:8000/v1", model: "qwen", context_window: 32768 } });
+assert.strictEqual(registry.get("local").configured, true);
+assert.strictEqual(registry.get("local").capabilities().contextWindow, 32768);
+assert.throws(() => registry.configure({ bad: { type: "http", url: "x" } }), error => /bad\.type/.test(error.message) && /bad\.url/.test(error.message));
+await assert.rejects(new ChatProvider({ name: "keyless", label: "Keyless", keyEnv: "KEYLESS_API_KEY" }).chat("hi"), /not configured \(set KEYLESS_API_KEY\)/);
+console.log("✅ PASSED\n");
+
+// Test 23: Conversations are built as messages and rendered per provider
+console.log("Test 23: Structured Messages");
+const historyPacked = new ContextPacker({ defaultBudget: 2000 }).pack({
+  facts: [{ id: "fact:1", text: "Name: Ada" }],
+  hot: [
+    { id: "t2", text: "Human: and now?\nAI: still fine", turn: { input: "and now?", output: "still fine" }, order: 1 },
+    { id: "t1", text: "Human: how are you?\nAI: fine", turn: { input: "how are you?", output: "fine" }, order: 0 }
+  ]
+}, { citations: true, detach: ["hot"] });
+assert.ok(!historyPacked.context.includes("RECENT CONVERSATION"));
+assert.deepStrictEqual(historyPacked.detached.hot.map(item => item.turn.input), ["how are you?", "and now?"]);
+assert.ok(historyPacked.included.some(item => item.id === "t1"));
+const conversation = buildMessages({
+  system: "Be brief.",
+  context: historyPacked.context,
+  history: historyPacked.detached.hot.map(item => item.turn),
+  query: "and tomorrow?"
+});
+assert.deepStrictEqual(conversation.map(m => m.role), ["system", "system", "user", "assistant", "user", "assistant", "user"]);
+const split = splitSystem(conversation);
+assert.ok(split.system.startsWith("Be brief.\n\nUSER PROFILE"));
+assert.strictEqual(split.turns.length, 5);
+assert.deepStrictEqual(splitSystem([{ role: "user", content: "a" }, { role: "user", content: "b" }]).turns, [{ role: "user", content: "a\n\nb" }]);
+const shortChat = buildMessages({ system: "Be brief.", history: [{ input: "hi", output: "hello" }], query: "bye" });
+assert.strictEqual(renderPrompt(shortChat, "mistral"), "<s>[INST] Be brief.\n\nhi [/INST] hello</s>[INST] bye [/INST]");
+assert.strictEqual(
+  renderPrompt(shortChat, "llama3"),
+  "<|begin_of_text|><|start_header_id|>system<|end_header_id|>\n\nBe brief.<|eot_id|>"
+    + "<|start_header_id|>user<|end_header_id|>\n\nhi<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\nhello<|eot_id|>"
+    + "<|start_header_id|>user<|end_header_id|>\n\nbye<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\n"
+);
+assert.strictEqual(renderPrompt(shortChat), "Be brief.\n\nUser: hi\nAssistant: hello\nUser: bye\nAssistant:");
+await assert.rejects(echo.chat([{ role: "tool", content: "x" }]), /Invalid message/);
+console.log("✅ PASSED\n");
+
+// Test 24: Failing providers are retried, then cut off by circuit breakers
+console.log("Test 24: Retries and Circuit Breakers");
+let clock = 0;
+const breaker = new CircuitBreaker({ name: "test", failureThreshold: 2, cooldownMs: 1000, now: () => clock });
+breaker.failure(10, new Error("boom"));
+assert.strictEqual(breaker.state, "closed");
+breaker.failure(10, new Error("boom"));
+assert.strictEqual(breaker.state, "open");
+assert.strictEqual(breaker.allow(), false);
+clock = 1000;
+assert.strictEqual(breaker.allow(), true);
+assert.strictEqual(breaker.state, "half_open");
+assert.strictEqual(breaker.allow(), false);
+breaker.failure(10, new Error("boom"));
+assert.strictEqual(breaker.state, "open");
+clock = 2000;
+assert.strictEqual(breaker.allow(), true);
+breaker.success(20);
+assert.deepStrictEqual(
+  (({ state, requests, failures, errorRate }) => ({ state, requests, failures, errorRate }))(breaker.describe()),
+  { state: "closed", requests: 4, failures: 3, errorRate: 0.75 }
+);
+let tries = 0;
+assert.strictEqual(await retry(async () => {
+  if (++tries < 3) throw Object.assign(new Error("rate limited"), { status: 429 });
+  return "ok";
+}, { retries: 2, random: () => 0 }), "ok");
+tries = 0;
+await assert.rejects(retry(async () => {
+  tries++;
+  throw Object.assign(new Error("bad request"), { status: 400 });
+}, { retries: 2, random: () => 0 }), /bad request/);
+assert.strictEqual(tries, 1);
+class FlakyProvider extends ChatProvider {
+  constructor() {
+    super({ name: "flaky", type: "flaky", label: "Flaky", requiresKey: false, defaultModel: null });
+    this.retries = 0;
+    this.calls = [];
+  }
+  candidateModels({ model }) {
+    return model ? [model] : ["broken", "working"];
+  }
+  async complete(messages, { model }) {
+    this.calls.push(model);
+    if (model === "broken") throw new Error("HTTP 503");
+    return { content: `${model} says hi` };
+  }
+}
+const flaky = new FlakyProvider();
+for (let i = 0; i < 5; i++) assert.strictEqual((await flaky.chat("hi")).content, "working says hi");
+assert.strictEqual(flaky.breakerFor("broken").state, "open");
+assert.strictEqual(flaky.breaker.state, "closed");
+flaky.calls = [];
+await flaky.chat("hi");
+assert.deepStrictEqual(flaky.calls, ["working"]);
+assert.strictEqual(flaky.isAvailable(), true);
+assert.strictEqual(flaky.isAvailable("broken"), false);
+await assert.rejects(flaky.chat("hi", { model: "broken" }), error => error.code === "circuit_open");
+assert.strictEqual(flaky.health().models.broken.state, "open");
+console.log("✅ PASSED\n");
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log("🎉 All memory tests passed!");